@@ -0,0 +1,244 @@
+const WALK_TIMEOUT = 4000;
+const WALK_TICK = 250;
+const WALK_ARRIVED_DISTANCE = 0.7;
+
+// Which actions each mode picks from
+const AFK_MODES = {
+    off: [],
+    minimal: ['look', 'swing'],
+    standard: ['look', 'jump', 'sneak', 'swing'],
+    roam: ['look', 'jump', 'sneak', 'walk', 'swing']
+};
+
+const AFK_LIMITS = {
+    minInterval: { min: 2000, max: 600000 },
+    maxInterval: { min: 2000, max: 600000 },
+    walkRadius: { min: 1, max: 16 }
+};
+
+const ACTION_LABELS = {
+    look: 'Looked around',
+    jump: 'Jumped',
+    sneak: 'Sneaked',
+    walk: 'Walked',
+    swing: 'Swung arm'
+};
+
+const randomBetween = (min, max) => min + Math.random() * (max - min);
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ============================================================================
+// ANTI-AFK
+// ============================================================================
+// Small, randomly timed movements so idle-kick plugins and onlookers do not see
+// a bot standing perfectly still. Walks stay within walkRadius of the point the
+// bot last spawned at. While getPauseReason() returns something, nothing moves.
+
+class AntiAfk {
+    constructor(defaults) {
+        this.settings = { ...defaults };
+        this.bot = null;
+        this.home = null;
+        this.getPauseReason = () => null;
+        this.timer = null;
+        this.runId = 0;
+        this.lastAction = null;
+    }
+
+    static validateSettings(changes, current) {
+        const errors = [];
+        const settings = { ...current };
+
+        if (!changes || typeof changes !== 'object') {
+            return { errors: ['Settings must be an object'], settings };
+        }
+
+        for (const [key, value] of Object.entries(changes)) {
+            if (key === 'mode') {
+                if (!(value in AFK_MODES)) {
+                    errors.push(`mode must be one of ${Object.keys(AFK_MODES).join(', ')}`);
+                } else {
+                    settings.mode = value;
+                }
+            } else if (key in AFK_LIMITS) {
+                const { min, max } = AFK_LIMITS[key];
+                if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+                    errors.push(`${key} must be a number between ${min} and ${max}`);
+                } else {
+                    settings[key] = Math.round(value);
+                }
+            } else {
+                errors.push(`Unknown setting: ${key}`);
+            }
+        }
+
+        if (errors.length === 0 && settings.minInterval > settings.maxInterval) {
+            errors.push('minInterval must not be longer than maxInterval');
+        }
+
+        return { errors, settings };
+    }
+
+    static describeSettings(settings) {
+        if (settings.mode === 'off') return 'off';
+        const walk = AFK_MODES[settings.mode].includes('walk') ? `, walks within ${settings.walkRadius} blocks` : '';
+        return `${settings.mode}, every ${settings.minInterval / 1000}-${settings.maxInterval / 1000}s${walk}`;
+    }
+
+    get isRunning() {
+        return this.bot !== null;
+    }
+
+    get pauseReason() {
+        return this.isRunning ? this.getPauseReason() : null;
+    }
+
+    setSettings(changes) {
+        const result = AntiAfk.validateSettings(changes, this.settings);
+        if (result.errors.length > 0) {
+            return { success: false, errors: result.errors };
+        }
+
+        this.settings = result.settings;
+        // Apply the new timing and mode right away
+        if (this.isRunning) {
+            this.scheduleNext();
+        }
+        return { success: true, settings: { ...this.settings } };
+    }
+
+    start(bot, getPauseReason) {
+        this.stop();
+        this.bot = bot;
+        this.home = bot.entity?.position?.clone() || null;
+        this.getPauseReason = getPauseReason;
+        this.scheduleNext();
+    }
+
+    stop() {
+        this.runId++;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.releaseControls();
+        this.bot = null;
+    }
+
+    releaseControls() {
+        try {
+            this.bot?.clearControlStates();
+        } catch (error) {
+            // The bot may already be gone
+        }
+    }
+
+    scheduleNext() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.isRunning || this.settings.mode === 'off') return;
+
+        const runId = this.runId;
+        const delay = randomBetween(this.settings.minInterval, this.settings.maxInterval);
+        this.timer = setTimeout(async () => {
+            await this.tick(runId);
+            if (runId === this.runId) {
+                this.scheduleNext();
+            }
+        }, delay);
+    }
+
+    async tick(runId) {
+        if (this.getPauseReason() || !this.bot?.entity) {
+            this.releaseControls();
+            return;
+        }
+
+        const actions = AFK_MODES[this.settings.mode];
+        const action = actions[Math.floor(Math.random() * actions.length)];
+        try {
+            await this.perform(action, runId);
+            this.lastAction = { action, time: Date.now() };
+        } catch (error) {
+            this.releaseControls();
+        }
+    }
+
+    async perform(action, runId) {
+        const bot = this.bot;
+        switch (action) {
+            case 'look': {
+                const yaw = bot.entity.yaw + randomBetween(-Math.PI / 2, Math.PI / 2);
+                await bot.look(yaw, randomBetween(-0.5, 0.5));
+                break;
+            }
+            case 'jump':
+                bot.setControlState('jump', true);
+                await sleep(randomBetween(200, 400));
+                bot.setControlState('jump', false);
+                break;
+            case 'sneak':
+                bot.setControlState('sneak', true);
+                await sleep(randomBetween(500, 2000));
+                bot.setControlState('sneak', false);
+                break;
+            case 'walk':
+                await this.walk(runId);
+                break;
+            case 'swing':
+                bot.swingArm('right');
+                break;
+        }
+    }
+
+    // Heads for a random point near home, or straight back when it has drifted too far
+    async walk(runId) {
+        const bot = this.bot;
+        if (!this.home) {
+            this.home = bot.entity.position.clone();
+        }
+
+        const radius = this.settings.walkRadius;
+        const target = this.home.distanceTo(bot.entity.position) > radius
+            ? this.home
+            : this.home.offset(randomBetween(-radius, radius), 0, randomBetween(-radius, radius));
+
+        await bot.lookAt(target.offset(0, bot.entity.height ?? 1.62, 0));
+        bot.setControlState('forward', true);
+        bot.setControlState('sprint', false);
+
+        const startedAt = Date.now();
+        try {
+            while (Date.now() - startedAt < WALK_TIMEOUT) {
+                await sleep(WALK_TICK);
+                if (runId !== this.runId || !bot.entity || this.getPauseReason()) break;
+
+                const { x, z } = bot.entity.position;
+                if (Math.hypot(target.x - x, target.z - z) < WALK_ARRIVED_DISTANCE) break;
+            }
+        } finally {
+            bot.setControlState('forward', false);
+        }
+    }
+
+    getStatus() {
+        return {
+            ...this.settings,
+            running: this.isRunning && this.settings.mode !== 'off',
+            pausedBy: this.pauseReason,
+            lastAction: this.lastAction,
+            home: this.home ? { x: this.home.x, y: this.home.y, z: this.home.z } : null
+        };
+    }
+
+    describe() {
+        if (this.settings.mode === 'off') return '⏹️ Off';
+        const pauseReason = this.pauseReason;
+        if (pauseReason) return `⏸️ Paused: ${pauseReason}`;
+
+        const last = this.lastAction
+            ? ` — ${ACTION_LABELS[this.lastAction.action]} <t:${Math.floor(this.lastAction.time / 1000)}:R>`
+            : '';
+        return `✅ ${AntiAfk.describeSettings(this.settings)}${last}`;
+    }
+}
+
+module.exports = { AntiAfk, AFK_MODES, AFK_LIMITS };
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const AUDIT_TYPES = [
+    'connect',
+    'disconnect',
+    'connected',
+    'kick',
+    'connection_lost',
+    'safety_disconnect',
+    'safety_escape',
+    'safety_escaped',
+    'safety_rejoin_abandoned',
+    'auth_prompt',
+    'chat',
+    'config'
+];
+
+// Append-only JSONL log. Entries are never rewritten; ids only grow, so they double as page cursors.
+class AuditLog {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.nextId = 1;
+        this.writeQueue = Promise.resolve();
+    }
+
+    static describeActor(actor) {
+        if (!actor) return 'unknown';
+        switch (actor.type) {
+            case 'discord':
+                return `${actor.tag} (Discord)`;
+            case 'web':
+                return `${actor.name || 'anonymous'} (web)`;
+            case 'safety':
+                return 'Safety system';
+            case 'server':
+                return 'Server';
+            default:
+                return 'System';
+        }
+    }
+
+    static describeEntry(entry) {
+        const actor = AuditLog.describeActor(entry.actor);
+        switch (entry.type) {
+            case 'connect':
+                return `🔄 Connect requested by ${actor}`;
+            case 'disconnect':
+                return `⏹️ Disconnect requested by ${actor}`;
+            case 'connected':
+                return `✅ Joined as ${entry.username}`;
+            case 'kick':
+                return `👢 Kicked: ${entry.reason}`;
+            case 'connection_lost':
+                return `📉 Connection lost: ${entry.reason || entry.category}`;
+            case 'safety_disconnect':
+                return `🚨 Safety disconnect: ${entry.reason}`;
+            case 'safety_escape':
+                return `🏃 Escaping: ${entry.reason}`;
+            case 'safety_escaped':
+                return `✅ Escaped after ${entry.command}`;
+            case 'safety_rejoin_abandoned':
+                return `🛑 Gave up rejoining after ${entry.attempts} attempts: ${entry.reason}`;
+            case 'auth_prompt':
+                return '🔐 Microsoft login requested';
+            case 'chat':
+                return entry.whisperTo
+                    ? `💬 ${actor} replied to ${entry.whisperTo}`
+                    : `💬 ${actor}: ${entry.message}`;
+            case 'config': {
+                const target = entry.player ? ` ${entry.action} ${entry.player}` : entry.action ? ` (${entry.action})` : '';
+                return `⚙️ ${actor} changed ${entry.setting}${target}`;
+            }
+            default:
+                return `${entry.type} by ${actor}`;
+        }
+    }
+
+    static discordActor(user) {
+        return { type: 'discord', id: user.id, tag: user.tag };
+    }
+
+    static webActor(req) {
+        return { type: 'web', ip: req.ip, name: req.auth?.name || null };
+    }
+
+    async load() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        let lastId = 0;
+        await this.readEntries((entry) => {
+            lastId = Math.max(lastId, entry.id || 0);
+        });
+        this.nextId = lastId + 1;
+    }
+
+    async readEntries(onEntry) {
+        let stream;
+        try {
+            stream = fs.createReadStream(this.filePath, { encoding: 'utf8' });
+            await new Promise((resolve, reject) => {
+                stream.once('open', resolve);
+                stream.once('error', reject);
+            });
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                onEntry(JSON.parse(line));
+            } catch (error) {
+                // A torn write from a crash only loses that one line
+            }
+        }
+    }
+
+    record(type, { actor = null, account = null, ...details } = {}) {
+        const entry = {
+            id: this.nextId++,
+            time: Date.now(),
+            type,
+            actor,
+            account,
+            ...details
+        };
+
+        this.writeQueue = this.writeQueue
+            .then(() => fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`))
+            .catch((error) => {
+                console.error('Failed to write audit log:', error);
+            });
+
+        return entry;
+    }
+
+    // Newest first; pass the returned nextBefore as before to get the next page
+    async list({ limit = 50, before = null, type = null, account = null } = {}) {
+        await this.writeQueue;
+
+        const matches = [];
+        await this.readEntries((entry) => {
+            if (before && entry.id >= before) return;
+            if (type && entry.type !== type) return;
+            if (account && entry.account !== account) return;
+
+            matches.push(entry);
+            if (matches.length > limit + 1) {
+                matches.shift();
+            }
+        });
+
+        // Only the last limit + 1 matches are kept, the extra one tells us there is another page
+        const hasMore = matches.length > limit;
+        const entries = matches.slice(-limit).reverse();
+        return {
+            entries,
+            nextBefore: hasMore && entries.length > 0 ? entries[entries.length - 1].id : null
+        };
+    }
+}
+
+module.exports = { AuditLog, AUDIT_TYPES };
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_FILE_SUFFIX = '-cache.json';
+
+// ============================================================================
+// AUTH CACHE
+// ============================================================================
+// The prismarine-auth token cache of one account, kept in its own directory so
+// it can be inspected and wiped without touching other accounts. Microsoft
+// does not tell us when a refresh token expires; it lasts refreshTokenLifetime
+// after it was last used, so the expiry shown here is an estimate.
+
+class AuthCache {
+    constructor(rootDir, accountId, config) {
+        this.rootDir = rootDir;
+        this.dir = path.join(rootDir, accountId);
+        this.config = config;
+        this.status = { linked: false };
+    }
+
+    async ensure() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+    }
+
+    // Caches written before accounts had their own directory sit directly in the root
+    async adoptLegacyFiles() {
+        const files = await fs.promises.readdir(this.rootDir).catch(() => []);
+        const legacy = files.filter(file => file.endsWith(CACHE_FILE_SUFFIX));
+        if (legacy.length === 0 || (await this.listCacheFiles()).length > 0) return 0;
+
+        await this.ensure();
+        for (const file of legacy) {
+            await fs.promises.rename(path.join(this.rootDir, file), path.join(this.dir, file));
+        }
+        return legacy.length;
+    }
+
+    async listCacheFiles() {
+        const files = await fs.promises.readdir(this.dir).catch(() => []);
+        return files.filter(file => file.endsWith(CACHE_FILE_SUFFIX));
+    }
+
+    async readCacheFile(file) {
+        try {
+            return JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Reads the cache files and updates this.status
+    async refresh() {
+        let refreshedAt = 0;
+        let minecraftTokenExpiresAt = null;
+        let hasRefreshToken = false;
+
+        for (const file of await this.listCacheFiles()) {
+            const data = await this.readCacheFile(file);
+
+            // Device code ("live") flow
+            if (data.token?.refresh_token) {
+                hasRefreshToken = true;
+                refreshedAt = Math.max(refreshedAt, data.token.obtainedOn || 0);
+            }
+
+            // MSAL flow
+            if (data.RefreshToken && Object.keys(data.RefreshToken).length > 0) {
+                hasRefreshToken = true;
+                for (const token of Object.values(data.AccessToken || {})) {
+                    refreshedAt = Math.max(refreshedAt, Number(token.cached_at) * 1000 || 0);
+                }
+            }
+
+            if (data.mca?.obtainedOn && data.mca?.expires_in) {
+                minecraftTokenExpiresAt = data.mca.obtainedOn + data.mca.expires_in * 1000;
+            }
+        }
+
+        this.status = {
+            linked: hasRefreshToken,
+            refreshedAt: refreshedAt || null,
+            minecraftTokenExpiresAt,
+            refreshTokenExpiresAt: hasRefreshToken && refreshedAt ? refreshedAt + this.config.refreshTokenLifetime : null
+        };
+        return this.status;
+    }
+
+    async clear() {
+        await fs.promises.rm(this.dir, { recursive: true, force: true });
+        await this.ensure();
+        this.status = { linked: false };
+    }
+
+    isExpiringSoon(now = Date.now()) {
+        const expiresAt = this.status.refreshTokenExpiresAt;
+        return !!expiresAt && expiresAt - now < this.config.expiryWarning;
+    }
+
+    describe() {
+        const { linked, refreshTokenExpiresAt, minecraftTokenExpiresAt } = this.status;
+        if (!linked) return '❌ Not linked - connect to sign in';
+
+        const parts = [];
+        if (refreshTokenExpiresAt) {
+            const icon = this.isExpiringSoon() ? '⚠️' : '✅';
+            parts.push(`${icon} Re-link by <t:${Math.floor(refreshTokenExpiresAt / 1000)}:D> (~<t:${Math.floor(refreshTokenExpiresAt / 1000)}:R>)`);
+        } else {
+            parts.push('✅ Linked');
+        }
+        if (minecraftTokenExpiresAt > Date.now()) {
+            parts.push(`Session token renews <t:${Math.floor(minecraftTokenExpiresAt / 1000)}:R>`);
+        }
+        return parts.join('\n');
+    }
+}
+
+module.exports = { AuthCache };
@@ -0,0 +1,130 @@
+// How close to the code's expiry a polling error counts as the code running out
+const EXPIRY_GRACE = 5000;
+
+const AUTH_STATES = {
+    idle: { label: 'Not signing in', emoji: '⚪' },
+    awaiting_code: { label: 'Requesting login code', emoji: '⏳' },
+    polling: { label: 'Waiting for sign-in', emoji: '🔐' },
+    authenticated: { label: 'Signed in', emoji: '✅' },
+    expired: { label: 'Login code expired', emoji: '⌛' },
+    failed: { label: 'Sign-in failed', emoji: '❌' }
+};
+
+// ============================================================================
+// AUTH FLOW
+// ============================================================================
+// Microsoft device code login of one account, driven by prismarine-auth's
+// onMsaCode callback:
+//   idle -> awaiting_code -> polling -> authenticated | expired | failed
+// awaiting_code is skipped when a cached login exists, since prismarine-auth
+// only asks for a code once the cached tokens turn out to be unusable.
+
+class AuthFlow {
+    constructor(onExpire) {
+        this.onExpire = onExpire;
+        this.state = 'idle';
+        this.since = Date.now();
+        this.url = null;
+        this.code = null;
+        this.expiresAt = null;
+        this.error = null;
+        this.expiryTimer = null;
+    }
+
+    get isPending() {
+        return this.state === 'polling';
+    }
+
+    get isActive() {
+        return this.state === 'awaiting_code' || this.state === 'polling';
+    }
+
+    transition(state, { error = null } = {}) {
+        this.state = state;
+        this.since = Date.now();
+        this.error = error;
+
+        if (state !== 'polling') {
+            this.clearExpiryTimer();
+            this.url = null;
+            this.code = null;
+            this.expiresAt = null;
+        }
+    }
+
+    awaitCode() {
+        this.transition('awaiting_code');
+    }
+
+    // data is the device code response: { user_code, verification_uri, expires_in, ... }
+    codeReceived(data) {
+        this.transition('polling');
+        this.code = data.user_code;
+        const baseUrl = data.verification_uri || 'https://www.microsoft.com/link';
+        this.url = `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}otc=${encodeURIComponent(data.user_code)}`;
+        this.expiresAt = data.expires_in ? Date.now() + data.expires_in * 1000 : null;
+
+        this.clearExpiryTimer();
+        if (this.expiresAt) {
+            this.expiryTimer = setTimeout(() => this.expire(), this.expiresAt - Date.now());
+        }
+    }
+
+    authenticated() {
+        this.transition('authenticated');
+    }
+
+    expire() {
+        if (!this.isPending) return;
+        this.transition('expired');
+        this.onExpire();
+    }
+
+    // Returns the state the flow ended in, or null when no login was in progress
+    fail(reason) {
+        if (!this.isActive) return null;
+
+        // prismarine-auth gives up polling on its own once the code runs out
+        if (this.isPending && this.expiresAt && Date.now() >= this.expiresAt - EXPIRY_GRACE) {
+            this.expire();
+            return 'expired';
+        }
+
+        this.transition('failed', { error: reason || null });
+        return 'failed';
+    }
+
+    reset() {
+        this.transition('idle');
+    }
+
+    clearExpiryTimer() {
+        if (this.expiryTimer) {
+            clearTimeout(this.expiryTimer);
+            this.expiryTimer = null;
+        }
+    }
+
+    describe() {
+        const { label, emoji } = AUTH_STATES[this.state];
+        if (this.isPending && this.expiresAt) {
+            return `${emoji} ${label} (code expires <t:${Math.floor(this.expiresAt / 1000)}:R>)`;
+        }
+        if (this.state === 'failed' && this.error) {
+            return `${emoji} ${label}: ${this.error}`;
+        }
+        return `${emoji} ${label}`;
+    }
+
+    // The link and code are left out; callers decide who may see them
+    toJSON() {
+        return {
+            state: this.state,
+            since: this.since,
+            expiresAt: this.expiresAt,
+            error: this.error
+        };
+    }
+}
+
+module.exports = { AuthFlow, AUTH_STATES };
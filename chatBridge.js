@@ -0,0 +1,253 @@
+const { WebhookClient, escapeMarkdown } = require('discord.js');
+
+const DISCORD_MESSAGE_LIMIT = 2000;
+const MAX_QUEUE_SIZE = 200;
+const MINECRAFT_CHAT_LIMIT = 256;
+const FORMATTING_CODE_PATTERN = /§[0-9a-fk-orx]/gi;
+const WEBHOOK_URL_PATTERN = /^https:\/\/(?:canary\.|ptb\.)?discord(?:app)?\.com\/api\/webhooks\/\d+\/[\w-]+$/;
+
+const DEFAULT_BRIDGE_CONFIG = {
+    enabled: false,
+    channelId: process.env.CHAT_BRIDGE_CHANNEL_ID || null,
+    webhookUrl: process.env.CHAT_BRIDGE_WEBHOOK_URL || null,
+    includePatterns: [],
+    excludePatterns: [],
+    batchInterval: 2000,
+    allowCommands: false,
+    // Account whose chat is relayed and who speaks for the channel; null means the first account
+    accountId: null
+};
+
+class ChatBridge {
+    constructor(discordClient, accountIds = []) {
+        this.discordClient = discordClient;
+        this.accountIds = accountIds;
+        this.config = { ...DEFAULT_BRIDGE_CONFIG };
+        this.includeRegexes = [];
+        this.excludeRegexes = [];
+        this.queue = [];
+        this.droppedCount = 0;
+        this.flushTimer = null;
+        this.webhook = null;
+        this.relayedCount = 0;
+    }
+
+    static stripFormatting(text) {
+        return text.replace(FORMATTING_CODE_PATTERN, '');
+    }
+
+    static compilePatterns(patterns, errors, label) {
+        const regexes = [];
+        for (const pattern of patterns) {
+            try {
+                regexes.push(new RegExp(pattern, 'i'));
+            } catch (error) {
+                errors.push(`Invalid ${label} pattern "${pattern}": ${error.message}`);
+            }
+        }
+        return regexes;
+    }
+
+    updateConfig(changes) {
+        const errors = [];
+        const next = { ...this.config };
+
+        for (const key of Object.keys(changes)) {
+            if (!(key in DEFAULT_BRIDGE_CONFIG)) {
+                errors.push(`Unknown bridge setting: ${key}`);
+            }
+        }
+
+        for (const key of ['enabled', 'allowCommands']) {
+            if (changes[key] === undefined) continue;
+            if (typeof changes[key] !== 'boolean') {
+                errors.push(`${key} must be true or false`);
+            } else {
+                next[key] = changes[key];
+            }
+        }
+
+        if (changes.channelId !== undefined) {
+            if (changes.channelId !== null && !/^\d{17,20}$/.test(String(changes.channelId))) {
+                errors.push('channelId must be a Discord channel ID');
+            } else {
+                next.channelId = changes.channelId === null ? null : String(changes.channelId);
+            }
+        }
+
+        if (changes.webhookUrl !== undefined) {
+            if (changes.webhookUrl !== null && !WEBHOOK_URL_PATTERN.test(String(changes.webhookUrl))) {
+                errors.push('webhookUrl must be a Discord webhook URL');
+            } else {
+                next.webhookUrl = changes.webhookUrl;
+            }
+        }
+
+        if (changes.accountId !== undefined) {
+            if (changes.accountId !== null && !this.accountIds.includes(changes.accountId)) {
+                errors.push(`accountId must be one of: ${this.accountIds.join(', ')}`);
+            } else {
+                next.accountId = changes.accountId;
+            }
+        }
+
+        if (changes.batchInterval !== undefined) {
+            const interval = Number(changes.batchInterval);
+            if (!Number.isInteger(interval) || interval < 1000 || interval > 60000) {
+                errors.push('batchInterval must be an integer between 1000 and 60000');
+            } else {
+                next.batchInterval = interval;
+            }
+        }
+
+        for (const key of ['includePatterns', 'excludePatterns']) {
+            if (changes[key] === undefined) continue;
+            if (!Array.isArray(changes[key]) || !changes[key].every(p => typeof p === 'string' && p.length > 0)) {
+                errors.push(`${key} must be an array of non-empty strings`);
+            } else {
+                next[key] = [...changes[key]];
+            }
+        }
+
+        const includeRegexes = ChatBridge.compilePatterns(next.includePatterns, errors, 'include');
+        const excludeRegexes = ChatBridge.compilePatterns(next.excludePatterns, errors, 'exclude');
+
+        if (next.enabled && !next.channelId && !next.webhookUrl) {
+            errors.push('Set a channelId or webhookUrl before enabling the bridge');
+        }
+
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        if (next.webhookUrl !== this.config.webhookUrl) {
+            this.webhook?.destroy();
+            this.webhook = next.webhookUrl ? new WebhookClient({ url: next.webhookUrl }) : null;
+        }
+
+        const intervalChanged = next.batchInterval !== this.config.batchInterval;
+        this.config = next;
+        this.includeRegexes = includeRegexes;
+        this.excludeRegexes = excludeRegexes;
+
+        if (!this.config.enabled) {
+            this.stop();
+        } else if (!this.flushTimer || intervalChanged) {
+            this.start();
+        }
+
+        return { success: true, config: this.getConfig() };
+    }
+
+    getConfig() {
+        return {
+            ...this.config,
+            webhookUrl: this.config.webhookUrl ? this.config.webhookUrl.replace(/\/[\w-]+$/, '/…') : null
+        };
+    }
+
+    start() {
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+        }
+        this.flushTimer = setInterval(() => this.flush(), this.config.batchInterval);
+    }
+
+    stop() {
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+        this.queue = [];
+        this.droppedCount = 0;
+    }
+
+    shouldRelay(text) {
+        if (this.includeRegexes.length > 0 && !this.includeRegexes.some(regex => regex.test(text))) {
+            return false;
+        }
+        return !this.excludeRegexes.some(regex => regex.test(text));
+    }
+
+    push(message) {
+        if (!this.config.enabled) return;
+
+        const text = ChatBridge.stripFormatting(message).trim();
+        if (!text || !this.shouldRelay(text)) return;
+
+        this.queue.push(text);
+        if (this.queue.length > MAX_QUEUE_SIZE) {
+            this.queue.shift();
+            this.droppedCount++;
+        }
+    }
+
+    async flush() {
+        if (this.queue.length === 0) return;
+
+        const lines = this.queue.map(line => ({ text: escapeMarkdown(line), relayed: 1 }));
+        this.queue = [];
+
+        // The notice is not a relayed message, so it does not count towards relayedCount
+        if (this.droppedCount > 0) {
+            lines.unshift({ text: `*… ${this.droppedCount} message(s) dropped to respect rate limits*`, relayed: 0 });
+            this.droppedCount = 0;
+        }
+
+        const chunks = [];
+        let current = { content: '', relayed: 0 };
+        for (const line of lines) {
+            const safeLine = line.text.substring(0, DISCORD_MESSAGE_LIMIT);
+            if (current.content && current.content.length + safeLine.length + 1 > DISCORD_MESSAGE_LIMIT) {
+                chunks.push(current);
+                current = { content: '', relayed: 0 };
+            }
+            current.content += (current.content ? '\n' : '') + safeLine;
+            current.relayed += line.relayed;
+        }
+        if (current.content) chunks.push(current);
+
+        for (const { content, relayed } of chunks) {
+            if (await this.send(content)) {
+                this.relayedCount += relayed;
+            }
+        }
+    }
+
+    // Returns whether the message reached Discord
+    async send(content) {
+        const payload = { content, allowedMentions: { parse: [] } };
+
+        try {
+            if (this.webhook) {
+                await this.webhook.send({ ...payload, username: 'DonutAFK Chat' });
+                return true;
+            }
+
+            const channel = await this.discordClient.channels.fetch(this.config.channelId);
+            if (channel) {
+                await channel.send(payload);
+                return true;
+            }
+        } catch (error) {
+            console.error('Failed to relay chat to Discord:', error);
+        }
+        return false;
+    }
+
+    isBridgeChannel(channelId) {
+        return this.config.enabled && this.config.channelId === channelId;
+    }
+
+    // Returns { text } to send in-game, { error } if the message is rejected, or null if it is empty
+    prepareOutgoing(content) {
+        const text = content.replace(/\s+/g, ' ').trim();
+        if (!text) return null;
+        if (text.startsWith('/') && !this.config.allowCommands) {
+            return { error: '❌ Commands are disabled for the chat bridge.' };
+        }
+        return { text: text.substring(0, MINECRAFT_CHAT_LIMIT) };
+    }
+}
+
+module.exports = { ChatBridge, DEFAULT_BRIDGE_CONFIG };
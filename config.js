@@ -0,0 +1,385 @@
+const fs = require('fs');
+const path = require('path');
+const { RECONNECT_STRATEGIES } = require('./reconnectPolicy');
+const { AFK_MODES, AFK_LIMITS } = require('./antiAfk');
+
+const ACCOUNT_ID_PATTERN = /^[\w-]{1,32}$/;
+const MINECRAFT_AUTH_MODES = ['microsoft', 'offline'];
+const MINECRAFT_VERSION_PATTERN = /^\d+\.\d+(\.\d+)?$/;
+const OFFLINE_USERNAME_PATTERN = /^\w{3,16}$/;
+
+// Optional JSON file ({ "minecraft": { "host": ..., "port": ..., ... } }); env vars take precedence.
+// Read errors are kept and reported by validateConfig() so startup can fail with a clear message.
+function loadConfigFile() {
+    const filePath = process.env.CONFIG_FILE || path.join(__dirname, 'config.json');
+    try {
+        return { filePath, data: JSON.parse(fs.readFileSync(filePath, 'utf8')), error: null };
+    } catch (error) {
+        if (error.code === 'ENOENT' && !process.env.CONFIG_FILE) {
+            return { filePath: null, data: {}, error: null };
+        }
+        return { filePath, data: {}, error: `Could not read config file ${filePath}: ${error.message}` };
+    }
+}
+
+// "false"/"auto" lets mineflayer detect the server version
+function parseVersion(value) {
+    if (value === undefined) return undefined;
+    if (value === false || value === 'false' || value === 'auto') return false;
+    return String(value);
+}
+
+function parseNumber(value) {
+    return value === undefined || value === '' ? undefined : Number(value);
+}
+
+function parseIdList(value) {
+    return (value || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+// WEB_API_TOKENS="deploy:s3cret:full,grafana:t0ken:read" - scope defaults to full.
+// Malformed entries are kept so validateConfig() can report them.
+function parseApiTokens(value) {
+    return parseIdList(value).map((entry) => {
+        const [name, token, scope = 'full'] = entry.split(':');
+        return { name, token, scope };
+    });
+}
+
+// DISCORD_PERMISSIONS="<role or user id>:connect+chat,<id>:*" - role and user IDs share one namespace
+function parsePermissionGrants(value) {
+    return parseIdList(value).map((entry) => {
+        const [id, capabilities = ''] = entry.split(':');
+        return { id, capabilities: capabilities.split('+').map(c => c.trim()).filter(Boolean) };
+    });
+}
+
+// Seconds in env vars and the config file, milliseconds in CONFIG
+function parseSeconds(value) {
+    return value === undefined || value === '' ? undefined : Number(value) * 1000;
+}
+
+// "01:00-07:00" in server local time; ranges may wrap past midnight. Kept as-is when malformed.
+function parseQuietHours(value) {
+    if (!value) return null;
+    const match = String(value).trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    if (!match) return { raw: String(value) };
+
+    const [, startHour, startMinute, endHour, endMinute] = match.map(Number);
+    return {
+        raw: String(value),
+        start: startHour * 60 + startMinute,
+        end: endHour * 60 + endMinute
+    };
+}
+
+function parseDays(value) {
+    return value === undefined || value === '' ? undefined : Number(value) * 24 * 60 * 60 * 1000;
+}
+
+const configFile = loadConfigFile();
+const fileMinecraft = configFile.data.minecraft || {};
+const fileReconnect = configFile.data.reconnect || {};
+const stateFile = process.env.STATE_FILE || path.join(__dirname, 'data', 'state.json');
+
+function pick(...values) {
+    return values.find(value => value !== undefined && value !== '');
+}
+
+// MINECRAFT_ACCOUNTS="main,alt1=alt1@example.com" - the part after "=" is the
+// Microsoft login / token cache key, and defaults to the account id.
+// Invalid entries are skipped and reported by validateConfig(), like config file errors.
+function parseAccounts(value) {
+    // Single account without a username keeps using mineflayer's default token cache entry
+    const defaultAccounts = [{ id: 'main', username: undefined }];
+    if (!value || !value.trim()) {
+        return { accounts: defaultAccounts, errors: [] };
+    }
+
+    const accounts = [];
+    const errors = [];
+    for (const entry of value.split(',').map(e => e.trim()).filter(Boolean)) {
+        const [id, username] = entry.split('=').map(part => part.trim());
+        if (!ACCOUNT_ID_PATTERN.test(id)) {
+            errors.push(`Invalid account id "${id}" in MINECRAFT_ACCOUNTS (use letters, numbers, _ or -)`);
+            continue;
+        }
+        if (accounts.some(a => a.id === id)) {
+            errors.push(`Duplicate account id "${id}" in MINECRAFT_ACCOUNTS`);
+            continue;
+        }
+        accounts.push({ id, username: username || id });
+    }
+    return { accounts: accounts.length > 0 ? accounts : defaultAccounts, errors };
+}
+
+const accountConfig = parseAccounts(process.env.MINECRAFT_ACCOUNTS);
+
+const CONFIG = {
+    discord: {
+        token: process.env.DISCORD_BOT_TOKEN,
+        channelId: process.env.DISCORD_CHANNEL_ID,
+        // Privileged intent needed to read bridge channel messages; disable if not granted in the developer portal
+        messageContentIntent: process.env.DISCORD_MESSAGE_CONTENT !== 'false',
+        permissions: {
+            grants: parsePermissionGrants(process.env.DISCORD_PERMISSIONS),
+            // What every member of the guild may do without a grant. Only viewing by default;
+            // DISCORD_DEFAULT_CAPABILITIES=* restores the old behaviour where everyone can do everything
+            defaultCapabilities: parseIdList(process.env.DISCORD_DEFAULT_CAPABILITIES ?? 'view'),
+            // Members with the Administrator permission can always do everything
+            adminBypass: process.env.DISCORD_ADMIN_BYPASS !== 'false'
+        }
+    },
+    minecraft: {
+        host: pick(process.env.MINECRAFT_HOST, fileMinecraft.host, 'donutsmp.net'),
+        port: pick(parseNumber(process.env.MINECRAFT_PORT), parseNumber(fileMinecraft.port), 25565),
+        version: pick(parseVersion(process.env.MINECRAFT_VERSION), parseVersion(fileMinecraft.version), '1.21.8'),
+        auth: pick(process.env.MINECRAFT_AUTH, fileMinecraft.auth, 'microsoft'),
+        // Microsoft token cache, one subdirectory per account; kept next to the state file so it survives redeploys
+        profilesFolder: pick(process.env.MINECRAFT_PROFILES_DIR, fileMinecraft.profilesFolder, path.join(path.dirname(stateFile), 'auth'))
+    },
+    minecraftAuth: {
+        // Microsoft refresh tokens stay valid this long after their last use
+        refreshTokenLifetime: pick(parseDays(process.env.AUTH_REFRESH_TOKEN_DAYS), 90 * 24 * 60 * 60 * 1000),
+        // DM the last person who signed in this long before the estimated expiry
+        expiryWarning: pick(parseDays(process.env.AUTH_EXPIRY_WARNING_DAYS), 7 * 24 * 60 * 60 * 1000)
+    },
+    accounts: accountConfig.accounts,
+    reconnect: {
+        strategy: pick(process.env.RECONNECT_STRATEGY, fileReconnect.strategy, 'exponential'),
+        baseDelay: pick(parseSeconds(process.env.RECONNECT_BASE_DELAY), parseSeconds(fileReconnect.baseDelay), 15000),
+        maxDelay: pick(parseSeconds(process.env.RECONNECT_MAX_DELAY), parseSeconds(fileReconnect.maxDelay), 15 * 60 * 1000),
+        // Random spread as a fraction of the delay, so attempts do not land on a fixed cadence
+        jitter: pick(parseNumber(process.env.RECONNECT_JITTER), parseNumber(fileReconnect.jitter), 0.3),
+        maxAttempts: pick(parseNumber(process.env.RECONNECT_MAX_ATTEMPTS), parseNumber(fileReconnect.maxAttempts), 10000),
+        quietHours: parseQuietHours(pick(process.env.RECONNECT_QUIET_HOURS, fileReconnect.quietHours)),
+        // After a restart kick or while the server is down, ping this often and only rejoin once it answers
+        restartProbeInterval: pick(parseSeconds(process.env.RECONNECT_RESTART_PROBE_INTERVAL), parseSeconds(fileReconnect.restartProbeInterval), 15000),
+        restartMaxWait: pick(parseSeconds(process.env.RECONNECT_RESTART_MAX_WAIT), parseSeconds(fileReconnect.restartMaxWait), 30 * 60 * 1000)
+    },
+    serverMonitor: {
+        enabled: process.env.SERVER_PING_ENABLED !== 'false',
+        interval: pick(parseSeconds(process.env.SERVER_PING_INTERVAL), 60000),
+        // 24 hours at the default interval
+        historySize: pick(parseNumber(process.env.SERVER_PING_HISTORY), 1440)
+    },
+    // Defaults for accounts that have not been configured with /afk yet
+    antiAfk: {
+        mode: process.env.AFK_MODE || 'off',
+        minInterval: pick(parseSeconds(process.env.AFK_MIN_INTERVAL), 15000),
+        maxInterval: pick(parseSeconds(process.env.AFK_MAX_INTERVAL), 60000),
+        walkRadius: pick(parseNumber(process.env.AFK_WALK_RADIUS), 3)
+    },
+    webServer: {
+        port: process.env.PORT || 3000,
+        host: '0.0.0.0'
+    },
+    webAuth: {
+        // Only for trusted networks: leaves the dashboard and API open to anyone who can reach the port
+        disabled: process.env.WEB_AUTH_DISABLED === 'true',
+        apiTokens: parseApiTokens(process.env.WEB_API_TOKENS),
+        password: process.env.WEB_PASSWORD || null,
+        sessionTtl: 12 * 60 * 60 * 1000,
+        // Where the generated token goes when no credentials are configured
+        generatedTokenFile: process.env.WEB_GENERATED_TOKEN_FILE || path.join(path.dirname(stateFile), 'web-token'),
+        discordOAuth: {
+            clientId: process.env.DISCORD_CLIENT_ID || null,
+            clientSecret: process.env.DISCORD_CLIENT_SECRET || null,
+            redirectUri: process.env.DISCORD_OAUTH_REDIRECT_URI || null,
+            guildId: process.env.DISCORD_GUILD_ID || null,
+            fullRoleIds: parseIdList(process.env.WEB_FULL_ROLE_IDS),
+            readRoleIds: parseIdList(process.env.WEB_READ_ROLE_IDS)
+        }
+    },
+    state: {
+        file: stateFile
+    },
+    audit: {
+        // Next to the state file, like the other data files, so it survives redeploys
+        file: process.env.AUDIT_FILE || path.join(path.dirname(stateFile), 'audit.jsonl')
+    }
+};
+
+// integer: values are rounded; entity radii of 0 turn that entity group off
+const SAFETY_LIMITS = {
+    proximityRadius: { min: 1, max: 256, integer: true },
+    minHealth: { min: 0, max: 20 },
+    autoDisconnectHealth: { min: 0, max: 20 },
+    alertCooldown: { min: 5000, max: 3600000, integer: true },
+    autoEatThreshold: { min: 1, max: 20, integer: true },
+    hostileMobRadius: { min: 0, max: 64, integer: true },
+    tntRadius: { min: 0, max: 64, integer: true },
+    endCrystalRadius: { min: 0, max: 64, integer: true },
+    projectileRadius: { min: 0, max: 64, integer: true }
+};
+
+const SAFETY_TOGGLES = [
+    'enabled',
+    'autoDisconnectOnThreat',
+    'autoDisconnectOnBlocked',
+    'alertOnBlockedJoin',
+    'leaveWhenBlockedOnline',
+    'autoEat',
+    'autoDisconnectOnEntities'
+];
+
+const PLAYER_NAME_PATTERN = /^\.?[A-Za-z0-9_]{1,16}$/;
+
+// "read" can view the dashboard with sensitive fields redacted; "full" can also control the bot
+const WEB_SCOPES = ['full', 'read'];
+
+const DISCORD_CAPABILITIES = {
+    view: 'View status',
+    connect: 'Control connection',
+    chat: 'Send chat',
+    safety: 'Manage safety',
+    lists: 'Manage player lists'
+};
+
+function validateConfig() {
+    const errors = [];
+    const { minecraft } = CONFIG;
+
+    if (configFile.error) {
+        errors.push(configFile.error);
+    }
+    errors.push(...accountConfig.errors);
+
+    if (typeof minecraft.host !== 'string' || !/^[\w.-]{1,253}$/.test(minecraft.host)) {
+        errors.push(`Invalid Minecraft host: ${minecraft.host}`);
+    }
+
+    if (!Number.isInteger(minecraft.port) || minecraft.port < 1 || minecraft.port > 65535) {
+        errors.push(`Invalid Minecraft port: ${minecraft.port} (must be 1-65535)`);
+    }
+
+    if (minecraft.version !== false && !MINECRAFT_VERSION_PATTERN.test(minecraft.version)) {
+        errors.push(`Invalid Minecraft version: ${minecraft.version} (use e.g. 1.21.8, or false/auto to detect)`);
+    }
+
+    if (!MINECRAFT_AUTH_MODES.includes(minecraft.auth)) {
+        errors.push(`Invalid Minecraft auth mode: ${minecraft.auth} (must be ${MINECRAFT_AUTH_MODES.join(' or ')})`);
+    }
+
+    if (typeof minecraft.profilesFolder !== 'string') {
+        errors.push('Minecraft profilesFolder must be a directory path');
+    }
+
+    const { refreshTokenLifetime, expiryWarning } = CONFIG.minecraftAuth;
+    if (!Number.isFinite(refreshTokenLifetime) || refreshTokenLifetime <= 0) {
+        errors.push('AUTH_REFRESH_TOKEN_DAYS must be a positive number of days');
+    }
+    if (!Number.isFinite(expiryWarning) || expiryWarning < 0 || expiryWarning >= refreshTokenLifetime) {
+        errors.push('AUTH_EXPIRY_WARNING_DAYS must be at least 0 and shorter than AUTH_REFRESH_TOKEN_DAYS');
+    }
+
+    // Offline servers take the username as-is, so it has to be a valid player name
+    if (minecraft.auth === 'offline') {
+        for (const account of CONFIG.accounts) {
+            const username = account.username || account.id;
+            if (!OFFLINE_USERNAME_PATTERN.test(username)) {
+                errors.push(`Account "${account.id}" needs a 3-16 character player name for offline auth, got "${username}"`);
+            }
+        }
+    }
+
+    const { reconnect } = CONFIG;
+    if (!(reconnect.strategy in RECONNECT_STRATEGIES)) {
+        errors.push(`Unknown reconnect strategy: ${reconnect.strategy} (use ${Object.keys(RECONNECT_STRATEGIES).join(' or ')})`);
+    }
+    for (const key of ['baseDelay', 'maxDelay', 'restartProbeInterval', 'restartMaxWait']) {
+        if (!Number.isFinite(reconnect[key]) || reconnect[key] < 1000) {
+            errors.push(`Reconnect ${key} must be at least 1 second`);
+        }
+    }
+    if (reconnect.maxDelay < reconnect.baseDelay) {
+        errors.push('Reconnect maxDelay must not be shorter than baseDelay');
+    }
+    if (!Number.isFinite(reconnect.jitter) || reconnect.jitter < 0 || reconnect.jitter > 1) {
+        errors.push(`Reconnect jitter must be between 0 and 1, got ${reconnect.jitter}`);
+    }
+    if (!Number.isInteger(reconnect.maxAttempts) || reconnect.maxAttempts < 1) {
+        errors.push(`Reconnect maxAttempts must be a positive whole number, got ${reconnect.maxAttempts}`);
+    }
+    const { quietHours } = reconnect;
+    if (quietHours && (quietHours.start === undefined || quietHours.start >= 24 * 60 || quietHours.end >= 24 * 60 || quietHours.start === quietHours.end)) {
+        errors.push(`Invalid reconnect quiet hours "${quietHours.raw}" (use HH:MM-HH:MM, e.g. 01:00-07:00)`);
+    }
+
+    const { serverMonitor } = CONFIG;
+    if (!Number.isFinite(serverMonitor.interval) || serverMonitor.interval < 5000) {
+        errors.push('SERVER_PING_INTERVAL must be at least 5 seconds');
+    }
+    if (!Number.isInteger(serverMonitor.historySize) || serverMonitor.historySize < 1) {
+        errors.push(`SERVER_PING_HISTORY must be a positive whole number, got ${serverMonitor.historySize}`);
+    }
+
+    const { antiAfk } = CONFIG;
+    if (!(antiAfk.mode in AFK_MODES)) {
+        errors.push(`Unknown AFK_MODE: ${antiAfk.mode} (use ${Object.keys(AFK_MODES).join(', ')})`);
+    }
+    for (const [key, name] of [['minInterval', 'AFK_MIN_INTERVAL'], ['maxInterval', 'AFK_MAX_INTERVAL']]) {
+        const { min, max } = AFK_LIMITS[key];
+        if (!Number.isFinite(antiAfk[key]) || antiAfk[key] < min || antiAfk[key] > max) {
+            errors.push(`${name} must be between ${min / 1000} and ${max / 1000} seconds`);
+        }
+    }
+    if (antiAfk.minInterval > antiAfk.maxInterval) {
+        errors.push('AFK_MIN_INTERVAL must not be longer than AFK_MAX_INTERVAL');
+    }
+    if (!Number.isFinite(antiAfk.walkRadius) || antiAfk.walkRadius < AFK_LIMITS.walkRadius.min || antiAfk.walkRadius > AFK_LIMITS.walkRadius.max) {
+        errors.push(`AFK_WALK_RADIUS must be between ${AFK_LIMITS.walkRadius.min} and ${AFK_LIMITS.walkRadius.max} blocks`);
+    }
+
+    const { grants, defaultCapabilities } = CONFIG.discord.permissions;
+    const isCapability = capability => capability === '*' || capability in DISCORD_CAPABILITIES;
+    for (const { id, capabilities } of grants) {
+        if (!/^\d{17,20}$/.test(id)) {
+            errors.push(`Invalid role or user ID in DISCORD_PERMISSIONS: ${id}`);
+        }
+        for (const capability of capabilities.filter(c => !isCapability(c))) {
+            errors.push(`Unknown capability "${capability}" for ${id} (use ${Object.keys(DISCORD_CAPABILITIES).join(', ')} or *)`);
+        }
+    }
+    for (const capability of defaultCapabilities.filter(c => !isCapability(c))) {
+        errors.push(`Unknown capability "${capability}" in DISCORD_DEFAULT_CAPABILITIES`);
+    }
+
+    const { apiTokens, discordOAuth } = CONFIG.webAuth;
+    for (const { name, token, scope } of apiTokens) {
+        if (!name || !token || token.length < 16) {
+            errors.push(`API token "${name || '(unnamed)'}" must be name:token with a token of at least 16 characters`);
+        }
+        if (!WEB_SCOPES.includes(scope)) {
+            errors.push(`API token "${name}" has invalid scope "${scope}" (must be ${WEB_SCOPES.join(' or ')})`);
+        }
+    }
+
+    const oauthFields = ['clientId', 'clientSecret', 'redirectUri', 'guildId'];
+    const setOauthFields = oauthFields.filter(key => discordOAuth[key]);
+    if (setOauthFields.length > 0 && setOauthFields.length < oauthFields.length) {
+        errors.push('Discord login needs all of DISCORD_CLIENT_ID, DISCORD_CLIENT_SECRET, DISCORD_OAUTH_REDIRECT_URI and DISCORD_GUILD_ID');
+    }
+    if (setOauthFields.length === oauthFields.length && discordOAuth.fullRoleIds.length === 0 && discordOAuth.readRoleIds.length === 0) {
+        errors.push('Discord login needs WEB_FULL_ROLE_IDS or WEB_READ_ROLE_IDS to decide who may sign in');
+    }
+
+    return errors;
+}
+
+function describeMinecraftTarget() {
+    const { host, port, version, auth } = CONFIG.minecraft;
+    return `${host}:${port} (version ${version || 'auto'}, ${auth} auth${configFile.filePath ? `, from ${configFile.filePath}` : ''})`;
+}
+
+module.exports = {
+    CONFIG,
+    SAFETY_LIMITS,
+    SAFETY_TOGGLES,
+    PLAYER_NAME_PATTERN,
+    ACCOUNT_ID_PATTERN,
+    WEB_SCOPES,
+    DISCORD_CAPABILITIES,
+    validateConfig,
+    describeMinecraftTarget
+};
@@ -0,0 +1,281 @@
+const MAX_HISTORY = 50;
+// Hurt events, swings and sounds older than this are not tied to a health drop
+const SIGNAL_WINDOW = 1500;
+const MELEE_RANGE = 6;
+const SOUND_RANGE = 16;
+const MIN_FALL_DISTANCE = 3.5;
+// How long a player who hurt the bot counts as a threat everywhere they are in range
+const ATTACKER_THREAT_DURATION = 30 * 60 * 1000;
+
+const DAMAGE_CAUSES = {
+    player: { label: 'Player', emoji: '⚔️' },
+    mob: { label: 'Mob', emoji: '🧟' },
+    projectile: { label: 'Projectile', emoji: '🏹' },
+    explosion: { label: 'Explosion', emoji: '💥' },
+    fall: { label: 'Fall damage', emoji: '🪂' },
+    lava: { label: 'Lava', emoji: '🌋' },
+    fire: { label: 'Fire', emoji: '🔥' },
+    drowning: { label: 'Drowning', emoji: '🫧' },
+    freezing: { label: 'Freezing', emoji: '🥶' },
+    lightning: { label: 'Lightning', emoji: '⚡' },
+    starvation: { label: 'Starvation', emoji: '🍗' },
+    poison: { label: 'Poison', emoji: '🧪' },
+    wither: { label: 'Wither', emoji: '🖤' },
+    unknown: { label: 'Unknown', emoji: '❓' }
+};
+
+// First match wins; names are vanilla sound ids with or without the minecraft: prefix
+const SOUND_CAUSES = [
+    ['fire', /hurt_on_fire/],
+    ['drowning', /hurt_drown/],
+    ['freezing', /hurt_freeze/],
+    ['explosion', /explode/],
+    ['lightning', /lightning/],
+    ['projectile', /arrow\.hit|trident\.hit/],
+    ['fall', /(big|small)_fall/]
+];
+
+const ATTACKER_TYPES = ['player', 'hostile', 'mob'];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// ============================================================================
+// DAMAGE TRACKER
+// ============================================================================
+// Works out who or what hurt the bot. A health drop is matched against what
+// happened just before it: the server's hurt event (which names the attacker
+// on 1.19.4+), nearby entities swinging their arm, hurt sounds, falls and the
+// bot's own state (lava, hunger, air, effects).
+
+class DamageTracker {
+    constructor() {
+        this.entries = [];
+        this.lastHealth = null;
+        this.lastHurt = null;
+        this.swings = new Map();
+        this.sounds = [];
+        this.fallPeak = null;
+        this.lastFall = null;
+    }
+
+    static describeAttacker(attacker) {
+        const held = attacker.heldItem ? ` holding ${attacker.heldItem}` : '';
+        const distance = attacker.distance !== null ? ` (${attacker.distance}m)` : '';
+        return `**${attacker.name}**${distance}${held}`;
+    }
+
+    static describe(entry) {
+        const cause = DAMAGE_CAUSES[entry.cause] || DAMAGE_CAUSES.unknown;
+        const likely = entry.confirmed || entry.cause === 'unknown' ? '' : ' (likely)';
+        if (entry.attacker) {
+            return `${cause.emoji} ${cause.label}${likely}: ${DamageTracker.describeAttacker(entry.attacker)}`;
+        }
+        return `${cause.emoji} ${cause.label}${likely}${entry.detail ? `: ${entry.detail}` : ''}`;
+    }
+
+    static toAttacker(entity, origin) {
+        return {
+            type: entity.type === 'player' ? 'player' : 'mob',
+            name: entity.username || entity.displayName || entity.name || 'Unknown',
+            distance: origin && entity.position ? Math.round(origin.distanceTo(entity.position)) : null,
+            heldItem: entity.heldItem?.displayName || entity.heldItem?.name || null
+        };
+    }
+
+    get last() {
+        return this.entries[0] || null;
+    }
+
+    load(entries) {
+        if (!Array.isArray(entries)) return;
+        this.entries = entries
+            .filter(e => e && typeof e.time === 'number' && e.cause in DAMAGE_CAUSES)
+            .slice(0, MAX_HISTORY);
+    }
+
+    // Called on spawn, so respawning at full health is not taken for healing
+    reset(health) {
+        this.lastHealth = health;
+        this.lastHurt = null;
+        this.swings.clear();
+        this.sounds = [];
+        this.fallPeak = null;
+        this.lastFall = null;
+    }
+
+    // Returns how much health was lost since the last update, or 0
+    healthChanged(health) {
+        if (health === undefined || health === null) return 0;
+        const previous = this.lastHealth;
+        this.lastHealth = health;
+        return previous !== null && health < previous ? round(previous - health) : 0;
+    }
+
+    recordHurt(source) {
+        this.lastHurt = { time: Date.now(), source: source || null };
+    }
+
+    recordSwing(entity) {
+        this.swings.set(entity.id, Date.now());
+    }
+
+    recordSound(name, position, origin) {
+        if (origin && position && origin.distanceTo(position) > SOUND_RANGE) return;
+        const now = Date.now();
+        this.sounds = this.sounds.filter(sound => now - sound.time < SIGNAL_WINDOW);
+        this.sounds.push({ time: now, name: String(name) });
+    }
+
+    // Called on every move; remembers the height of the last fall once the bot lands
+    trackFall(entity) {
+        if (!entity?.position) return;
+        const y = entity.position.y;
+        if (!entity.onGround) {
+            this.fallPeak = this.fallPeak === null ? y : Math.max(this.fallPeak, y);
+        } else if (this.fallPeak !== null) {
+            this.lastFall = { time: Date.now(), distance: this.fallPeak - y };
+            this.fallPeak = null;
+        }
+    }
+
+    isRecent(signal) {
+        return signal && Date.now() - signal.time < SIGNAL_WINDOW;
+    }
+
+    recentSound(pattern) {
+        return this.sounds.some(sound => this.isRecent(sound) && pattern.test(sound.name));
+    }
+
+    // Nearest player or hostile mob within range; swungOnly leaves out those that did not just swing
+    findNearbyAttacker(bot, range, swungOnly) {
+        const origin = bot.entity.position;
+        let best = null;
+        for (const entity of Object.values(bot.entities || {})) {
+            if (entity === bot.entity || !ATTACKER_TYPES.includes(entity.type) || !entity.position) continue;
+            if (swungOnly && !this.isRecent({ time: this.swings.get(entity.id) ?? 0 })) continue;
+
+            const distance = origin.distanceTo(entity.position);
+            if (distance <= range && (!best || distance < best.distance)) {
+                best = { entity, distance };
+            }
+        }
+        return best?.entity || null;
+    }
+
+    attribute(bot) {
+        const origin = bot.entity.position;
+        const attackerResult = (entity, confirmed) => {
+            const attacker = DamageTracker.toAttacker(entity, origin);
+            return { cause: attacker.type, attacker, confirmed };
+        };
+
+        // The server names the attacker directly on newer versions
+        const source = this.isRecent(this.lastHurt) ? this.lastHurt.source : null;
+        if (source && ATTACKER_TYPES.includes(source.type)) {
+            return attackerResult(source, true);
+        }
+
+        const swinger = this.findNearbyAttacker(bot, MELEE_RANGE, true);
+        if (swinger) return attackerResult(swinger, true);
+
+        if (bot.entity.isInLava) return { cause: 'lava', confirmed: true };
+
+        const soundCause = SOUND_CAUSES.find(([, pattern]) => this.recentSound(pattern));
+        if (soundCause && soundCause[0] !== 'projectile' && soundCause[0] !== 'fall') {
+            return { cause: soundCause[0], confirmed: true };
+        }
+
+        if (this.isRecent(this.lastFall) && this.lastFall.distance >= MIN_FALL_DISTANCE) {
+            return { cause: 'fall', detail: `${Math.round(this.lastFall.distance)} blocks`, confirmed: true };
+        }
+        if (bot.food === 0) return { cause: 'starvation', confirmed: true };
+        if (bot.oxygenLevel === 0) return { cause: 'drowning', confirmed: true };
+
+        if (soundCause?.[0] === 'projectile') {
+            const shooter = this.findNearbyAttacker(bot, SOUND_RANGE * 4, false);
+            return shooter
+                ? { ...attackerResult(shooter, false), cause: 'projectile' }
+                : { cause: 'projectile', confirmed: true };
+        }
+
+        const effectNames = Object.values(bot.entity.effects || {})
+            .map(effect => (bot.registry?.effects?.[effect.id]?.name || '').toLowerCase());
+        if (effectNames.includes('wither')) return { cause: 'wither', confirmed: false };
+        if (effectNames.includes('poison')) return { cause: 'poison', confirmed: false };
+
+        const nearby = this.findNearbyAttacker(bot, MELEE_RANGE, false);
+        if (nearby) return attackerResult(nearby, false);
+
+        if (soundCause?.[0] === 'fall') return { cause: 'fall', confirmed: false };
+        return { cause: 'unknown', confirmed: false };
+    }
+
+    // Attributes a health drop and adds it to the history
+    record(bot, amount) {
+        const { x, y, z } = bot.entity.position;
+        const entry = {
+            time: Date.now(),
+            amount,
+            health: bot.health,
+            attacker: null,
+            detail: null,
+            ...this.attribute(bot),
+            position: { x: Math.round(x), y: Math.round(y), z: Math.round(z) }
+        };
+
+        this.entries.unshift(entry);
+        this.entries.length = Math.min(this.entries.length, MAX_HISTORY);
+        return entry;
+    }
+
+    toJSON() {
+        return this.entries;
+    }
+}
+
+// ============================================================================
+// TEMPORARY THREATS
+// ============================================================================
+// Players who attacked one of the accounts. Until they expire, the safety
+// system treats them as threats anywhere within the proximity radius.
+
+class TemporaryThreats {
+    constructor(duration = ATTACKER_THREAT_DURATION) {
+        this.duration = duration;
+        this.players = new Map();
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [username, threat] of this.players) {
+            if (threat.until <= now) {
+                this.players.delete(username);
+            }
+        }
+    }
+
+    // Adding a player again extends their time on the list
+    add(username, reason, account) {
+        const existing = this.players.get(username);
+        const now = Date.now();
+        this.players.set(username, {
+            username,
+            reason,
+            account,
+            since: existing?.since || now,
+            until: now + this.duration
+        });
+    }
+
+    has(username) {
+        this.prune();
+        return this.players.has(username);
+    }
+
+    get list() {
+        this.prune();
+        return Array.from(this.players.values());
+    }
+}
+
+module.exports = { DamageTracker, TemporaryThreats, DAMAGE_CAUSES };
@@ -0,0 +1,161 @@
+const MAX_HISTORY = 20;
+const MAX_TEXT_LENGTH = 256;
+
+// retry: false stops the reconnect loop, since trying again would not help (or would make things worse)
+const DISCONNECT_CATEGORIES = {
+    banned: { label: 'Banned', emoji: '🔨', retry: false },
+    duplicate_login: { label: 'Logged in elsewhere', emoji: '👥', retry: false },
+    server_restart: { label: 'Server restart', emoji: '🔁', retry: true },
+    server_full: { label: 'Server full', emoji: '🈵', retry: true },
+    timeout: { label: 'Timed out', emoji: '⌛', retry: true },
+    network_error: { label: 'Network error', emoji: '📡', retry: true },
+    kicked: { label: 'Kicked', emoji: '👢', retry: true },
+    safety: { label: 'Safety disconnect', emoji: '🚨', retry: false },
+    requested: { label: 'Disconnected on request', emoji: '⏹️', retry: false },
+    auth_expired: { label: 'Login code expired', emoji: '⌛', retry: false },
+    auth_failed: { label: 'Microsoft login failed', emoji: '🔐', retry: true },
+    unknown: { label: 'Connection lost', emoji: '❓', retry: true }
+};
+
+// First match wins, so the specific causes come before the generic network ones
+const CATEGORY_PATTERNS = [
+    ['banned', /\bbanned\b|blacklisted/i],
+    ['duplicate_login', /logged in from another location|duplicate[ _]login|already (connected|online|logged in)/i],
+    ['server_restart', /restart|rebooting|server (closed|is closing|shutting down|is stopping)|server_shutdown/i],
+    ['server_full', /server is full|server_full|\bfull\b/i],
+    ['timeout', /timed? ?out|timeout|keep ?alive/i],
+    ['network_error', /econnrefused|econnreset|enotfound|ehostunreach|enetunreach|epipe|socket|connection (refused|reset|closed|lost)|network|end ?of ?stream/i]
+];
+
+// Vanilla translation keys we expect in disconnect screens; anything else is shown as the raw key
+const TRANSLATIONS = {
+    'multiplayer.disconnect.banned': 'You are banned from this server',
+    'multiplayer.disconnect.banned.reason': 'You are banned from this server. Reason: %s',
+    'multiplayer.disconnect.banned_ip.reason': 'Your IP address is banned from this server. Reason: %s',
+    'multiplayer.disconnect.duplicate_login': 'You logged in from another location',
+    'multiplayer.disconnect.server_full': 'Server is full',
+    'multiplayer.disconnect.server_shutdown': 'Server closed',
+    'multiplayer.disconnect.kicked': 'Kicked by an operator',
+    'multiplayer.disconnect.idling': 'You have been idle for too long',
+    'multiplayer.disconnect.not_whitelisted': 'You are not whitelisted on this server',
+    'disconnect.timeout': 'Timed out',
+    'disconnect.closed': 'Connection closed',
+    'disconnect.endOfStream': 'End of stream',
+    'disconnect.genericReason': '%s',
+    'disconnect.disconnected': 'Disconnected by Server',
+    'disconnect.quitting': 'Quitting'
+};
+
+class DisconnectHistory {
+    constructor() {
+        this.entries = [];
+    }
+
+    // Reasons arrive as plain strings, JSON chat component strings, parsed components or NBT compounds
+    static flatten(reason) {
+        if (reason === null || reason === undefined) return '';
+
+        if (reason instanceof Error) {
+            return reason.code && !reason.message.includes(reason.code)
+                ? `${reason.code}: ${reason.message}`
+                : reason.message;
+        }
+
+        if (typeof reason === 'string') {
+            const trimmed = reason.trim();
+            if (/^[[{"]/.test(trimmed)) {
+                try {
+                    return DisconnectHistory.flatten(JSON.parse(trimmed));
+                } catch (error) {
+                    // Not JSON after all, use it as-is
+                }
+            }
+            return trimmed.replace(/§./g, '');
+        }
+
+        if (Array.isArray(reason)) {
+            return reason.map(part => DisconnectHistory.flatten(part)).join('');
+        }
+
+        if (typeof reason !== 'object') {
+            return String(reason);
+        }
+
+        // prismarine-nbt compound: { type: 'compound', value: { text: { type: 'string', value: '...' } } }
+        if (reason.type === 'compound' && reason.value) {
+            return DisconnectHistory.flatten(DisconnectHistory.simplifyNbt(reason));
+        }
+
+        let text = reason.text ?? reason[''] ?? '';
+        if (reason.translate) {
+            const args = (reason.with || []).map(arg => DisconnectHistory.flatten(arg));
+            const template = TRANSLATIONS[reason.translate];
+            text += template
+                ? template.replace(/%s/g, () => args.shift() ?? '')
+                : [reason.translate, ...args].join(' ');
+        }
+        if (reason.extra) {
+            text += DisconnectHistory.flatten(reason.extra);
+        }
+        return String(text).replace(/§./g, '');
+    }
+
+    static simplifyNbt(tag) {
+        if (!tag || typeof tag !== 'object' || !('type' in tag)) return tag;
+        switch (tag.type) {
+            case 'compound':
+                return Object.fromEntries(Object.entries(tag.value).map(([key, value]) => [key, DisconnectHistory.simplifyNbt(value)]));
+            case 'list':
+                return (tag.value.value || []).map(value => DisconnectHistory.simplifyNbt({ type: tag.value.type, value }));
+            default:
+                return tag.value;
+        }
+    }
+
+    static categorize(text, source) {
+        const match = CATEGORY_PATTERNS.find(([, pattern]) => pattern.test(text));
+        if (match) return match[0];
+        return source === 'kicked' ? 'kicked' : 'unknown';
+    }
+
+    static describe(entry) {
+        const category = DISCONNECT_CATEGORIES[entry.category] || DISCONNECT_CATEGORIES.unknown;
+        return entry.text ? `${category.emoji} ${category.label}: ${entry.text}` : `${category.emoji} ${category.label}`;
+    }
+
+    static shouldRetry(entry) {
+        return (DISCONNECT_CATEGORIES[entry.category] || DISCONNECT_CATEGORIES.unknown).retry;
+    }
+
+    get last() {
+        return this.entries[0] || null;
+    }
+
+    load(entries) {
+        if (!Array.isArray(entries)) return;
+        this.entries = entries
+            .filter(e => e && typeof e.time === 'number' && e.category in DISCONNECT_CATEGORIES)
+            .slice(0, MAX_HISTORY);
+    }
+
+    // source is the mineflayer event ("kicked", "end" or "error"); category skips detection when the cause is already known
+    record(source, reason, category = null) {
+        const text = DisconnectHistory.flatten(reason).replace(/\s+/g, ' ').trim().substring(0, MAX_TEXT_LENGTH);
+        const entry = {
+            time: Date.now(),
+            source,
+            category: category || DisconnectHistory.categorize(text, source),
+            text
+        };
+
+        this.entries.unshift(entry);
+        this.entries.length = Math.min(this.entries.length, MAX_HISTORY);
+        return entry;
+    }
+
+    toJSON() {
+        return this.entries;
+    }
+}
+
+module.exports = { DisconnectHistory, DISCONNECT_CATEGORIES };
@@ -0,0 +1,81 @@
+// Arrows and tridents lying on the ground are harmless; only moving ones count
+const MIN_PROJECTILE_SPEED = 0.1;
+
+// radiusKey is the safety setting holding each group's detection radius (0 turns the group off)
+const ENTITY_GROUPS = {
+    tnt: { label: 'TNT', emoji: '🧨', radiusKey: 'tntRadius' },
+    endCrystal: { label: 'End crystal', emoji: '💎', radiusKey: 'endCrystalRadius' },
+    projectile: { label: 'Projectile', emoji: '🏹', radiusKey: 'projectileRadius' },
+    hostile: { label: 'Hostile mob', emoji: '🧟', radiusKey: 'hostileMobRadius' }
+};
+
+// Entity names differ between versions (primed_tnt / tnt, ender_crystal / end_crystal)
+const TNT_ENTITIES = new Set(['tnt', 'primed_tnt', 'primedtnt', 'tnt_minecart']);
+const END_CRYSTAL_ENTITIES = new Set(['end_crystal', 'ender_crystal', 'endercrystal']);
+const DANGEROUS_PROJECTILES = new Set([
+    'arrow',
+    'spectral_arrow',
+    'trident',
+    'fireball',
+    'small_fireball',
+    'dragon_fireball',
+    'wither_skull',
+    'shulker_bullet',
+    'wind_charge',
+    'breeze_wind_charge'
+]);
+
+// ============================================================================
+// ENTITY SCANNER
+// ============================================================================
+// Finds dangerous non-player entities around the bot: hostile mobs, primed
+// TNT, end crystals and projectiles in flight, each within its own radius.
+
+class EntityScanner {
+    static classify(entity) {
+        const name = String(entity.name || '').toLowerCase();
+
+        if (TNT_ENTITIES.has(name)) return 'tnt';
+        if (END_CRYSTAL_ENTITIES.has(name)) return 'endCrystal';
+        if (DANGEROUS_PROJECTILES.has(name)) {
+            const velocity = entity.velocity;
+            const speed = velocity ? Math.hypot(velocity.x, velocity.y, velocity.z) : 0;
+            return speed >= MIN_PROJECTILE_SPEED ? 'projectile' : null;
+        }
+        // Newer minecraft-data sets type "hostile"; older versions only have the kind
+        if (entity.type === 'hostile' || entity.kind === 'Hostile mobs') return 'hostile';
+        return null;
+    }
+
+    static label(entity) {
+        return entity.displayName || entity.name || 'Unknown';
+    }
+
+    // Returns { id, name, group, distance } when the entity is dangerous and within its group's radius
+    static check(bot, entity, safetyConfig) {
+        const origin = bot?.entity?.position;
+        if (!origin || !entity || entity === bot.entity || entity.type === 'player' || !entity.position) return null;
+
+        const group = EntityScanner.classify(entity);
+        if (!group) return null;
+
+        const radius = safetyConfig[ENTITY_GROUPS[group].radiusKey];
+        const distance = origin.distanceTo(entity.position);
+        if (radius <= 0 || distance > radius) return null;
+        return { id: entity.id, name: EntityScanner.label(entity), group, distance: Math.round(distance) };
+    }
+
+    // All dangerous entities in range, nearest first
+    static scan(bot, safetyConfig) {
+        return Object.values(bot?.entities || {})
+            .map(entity => EntityScanner.check(bot, entity, safetyConfig))
+            .filter(Boolean)
+            .sort((a, b) => a.distance - b.distance);
+    }
+
+    static describe(found) {
+        return `${ENTITY_GROUPS[found.group].emoji} **${found.name}** (${found.distance}m)`;
+    }
+}
+
+module.exports = { EntityScanner, ENTITY_GROUPS };
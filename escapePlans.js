@@ -0,0 +1,123 @@
+const MAX_COMMANDS = 5;
+const MAX_COMMAND_LENGTH = 256;
+const MIN_RECHECK_DELAY = 1000;
+const MAX_RECHECK_DELAY = 60000;
+const MAX_REJOIN_AFTER = 24 * 60 * 60 * 1000;
+
+// The safety disconnect types, each with its own plan
+const ESCAPE_THREAT_TYPES = {
+    threat: { label: 'Untrusted player nearby', emoji: '⚠️' },
+    blocked_nearby: { label: 'Blocked player nearby', emoji: '🚫' },
+    blocked_online: { label: 'Blocked player online', emoji: '🚫' },
+    entity: { label: 'Dangerous entity', emoji: '🧨' },
+    health: { label: 'Critical health', emoji: '💀' }
+};
+
+// No commands and no rejoin is the original behaviour: disconnect and stay offline
+const DEFAULT_PLAN = { commands: [], recheckDelay: 5000, rejoinAfter: 0 };
+
+const formatMinutes = (ms) => `${Math.round(ms / 60000)} min`;
+
+// ============================================================================
+// ESCAPE PLANS
+// ============================================================================
+// What the safety system does before disconnecting, per threat type: run each
+// command in turn (e.g. /home, /spawn) and check again after recheckDelay.
+// The bot only disconnects when the threat is still there after the last
+// command. rejoinAfter > 0 brings it back that long after a safety disconnect.
+
+class EscapePlans {
+    constructor() {
+        this.plans = Object.fromEntries(Object.keys(ESCAPE_THREAT_TYPES).map(type => [type, { ...DEFAULT_PLAN }]));
+    }
+
+    static validate(input) {
+        const errors = [];
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            return { errors: ['Plan must be an object'], plan: null };
+        }
+
+        const plan = { ...DEFAULT_PLAN };
+        if (input.commands !== undefined) {
+            if (!Array.isArray(input.commands) || input.commands.length > MAX_COMMANDS) {
+                errors.push(`commands must be a list of at most ${MAX_COMMANDS} commands`);
+            } else {
+                plan.commands = input.commands.map(command => typeof command === 'string' ? command.trim() : '');
+                if (plan.commands.some(command => !command || command.length > MAX_COMMAND_LENGTH)) {
+                    errors.push(`Each command must be 1-${MAX_COMMAND_LENGTH} characters`);
+                }
+            }
+        }
+
+        if (input.recheckDelay !== undefined) {
+            if (!Number.isInteger(input.recheckDelay) || input.recheckDelay < MIN_RECHECK_DELAY || input.recheckDelay > MAX_RECHECK_DELAY) {
+                errors.push(`recheckDelay must be between ${MIN_RECHECK_DELAY} and ${MAX_RECHECK_DELAY} ms`);
+            } else {
+                plan.recheckDelay = input.recheckDelay;
+            }
+        }
+
+        if (input.rejoinAfter !== undefined) {
+            if (!Number.isInteger(input.rejoinAfter) || input.rejoinAfter < 0 || input.rejoinAfter > MAX_REJOIN_AFTER) {
+                errors.push(`rejoinAfter must be between 0 (off) and ${MAX_REJOIN_AFTER} ms`);
+            } else {
+                plan.rejoinAfter = input.rejoinAfter;
+            }
+        }
+
+        return { errors, plan: errors.length === 0 ? plan : null };
+    }
+
+    static describe(plan) {
+        const steps = plan.commands.length > 0
+            ? `${plan.commands.map(command => `\`${command}\``).join(' → ')} (recheck after ${plan.recheckDelay / 1000}s) → disconnect`
+            : 'Disconnect';
+        return `${steps}${plan.rejoinAfter > 0 ? `, rejoin after ${formatMinutes(plan.rejoinAfter)}` : ''}`;
+    }
+
+    // The audit entry has its own type, so the threat type is stored as "threat"
+    static auditDetails({ type, ...details }) {
+        return { threat: type, ...details };
+    }
+
+    // Saved plans override the defaults per type; invalid ones are dropped and reported
+    load(saved) {
+        if (!saved || typeof saved !== 'object') return [];
+        const errors = [];
+        for (const [type, input] of Object.entries(saved)) {
+            if (!(type in ESCAPE_THREAT_TYPES)) continue;
+            const result = EscapePlans.validate(input);
+            if (result.plan) {
+                this.plans[type] = result.plan;
+            } else {
+                errors.push(`${type}: ${result.errors.join(', ')}`);
+            }
+        }
+        return errors;
+    }
+
+    get(type) {
+        return this.plans[type] || DEFAULT_PLAN;
+    }
+
+    // Fields left out of input keep their current value
+    set(type, input) {
+        if (!(type in ESCAPE_THREAT_TYPES)) {
+            return { success: false, errors: [`type must be one of ${Object.keys(ESCAPE_THREAT_TYPES).join(', ')}`] };
+        }
+
+        const result = EscapePlans.validate({ ...this.plans[type], ...input });
+        if (!result.plan) {
+            return { success: false, errors: result.errors };
+        }
+
+        this.plans[type] = result.plan;
+        return { success: true, plan: result.plan };
+    }
+
+    toJSON() {
+        return this.plans;
+    }
+}
+
+module.exports = { EscapePlans, ESCAPE_THREAT_TYPES };
@@ -0,0 +1,77 @@
+const HEARTBEAT_INTERVAL = 25000;
+
+// ============================================================================
+// EVENT STREAM
+// ============================================================================
+// Server-Sent Events for the dashboard. A client follows one account and gets
+// that account's events plus the ones that are not tied to an account.
+// Read-only clients get the redacted copy of an event, or nothing when an
+// event has no redacted form.
+
+class EventStream {
+    constructor() {
+        this.clients = new Set();
+        this.nextId = 1;
+        this.heartbeat = null;
+    }
+
+    get hasClients() {
+        return this.clients.size > 0;
+    }
+
+    start() {
+        if (this.heartbeat) return;
+        // Keeps proxies from closing idle connections
+        this.heartbeat = setInterval(() => {
+            for (const client of this.clients) {
+                client.res.write(': ping\n\n');
+            }
+        }, HEARTBEAT_INTERVAL);
+    }
+
+    stop() {
+        if (this.heartbeat) {
+            clearInterval(this.heartbeat);
+            this.heartbeat = null;
+        }
+        for (const client of this.clients) {
+            client.res.end();
+        }
+        this.clients.clear();
+    }
+
+    addClient(req, res, { account, includeSensitive }) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+
+        const client = { res, account, includeSensitive };
+        this.clients.add(client);
+        req.on('close', () => {
+            this.clients.delete(client);
+        });
+        return client;
+    }
+
+    send(client, type, data) {
+        client.res.write(`id: ${this.nextId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    // redacted is what read-only clients get: undefined sends them data as-is, null skips them
+    publish(type, data, { account = null, redacted } = {}) {
+        for (const client of this.clients) {
+            if (account && client.account !== account) continue;
+
+            const payload = client.includeSensitive || redacted === undefined ? data : redacted;
+            if (payload !== null) {
+                this.send(client, type, payload);
+            }
+        }
+    }
+}
+
+module.exports = { EventStream };
@@ -2,32 +2,32 @@
 // DOGGO - Minecraft Discord Bot
 // ============================================================================
 
-const { Client, GatewayIntentBits, EmbedBuilder, SlashCommandBuilder, REST, Routes, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } = require('discord.js');
-const mineflayer = require('mineflayer');
+const { Client, GatewayIntentBits, EmbedBuilder, SlashCommandBuilder, REST, Routes, ActionRowBuilder, MessageFlags, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
 const express = require('express');
 const http = require('http');
 const { StartupLogger } = require('./utils');
-
-// ============================================================================
-// CONFIGURATION
-// ============================================================================
-
-const CONFIG = {
-    discord: {
-        token: process.env.DISCORD_BOT_TOKEN,
-        channelId: process.env.DISCORD_CHANNEL_ID
-    },
-    minecraft: {
-        host: 'donutsmp.net',
-        port: 25565,
-        version: '1.21.8',
-        auth: 'microsoft'
-    },
-    webServer: {
-        port: process.env.PORT || 3000,
-        host: '0.0.0.0'
-    }
-};
+const fs = require('fs');
+const { CONFIG, SAFETY_LIMITS, SAFETY_TOGGLES, PLAYER_NAME_PATTERN, validateConfig, describeMinecraftTarget } = require('./config');
+const { StateStore } = require('./stateStore');
+const { ChatBridge } = require('./chatBridge');
+const { WhisperInbox } = require('./whisperInbox');
+const { OnSpawnSequence } = require('./onSpawnSequence');
+const { MinecraftSession } = require('./minecraftSession');
+const { WebAuth } = require('./webAuth');
+const { PermissionManager } = require('./permissions');
+const { AuditLog, AUDIT_TYPES } = require('./auditLog');
+const { DisconnectHistory } = require('./disconnectReasons');
+const { ReconnectPolicy } = require('./reconnectPolicy');
+const { ServerMonitor } = require('./serverMonitor');
+const { AntiAfk, AFK_MODES, AFK_LIMITS } = require('./antiAfk');
+const { EventStream } = require('./eventStream');
+const { Metrics } = require('./metrics');
+const { Vitals } = require('./vitals');
+const { TemporaryThreats } = require('./damageTracker');
+const { ENTITY_GROUPS } = require('./entityScanner');
+const { ZoneList, ZONE_POLICIES } = require('./zones');
+const { PlayerList } = require('./playerList');
+const { EscapePlans, ESCAPE_THREAT_TYPES } = require('./escapePlans');
 
 // ============================================================================
 // MAIN BOT CLASS
@@ -38,62 +38,85 @@ class MinecraftDiscordBot {
         this.discordClient = new Client({
             intents: [
                 GatewayIntentBits.Guilds,
-                GatewayIntentBits.GuildMessages
+                GatewayIntentBits.GuildMessages,
+                ...(CONFIG.discord.messageContentIntent ? [GatewayIntentBits.MessageContent] : [])
             ]
         });
-        this.minecraftBot = null;
-        this.controlMessage = null;
-        this.isConnected = false;
-        this.isConnecting = false;
-        this.authUrl = null;
-        this.userCode = null;
-        this.shouldJoin = false;
-        this.originalConsoleLog = null;
-        this.originalStdoutWrite = null;
-        this.authMessageSent = false;
-        this.authCheckTimeout = null;
-        this.lastAuthUser = null;
-        this.authInteraction = null;
-        this.originalStderrWrite = null;
-        this.authCheckInterval = null;
-        this.webInitiatedConnection = false;
-
-        // Enhanced features
-        this.currentWorld = 'Unknown';
-        this.currentCoords = { x: 0, y: 0, z: 0 };
-        this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 10000;
-        this.reconnectDelay = 15000;
         this.statusUpdateInterval = null;
+        this.authExpiryInterval = null;
+
+        // Minecraft accounts, keyed by account id
+        this.sessions = new Map(CONFIG.accounts.map(account => [account.id, new MinecraftSession(this, account)]));
+        // Backoff, quiet hours and restart probing shared by all accounts
+        this.reconnectPolicy = new ReconnectPolicy(CONFIG.reconnect);
+        // Server-list pings, also while no account is connected
+        this.serverMonitor = new ServerMonitor(CONFIG.serverMonitor, CONFIG.minecraft);
 
         // Web server properties
         this.app = null;
         this.server = null;
+        this.webAuth = new WebAuth(CONFIG.webAuth, this.discordClient);
+        // Live dashboard updates
+        this.eventStream = new EventStream();
 
         // Scoreboard properties
         this.lastScoreboard = null;
         this.scoreboardUpdateInterval = null;
 
-        // Safety features
+        // Safety features (shared by all accounts)
         this.safetyConfig = {
             enabled: false,
             proximityRadius: 50,
             minHealth: 10,
             alertCooldown: 30000,
             autoDisconnectOnThreat: true,
-            autoDisconnectHealth: 6
+            autoDisconnectHealth: 6,
+            autoDisconnectOnBlocked: true,
+            alertOnBlockedJoin: true,
+            leaveWhenBlockedOnline: false,
+            autoEat: false,
+            autoEatThreshold: 14,
+            // Alert only until turned on, so upgrading does not knock AFK spots near mobs offline
+            autoDisconnectOnEntities: false,
+            // Entity checks are off (radius 0) until a radius is set with /safety entities
+            hostileMobRadius: 0,
+            tntRadius: 0,
+            endCrystalRadius: 0,
+            projectileRadius: 0
         };
-        this.nearbyPlayers = new Map();
-        this.lastHealthAlert = 0;
-        this.lastProximityAlert = 0;
-        this.currentHealth = 20;
-        this.lastHealth = 20;
-        this.activeThreat = null;
-        this.lastSafetyDisconnect = null;
         
         // Whitelist/Blacklist system
-        this.trustedPlayers = new Set(process.env.TRUSTED_PLAYERS?.split(',').filter(p => p.trim()) || []);
-        this.blockedPlayers = new Set(process.env.BLOCKED_PLAYERS?.split(',').filter(p => p.trim()) || []);
+        this.trustedPlayers = new PlayerList(process.env.TRUSTED_PLAYERS?.split(',') || []);
+        this.blockedPlayers = new PlayerList(process.env.BLOCKED_PLAYERS?.split(',') || []);
+        // Players who attacked one of the accounts, shared like the lists above
+        this.temporaryThreats = new TemporaryThreats();
+        // Areas with their own proximity policy
+        this.zones = new ZoneList();
+        // What each kind of threat triggers before a safety disconnect
+        this.escapePlans = new EscapePlans();
+
+        // Chat bridge
+        this.chatBridge = new ChatBridge(this.discordClient, Array.from(this.sessions.keys()));
+        this.bridgedToMinecraft = 0;
+
+        // Prometheus counters; per-account series start at 0 so rate() works from the first scrape
+        this.metrics = new Metrics();
+        for (const id of this.sessions.keys()) {
+            this.metrics.inc('threats_detected_total', { account: id }, 0);
+            this.metrics.inc('auth_prompts_total', { account: id }, 0);
+        }
+
+        // Private message inbox
+        this.whisperInbox = new WhisperInbox();
+
+        // Discord role/user permissions
+        this.permissions = new PermissionManager(CONFIG.discord.permissions);
+
+        // Persistent state
+        this.stateStore = new StateStore(CONFIG.state.file);
+
+        // Append-only record of control actions and safety events
+        this.auditLog = new AuditLog(CONFIG.audit.file);
 
         this.setupDiscordEvents();
         this.setupSlashCommands();
@@ -105,6 +128,70 @@ class MinecraftDiscordBot {
 
     async start() {
         const services = [];
+
+        const configErrors = validateConfig();
+        if (configErrors.length > 0) {
+            services.push({ 
+                name: 'Configuration', 
+                status: false, 
+                details: configErrors.join('; ') 
+            });
+            StartupLogger.showStatus(services);
+            throw new Error(`Invalid configuration: ${configErrors.join('; ')}`);
+        }
+
+        try {
+            await fs.promises.mkdir(CONFIG.minecraft.profilesFolder, { recursive: true });
+            const adopted = await this.getDefaultSession().authCache.adoptLegacyFiles();
+            for (const session of this.sessions.values()) {
+                await session.authCache.ensure();
+                await session.authCache.refresh();
+            }
+
+            const linked = Array.from(this.sessions.values()).filter(s => s.authCache.status.linked).map(s => s.id);
+            services.push({ 
+                name: 'Auth Cache', 
+                status: true, 
+                details: `${CONFIG.minecraft.profilesFolder}${adopted ? ` (moved ${adopted} cache file(s) into ${this.getDefaultSession().id}/)` : ''}` +
+                    (CONFIG.minecraft.auth === 'microsoft' ? `, linked: ${linked.join(', ') || 'none'}` : '') 
+            });
+        } catch (error) {
+            services.push({ 
+                name: 'Configuration', 
+                status: false, 
+                details: `Cannot prepare profile cache directory: ${error.message}` 
+            });
+        }
+
+        try {
+            await this.loadState();
+            services.push({ 
+                name: 'State Store', 
+                status: true, 
+                details: CONFIG.state.file 
+            });
+        } catch (error) {
+            services.push({ 
+                name: 'State Store', 
+                status: false, 
+                details: error.message 
+            });
+        }
+
+        try {
+            await this.auditLog.load();
+            services.push({ 
+                name: 'Audit Log', 
+                status: true, 
+                details: CONFIG.audit.file 
+            });
+        } catch (error) {
+            services.push({ 
+                name: 'Audit Log', 
+                status: false, 
+                details: error.message 
+            });
+        }
         
         try {
             await this.discordClient.login(CONFIG.discord.token);
@@ -114,14 +201,33 @@ class MinecraftDiscordBot {
                 details: this.discordClient.user?.tag 
             });
 
+            services.push({ 
+                name: 'Permissions', 
+                status: true, 
+                details: `${CONFIG.discord.permissions.grants.length} grant(s), everyone: ${CONFIG.discord.permissions.defaultCapabilities.join(', ') || 'nothing'}` 
+            });
+            if (CONFIG.discord.permissions.grants.length === 0 && process.env.DISCORD_DEFAULT_CAPABILITIES === undefined) {
+                StartupLogger.info('Everyone in the server can only view. Grant control with DISCORD_PERMISSIONS, or set DISCORD_DEFAULT_CAPABILITIES=* to let everyone use every command as before.');
+            }
+
             this.clearDiscordActivity();
 
+            this.authExpiryInterval = setInterval(() => {
+                for (const session of this.sessions.values()) {
+                    session.checkAuthExpiry().catch((error) => {
+                        console.error(`[${session.id}] Login expiry check failed:`, error);
+                    });
+                }
+            }, 60 * 60 * 1000);
+
             this.statusUpdateInterval = setInterval(() => {
-                if (this.isConnected && this.minecraftBot) {
-                    this.updatePositionInfo();
-                    this.updateEmbed();
-                    this.updateDiscordActivity();
+                for (const session of this.sessions.values()) {
+                    if (session.isConnected && session.minecraftBot) {
+                        session.updatePositionInfo();
+                        session.updateEmbed();
+                    }
                 }
+                this.updateDiscordActivity();
             }, 30000);
 
         } catch (error) {
@@ -139,6 +245,11 @@ class MinecraftDiscordBot {
                 status: true, 
                 details: `http://${CONFIG.webServer.host}:${CONFIG.webServer.port}` 
             });
+            services.push({ 
+                name: 'Web Auth', 
+                status: true, 
+                details: this.webAuth.describe() 
+            });
         } catch (error) {
             services.push({ 
                 name: 'Web Server', 
@@ -150,7 +261,22 @@ class MinecraftDiscordBot {
         services.push({ 
             name: 'Minecraft Bot', 
             status: true, 
-            details: 'Ready (awaiting connection)' 
+            details: `Ready (awaiting connection) - ${describeMinecraftTarget()}, ${this.sessions.size} account(s): ${Array.from(this.sessions.keys()).join(', ')}` 
+        });
+
+        services.push({ 
+            name: 'Reconnect Policy', 
+            status: true, 
+            details: this.reconnectPolicy.describe() 
+        });
+
+        this.serverMonitor.start();
+        services.push({ 
+            name: 'Server Monitor', 
+            status: true, 
+            details: CONFIG.serverMonitor.enabled 
+                ? `Pinging ${CONFIG.minecraft.host}:${CONFIG.minecraft.port} every ${CONFIG.serverMonitor.interval / 1000}s` 
+                : 'Disabled (SERVER_PING_ENABLED=false)' 
         });
 
         StartupLogger.showStatus(services);
@@ -161,13 +287,103 @@ class MinecraftDiscordBot {
         }
     }
 
+    async loadState() {
+        const state = await this.stateStore.load();
+
+        for (const key of Object.keys(this.safetyConfig)) {
+            if (state.safetyConfig[key] !== undefined) {
+                this.safetyConfig[key] = state.safetyConfig[key];
+            }
+        }
+
+        // Env vars only seed the lists until they have been saved once
+        if (state.trustedPlayers) {
+            this.trustedPlayers = new PlayerList(state.trustedPlayers);
+        }
+        if (state.blockedPlayers) {
+            this.blockedPlayers = new PlayerList(state.blockedPlayers);
+        }
+        // The default spawn zone only applies until zones have been saved once
+        if (state.zones) {
+            const errors = this.zones.load(state.zones);
+            if (errors.length > 0) {
+                console.error('Ignoring invalid saved zones:', errors.join('; '));
+            }
+        }
+        if (state.escapePlans) {
+            const errors = this.escapePlans.load(state.escapePlans);
+            if (errors.length > 0) {
+                console.error('Ignoring invalid saved escape plans:', errors.join('; '));
+            }
+        }
+
+        for (const [id, session] of this.sessions) {
+            session.loadState(state.accounts[id] || {});
+        }
+
+        if (state.chatBridge) {
+            const result = this.chatBridge.updateConfig(state.chatBridge);
+            if (!result.success) {
+                console.error('Ignoring invalid saved chat bridge config:', result.errors.join(', '));
+            }
+        }
+
+        if (state.inbox) {
+            this.whisperInbox.load(state.inbox);
+        }
+
+        await this.stateStore.update(this.getStateSnapshot());
+    }
+
+    getStateSnapshot() {
+        return {
+            safetyConfig: { ...this.safetyConfig },
+            trustedPlayers: Array.from(this.trustedPlayers),
+            blockedPlayers: Array.from(this.blockedPlayers),
+            zones: this.zones.toJSON(),
+            escapePlans: this.escapePlans.toJSON(),
+            chatBridge: { ...this.chatBridge.config },
+            inbox: this.whisperInbox.toJSON(),
+            // Keep state for accounts that were removed from MINECRAFT_ACCOUNTS in case they come back
+            accounts: {
+                ...this.stateStore.data.accounts,
+                ...Object.fromEntries(Array.from(this.sessions, ([id, session]) => [id, session.toState()]))
+            }
+        };
+    }
+
+    getDefaultSession() {
+        return this.sessions.values().next().value;
+    }
+
+    getSession(id) {
+        return id ? this.sessions.get(id) || null : this.getDefaultSession();
+    }
+
+    // Slash commands take an optional "account" option; without it the first account is used
+    resolveSession(interaction) {
+        return this.getSession(interaction.options.getString('account'));
+    }
+
+    getBridgeSession() {
+        return this.getSession(this.chatBridge.config.accountId) || this.getDefaultSession();
+    }
+
+    saveState() {
+        this.stateStore.update(this.getStateSnapshot()).catch((error) => {
+            console.error('Failed to save state:', error);
+        });
+    }
+
     async startWebServer() {
         this.app = express();
     
         this.app.use(express.json());
+        this.app.use(this.webAuth.middleware());
         this.app.use(express.static('public'));
         this.setupWebRoutes();
         this.server = http.createServer(this.app);
+        this.eventStream.start();
 
         return new Promise((resolve, reject) => {
             this.server.on('error', (error) => {
@@ -186,123 +402,90 @@ class MinecraftDiscordBot {
     // ========================================================================
 
     setupWebRoutes() {
-        // Health check endpoint
+        // Login, logout and Discord OAuth2 routes
+        this.webAuth.setupRoutes(this.app);
+
+        // Health check endpoint (public for uptime checks, details need a login)
         this.app.get('/health', (req, res) => {
+            const session = this.getDefaultSession();
+            const discordConnected = this.discordClient.readyTimestamp !== null;
+
+            if (!req.auth) {
+                return res.json({
+                    status: 'ok',
+                    timestamp: new Date().toISOString(),
+                    minecraft: { connected: session.isConnected },
+                    discord: { connected: discordConnected }
+                });
+            }
+
             res.json({
                 status: 'ok',
                 timestamp: new Date().toISOString(),
                 minecraft: {
-                    connected: this.isConnected,
-                    username: this.minecraftBot?.username || null,
-                    world: this.currentWorld,
-                    coordinates: this.currentCoords
+                    connected: session.isConnected,
+                    username: session.minecraftBot?.username || null,
+                    world: session.currentWorld,
+                    coordinates: this.canSeeSensitive(req) ? session.currentCoords : null
                 },
+                accounts: Array.from(this.sessions.values(), s => s.getSummary()),
                 discord: {
-                    connected: this.discordClient.readyTimestamp !== null,
+                    connected: discordConnected,
                     username: this.discordClient.user?.tag || null
                 }
             });
         });
 
-        // Bot status endpoint
-        this.app.get('/status', (req, res) => {
-            const nearbyPlayersList = [];
-            if (this.isConnected && this.minecraftBot && this.minecraftBot.players) {
-                const myPos = this.minecraftBot.entity?.position;
-                if (myPos) {
-                    for (const [username, player] of Object.entries(this.minecraftBot.players)) {
-                        if (username === this.minecraftBot.username) continue;
-                        if (!player.entity || !player.entity.position) continue;
-                        
-                        const distance = myPos.distanceTo(player.entity.position);
-                        if (distance <= this.safetyConfig.proximityRadius) {
-                            nearbyPlayersList.push({
-                                username,
-                                distance: Math.round(distance)
-                            });
-                        }
-                    }
-                }
-            }
-
+        // Account list
+        this.app.get('/accounts', (req, res) => {
             res.json({
-                minecraft: {
-                    connected: this.isConnected,
-                    shouldJoin: this.shouldJoin,
-                    username: this.minecraftBot?.username || null,
-                    server: `${CONFIG.minecraft.host}:${CONFIG.minecraft.port}`,
-                    version: CONFIG.minecraft.version,
-                    world: this.currentWorld,
-                    coordinates: this.currentCoords,
-                    health: this.currentHealth,
-                    reconnectAttempts: this.reconnectAttempts,
-                    maxReconnectAttempts: this.maxReconnectAttempts,
-                    authRequired: !!(this.authUrl && this.userCode),
-                    authUrl: this.authUrl || null,
-                    authCode: this.userCode || null
-                },
-                discord: {
-                    connected: this.discordClient.readyTimestamp !== null,
-                    username: this.discordClient.user?.tag || null,
-                    guildCount: this.discordClient.guilds.cache.size
-                },
-                safety: {
-                    enabled: this.safetyConfig.enabled,
-                    proximityRadius: this.safetyConfig.proximityRadius,
-                    minHealth: this.safetyConfig.minHealth,
-                    autoDisconnectHealth: this.safetyConfig.autoDisconnectHealth,
-                    autoDisconnectOnThreat: this.safetyConfig.autoDisconnectOnThreat,
-                    trustedCount: this.trustedPlayers.size,
-                    blockedCount: this.blockedPlayers.size,
-                    trustedPlayers: Array.from(this.trustedPlayers),
-                    blockedPlayers: Array.from(this.blockedPlayers),
-                    nearbyPlayers: nearbyPlayersList,
-                    activeThreat: this.activeThreat || null,
-                    lastDisconnect: this.lastSafetyDisconnect || null
-                },
-                uptime: process.uptime(),
-                memory: process.memoryUsage()
+                success: true,
+                accounts: Array.from(this.sessions.values(), session => session.getSummary())
             });
         });
 
+        // Per-account routes are also served without the /accounts/:id prefix for the first account
+        const withSession = (handler) => (req, res) => {
+            const session = this.getSession(req.params.id);
+            if (!session) {
+                return res.status(404).json({ success: false, message: `Unknown account: ${req.params.id}` });
+            }
+            return handler(session, req, res);
+        };
+
+        // Bot status endpoint
+        this.app.get(['/status', '/accounts/:id/status'], withSession((session, req, res) => {
+            res.json(this.buildStatus(session, this.canSeeSensitive(req)));
+        }));
+
+        // Live updates: a status snapshot first, then state changes as they happen
+        this.app.get(['/events', '/accounts/:id/events'], withSession((session, req, res) => {
+            const includeSensitive = this.canSeeSensitive(req);
+            const client = this.eventStream.addClient(req, res, { account: session.id, includeSensitive });
+            this.eventStream.send(client, 'status', this.buildStatus(session, includeSensitive));
+        }));
+
         // Control endpoints
-        this.app.post('/connect', async (req, res) => {
-            if (this.isConnected) {
+        this.app.post(['/connect', '/accounts/:id/connect'], withSession(async (session, req, res) => {
+            if (session.isConnected) {
                 return res.json({ success: false, message: 'Bot already connected' });
             }
 
-            this.shouldJoin = true;
-            this.reconnectAttempts = 0;
-            this.webInitiatedConnection = true;
-            this.authInteraction = null;
-            
-            await this.connectToMinecraft();
+            await session.connect({ web: true, actor: AuditLog.webActor(req) });
             
             res.json({ success: true, message: 'Connection initiated' });
-        });
+        }));
 
-        this.app.post('/disconnect', async (req, res) => {
-            this.shouldJoin = false;
-            this.reconnectAttempts = 0;
-            this.authUrl = null;
-            this.userCode = null;
-            
-            if (this.minecraftBot) {
-                this.minecraftBot.quit();
-                this.minecraftBot = null;
-            }
-            
-            this.isConnected = false;
-            this.clearDiscordActivity();
-            await this.updateEmbed();
+        this.app.post(['/disconnect', '/accounts/:id/disconnect'], withSession(async (session, req, res) => {
+            await session.disconnect({ actor: AuditLog.webActor(req) });
             res.json({ success: true, message: 'Bot disconnected' });
-        });
+        }));
 
         // Send chat message endpoint
-        this.app.post('/chat', (req, res) => {
+        this.app.post(['/chat', '/accounts/:id/chat'], withSession((session, req, res) => {
             const { message } = req.body;
             
-            if (!this.isConnected || !this.minecraftBot) {
+            if (!session.isConnected || !session.minecraftBot) {
                 return res.json({ success: false, message: 'Bot not connected' });
             }
             
@@ -310,8 +493,214 @@ class MinecraftDiscordBot {
                 return res.json({ success: false, message: 'Invalid message' });
             }
 
-            this.minecraftBot.chat(message);
+            session.minecraftBot.chat(message);
+            this.auditLog.record('chat', { actor: AuditLog.webActor(req), account: session.id, message });
             res.json({ success: true, message: 'Message sent' });
+        }));
+
+        // Safety configuration endpoints
+        this.app.get('/safety', (req, res) => {
+            res.json({ success: true, config: { ...this.safetyConfig } });
+        });
+
+        this.app.patch('/safety', (req, res) => {
+            const changes = req.body;
+
+            if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+                return res.status(400).json({ success: false, message: 'Invalid safety settings' });
+            }
+
+            const result = this.updateSafetyConfig(changes, AuditLog.webActor(req));
+            if (!result.success) {
+                return res.status(400).json({ success: false, message: 'Invalid safety settings', errors: result.errors });
+            }
+
+            res.json({ success: true, message: 'Safety settings updated', config: result.config });
+        });
+
+        // Trusted/blocked player endpoints
+        this.app.get('/players', (req, res) => {
+            res.json({
+                success: true,
+                trustedPlayers: Array.from(this.trustedPlayers),
+                blockedPlayers: Array.from(this.blockedPlayers)
+            });
+        });
+
+        for (const listName of ['trusted', 'blocked']) {
+            this.app.post(`/players/${listName}/:name`, (req, res) => {
+                const result = this.updatePlayerList(listName, 'add', req.params.name, AuditLog.webActor(req));
+                res.status(result.success ? 200 : 400).json(result);
+            });
+
+            this.app.delete(`/players/${listName}/:name`, (req, res) => {
+                const result = this.updatePlayerList(listName, 'remove', req.params.name, AuditLog.webActor(req));
+                res.status(result.success ? 200 : 400).json(result);
+            });
+        }
+
+        // Zone endpoints
+        this.app.get('/zones', (req, res) => {
+            const zones = this.zones.toJSON();
+            res.json({
+                success: true,
+                policies: ZONE_POLICIES,
+                zones: this.canSeeSensitive(req) ? zones : zones.map(zone => ZoneList.redact(zone))
+            });
+        });
+
+        this.app.post('/zones', (req, res) => {
+            const result = this.updateZones('add', req.body, AuditLog.webActor(req));
+            if (!result.success) {
+                return res.status(400).json({ success: false, message: 'Invalid zone', errors: result.errors });
+            }
+            res.json({ success: true, message: `Zone ${result.zone.name} added`, zone: result.zone });
+        });
+
+        this.app.delete('/zones/:name', (req, res) => {
+            const result = this.updateZones('remove', req.params.name, AuditLog.webActor(req));
+            if (!result.success) {
+                return res.status(404).json({ success: false, message: result.errors[0] });
+            }
+            res.json({ success: true, message: `Zone ${result.zone.name} removed` });
+        });
+
+        // Escape plan endpoints
+        this.app.get('/escape', (req, res) => {
+            res.json({ success: true, types: ESCAPE_THREAT_TYPES, plans: this.escapePlans.toJSON() });
+        });
+
+        this.app.patch('/escape/:type', (req, res) => {
+            const result = this.updateEscapePlan(req.params.type, req.body || {}, AuditLog.webActor(req));
+            if (!result.success) {
+                return res.status(400).json({ success: false, message: 'Invalid escape plan', errors: result.errors });
+            }
+            res.json({ success: true, message: `Escape plan for ${req.params.type} updated`, plan: result.plan });
+        });
+
+        // Private message inbox endpoint
+        this.app.get('/inbox', (req, res) => {
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+            const entries = this.whisperInbox.list(limit, req.query.player || null, req.query.account || null);
+            res.json({
+                success: true,
+                entries: this.canSeeSensitive(req) ? entries : entries.map(e => ({ ...e, message: '[redacted]' })),
+                patterns: this.whisperInbox.patterns
+            });
+        });
+
+        // On-spawn sequence endpoints
+        this.app.get(['/onspawn', '/accounts/:id/onspawn'], withSession((session, req, res) => {
+            res.json({
+                success: true,
+                steps: session.onSpawnSequence.steps,
+                lastRun: session.onSpawnSequence.lastRun
+            });
+        }));
+
+        this.app.put(['/onspawn', '/accounts/:id/onspawn'], withSession((session, req, res) => {
+            const result = session.onSpawnSequence.setSteps(req.body?.steps);
+            if (!result.success) {
+                return res.status(400).json({ success: false, message: 'Invalid on-spawn steps', errors: result.errors });
+            }
+
+            this.saveState();
+            this.auditLog.record('config', { actor: AuditLog.webActor(req), account: session.id, setting: 'onspawn', value: result.steps });
+            res.json({ success: true, message: 'On-spawn sequence updated', steps: result.steps });
+        }));
+
+        this.app.post(['/onspawn/run', '/accounts/:id/onspawn/run'], withSession((session, req, res) => {
+            if (!session.isConnected || !session.minecraftBot) {
+                return res.json({ success: false, message: 'Bot not connected' });
+            }
+
+            session.runOnSpawnSequence();
+            res.json({ success: true, message: 'On-spawn sequence started' });
+        }));
+
+        // Anti-AFK endpoints
+        this.app.get(['/afk', '/accounts/:id/afk'], withSession((session, req, res) => {
+            const { home, ...status } = session.antiAfk.getStatus();
+            res.json({ success: true, modes: AFK_MODES, ...status, home: this.canSeeSensitive(req) ? home : null });
+        }));
+
+        this.app.patch(['/afk', '/accounts/:id/afk'], withSession(async (session, req, res) => {
+            const result = session.antiAfk.setSettings(req.body);
+            if (!result.success) {
+                return res.status(400).json({ success: false, message: 'Invalid anti-AFK settings', errors: result.errors });
+            }
+
+            this.saveState();
+            this.auditLog.record('config', { actor: AuditLog.webActor(req), account: session.id, setting: 'afk', value: result.settings });
+            await session.updateEmbed();
+            res.json({ success: true, message: 'Anti-AFK settings updated', settings: result.settings });
+        }));
+
+        // Damage history endpoint
+        this.app.get(['/damage', '/accounts/:id/damage'], withSession((session, req, res) => {
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+            const entries = session.damageTracker.entries.slice(0, limit);
+            res.json({
+                success: true,
+                account: session.id,
+                entries: this.canSeeSensitive(req) ? entries : entries.map(e => ({ ...e, position: null })),
+                attackers: this.temporaryThreats.list
+            });
+        }));
+
+        // Chat bridge endpoints
+        this.app.get('/bridge', (req, res) => {
+            res.json({ success: true, config: this.chatBridge.getConfig() });
+        });
+
+        this.app.patch('/bridge', (req, res) => {
+            const changes = req.body;
+
+            if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+                return res.status(400).json({ success: false, message: 'Invalid bridge settings' });
+            }
+
+            const result = this.chatBridge.updateConfig(changes);
+            if (!result.success) {
+                return res.status(400).json({ success: false, message: 'Invalid bridge settings', errors: result.errors });
+            }
+
+            this.saveState();
+            this.auditBridgeChange(AuditLog.webActor(req), changes);
+            res.json({ success: true, message: 'Bridge settings updated', config: result.config });
+        });
+
+        // Server-list ping results, independent of the bot's own connection
+        this.app.get('/server', (req, res) => {
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 120, 1), CONFIG.serverMonitor.historySize);
+            res.json({
+                success: true,
+                server: this.serverMonitor.getSummary(),
+                history: this.serverMonitor.getHistory(limit)
+            });
+        });
+
+        // Prometheus scrape endpoint; give Prometheus a read-only API token as its bearer credential
+        this.app.get('/metrics', (req, res) => {
+            res.type('text/plain; version=0.0.4').send(this.metrics.render(this.collectMetrics()));
+        });
+
+        // Audit log endpoint, newest first; follow nextBefore for older pages
+        this.app.get('/audit', async (req, res) => {
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+            const before = parseInt(req.query.before, 10) || null;
+            const type = req.query.type || null;
+
+            if (type && !AUDIT_TYPES.includes(type)) {
+                return res.status(400).json({ success: false, message: `Unknown audit type: ${type}`, types: AUDIT_TYPES });
+            }
+
+            const page = await this.auditLog.list({ limit, before, type, account: req.query.account || null });
+            res.json({
+                success: true,
+                entries: this.canSeeSensitive(req) ? page.entries : page.entries.map(e => this.redactAuditEntry(e)),
+                nextBefore: page.nextBefore
+            });
         });
 
         // Root endpoint - serve the HTML file
@@ -324,19 +713,60 @@ class MinecraftDiscordBot {
             res.json({
                 name: 'Minecraft Discord Bot API',
                 version: '1.0.0',
+                authentication: 'Send "Authorization: Bearer <token>" or log in at /login.html; read-only tokens can only use GET routes',
                 endpoints: {
                     'GET /': 'Web dashboard',
                     'GET /api': 'This endpoint',
+                    'GET /auth/me': 'Current login and available login methods',
+                    'POST /auth/login': 'Start a dashboard session (requires {secret: password or API token})',
+                    'POST /auth/logout': 'End the dashboard session',
+                    'GET /auth/discord': 'Log in with Discord',
                     'GET /health': 'Health check',
                     'GET /status': 'Detailed bot status',
+                    'GET /events': 'Server-Sent Events stream of status changes, chat and auth prompts',
                     'POST /connect': 'Connect to Minecraft server',
                     'POST /disconnect': 'Disconnect from Minecraft server',
-                    'POST /chat': 'Send chat message (requires {message: "text"})'
+                    'POST /chat': 'Send chat message (requires {message: "text"})',
+                    'GET /safety': 'Current safety settings',
+                    'PATCH /safety': 'Update safety settings',
+                    'GET /players': 'Trusted and blocked player lists',
+                    'POST /players/trusted/:name': 'Trust a player',
+                    'DELETE /players/trusted/:name': 'Stop trusting a player',
+                    'POST /players/blocked/:name': 'Block a player',
+                    'DELETE /players/blocked/:name': 'Unblock a player',
+                    'GET /bridge': 'Chat bridge settings',
+                    'PATCH /bridge': 'Update chat bridge settings',
+                    'GET /inbox': 'Private message history (?limit=50&player=name&account=id)',
+                    'GET /onspawn': 'On-spawn sequence and last run',
+                    'PUT /onspawn': 'Replace on-spawn sequence (requires {steps: [...]})',
+                    'POST /onspawn/run': 'Run on-spawn sequence now',
+                    'GET /afk': 'Anti-AFK settings and state',
+                    'PATCH /afk': 'Update anti-AFK settings ({mode, minInterval, maxInterval, walkRadius}, intervals in ms)',
+                    'GET /zones': 'Zones and their proximity policies',
+                    'POST /zones': 'Add a zone ({name, dimension, policy, box: {x1, z1, x2, z2}} or {..., center: {x, z}, radius})',
+                    'DELETE /zones/:name': 'Remove a zone',
+                    'GET /escape': 'What each threat type does before a safety disconnect',
+                    'PATCH /escape/:type': 'Update an escape plan ({commands: ["/home"], recheckDelay, rejoinAfter}, times in ms, rejoinAfter 0 = stay offline)',
+                    'GET /damage': 'Recent damage with the likely cause, plus players on the temporary threat list (?limit=20)',
+                    'GET /audit': 'Audit log, newest first (?limit=50&before=id&type=connect&account=id)',
+                    'GET /server': 'Server ping status, uptime and history (?limit=120)',
+                    'GET /metrics': 'Prometheus metrics',
+                    'GET /accounts': 'Configured Minecraft accounts',
+                    'GET /accounts/:id/status': 'Detailed status for one account',
+                    'GET /accounts/:id/events': 'Live event stream for one account',
+                    'POST /accounts/:id/connect': 'Connect one account',
+                    'POST /accounts/:id/disconnect': 'Disconnect one account',
+                    'POST /accounts/:id/chat': 'Send chat message from one account',
+                    '/accounts/:id/onspawn': 'On-spawn sequence routes for one account',
+                    '/accounts/:id/afk': 'Anti-AFK routes for one account',
+                    'GET /accounts/:id/damage': 'Damage history for one account'
                 },
                 minecraft: {
                     server: `${CONFIG.minecraft.host}:${CONFIG.minecraft.port}`,
-                    version: CONFIG.minecraft.version,
-                    connected: this.isConnected
+                    version: CONFIG.minecraft.version || 'auto',
+                    auth: CONFIG.minecraft.auth,
+                    connected: this.getDefaultSession().isConnected,
+                    accounts: Array.from(this.sessions.keys())
                 }
             });
         });
@@ -356,40 +786,198 @@ class MinecraftDiscordBot {
             res.status(404).json({
                 success: false,
                 message: 'Endpoint not found',
-                availableEndpoints: ['/', '/api', '/health', '/status', '/connect', '/disconnect', '/chat']
+                availableEndpoints: ['/', '/api', '/auth/me', '/health', '/status', '/events', '/connect', '/disconnect', '/chat', '/safety', '/players', '/zones', '/escape', '/bridge', '/inbox', '/onspawn', '/afk', '/damage', '/audit', '/server', '/metrics', '/accounts']
             });
         });
     }
 
+    // Read-only logins see the dashboard without auth codes, coordinates or private messages
+    canSeeSensitive(req) {
+        return req.auth?.scope === 'full';
+    }
+
+    redactAuditEntry(entry) {
+        return entry.actor?.ip ? { ...entry, actor: { ...entry.actor, ip: '[redacted]' } } : entry;
+    }
+
+    buildStatus(session, includeSensitive = true) {
+        const minecraft = session.getStatus();
+        if (!includeSensitive) {
+            minecraft.authUrl = null;
+            minecraft.authCode = null;
+            minecraft.coordinates = null;
+            minecraft.antiAfk = { ...minecraft.antiAfk, home: null };
+        }
+
+        return {
+            minecraft,
+            accounts: Array.from(this.sessions.values(), s => s.getSummary()),
+            discord: {
+                connected: this.discordClient.readyTimestamp !== null,
+                username: this.discordClient.user?.tag || null,
+                guildCount: this.discordClient.guilds.cache.size
+            },
+            safety: {
+                enabled: this.safetyConfig.enabled,
+                proximityRadius: this.safetyConfig.proximityRadius,
+                minHealth: this.safetyConfig.minHealth,
+                autoDisconnectHealth: this.safetyConfig.autoDisconnectHealth,
+                autoDisconnectOnThreat: this.safetyConfig.autoDisconnectOnThreat,
+                autoDisconnectOnBlocked: this.safetyConfig.autoDisconnectOnBlocked,
+                alertOnBlockedJoin: this.safetyConfig.alertOnBlockedJoin,
+                leaveWhenBlockedOnline: this.safetyConfig.leaveWhenBlockedOnline,
+                alertCooldown: this.safetyConfig.alertCooldown,
+                autoEat: this.safetyConfig.autoEat,
+                autoEatThreshold: this.safetyConfig.autoEatThreshold,
+                autoDisconnectOnEntities: this.safetyConfig.autoDisconnectOnEntities,
+                hostileMobRadius: this.safetyConfig.hostileMobRadius,
+                tntRadius: this.safetyConfig.tntRadius,
+                endCrystalRadius: this.safetyConfig.endCrystalRadius,
+                projectileRadius: this.safetyConfig.projectileRadius,
+                trustedCount: this.trustedPlayers.size,
+                blockedCount: this.blockedPlayers.size,
+                trustedPlayers: Array.from(this.trustedPlayers),
+                blockedPlayers: Array.from(this.blockedPlayers),
+                nearbyPlayers: session.getNearbyPlayers(),
+                nearbyEntities: session.getNearbyEntities(),
+                activeThreat: session.activeThreat || null,
+                escape: session.escape,
+                lastDisconnect: session.lastSafetyDisconnect || null
+            },
+            uptime: process.uptime(),
+            memory: process.memoryUsage()
+        };
+    }
+
+    // Gauges for /metrics, read at scrape time
+    collectMetrics() {
+        const now = Date.now();
+        const sessions = Array.from(this.sessions.values());
+        const perAccount = (name, help, value) => ({
+            name,
+            help,
+            type: 'gauge',
+            samples: sessions.map(session => ({ labels: { account: session.id }, value: value(session) }))
+        });
+        const gauge = (name, help, value) => ({ name, help, type: 'gauge', samples: [{ value }] });
+
+        const server = this.serverMonitor.latest;
+        const memory = process.memoryUsage();
+
+        return [
+            perAccount('connected', 'Whether the account is logged in to the server', s => s.isConnected),
+            perAccount('should_join', 'Whether the account is meant to be online, including while reconnecting', s => s.shouldJoin),
+            perAccount('reconnect_attempts', 'Reconnect attempts since the last successful login', s => s.reconnectAttempts),
+            perAccount('session_uptime_seconds', 'Seconds since the current login, 0 while offline', s => s.connectedAt ? (now - s.connectedAt) / 1000 : 0),
+            perAccount('offline_seconds', 'Seconds the account has been offline, 0 while online', s => s.offlineSince ? (now - s.offlineSince) / 1000 : 0),
+            perAccount('health', 'Bot health in half hearts (0-20)', s => s.isConnected ? s.minecraftBot?.health ?? null : null),
+            perAccount('food', 'Bot food level (0-20)', s => s.isConnected ? s.minecraftBot?.food ?? null : null),
+            perAccount('ping_milliseconds', 'Latency the server reports for the bot', s => s.isConnected ? s.minecraftBot?.player?.ping ?? null : null),
+            perAccount('nearby_players', 'Players within the proximity radius', s => s.getNearbyPlayers().length),
+            perAccount('threat_active', 'Whether a safety threat is active right now', s => !!s.activeThreat),
+            {
+                name: 'chat_messages_relayed_total',
+                help: 'Chat lines relayed by the chat bridge, by direction',
+                type: 'counter',
+                samples: [
+                    { labels: { direction: 'to_discord' }, value: this.chatBridge.relayedCount },
+                    { labels: { direction: 'to_minecraft' }, value: this.bridgedToMinecraft }
+                ]
+            },
+            gauge('server_online', 'Whether the last server-list ping got an answer', server ? server.online : null),
+            gauge('server_latency_milliseconds', 'Latency of the last server-list ping', server?.online ? server.latency : null),
+            gauge('server_players_online', 'Players online according to the last server-list ping', server?.online ? server.players.online : null),
+            gauge('discord_connected', 'Whether the Discord client is logged in', this.discordClient.readyTimestamp !== null),
+            gauge('process_uptime_seconds', 'Seconds since the bot process started', process.uptime()),
+            gauge('process_resident_memory_bytes', 'Resident memory of the bot process', memory.rss),
+            gauge('process_heap_used_bytes', 'V8 heap in use', memory.heapUsed),
+            gauge('process_heap_total_bytes', 'V8 heap allocated', memory.heapTotal)
+        ];
+    }
+
+    publishStatus(session) {
+        if (!this.eventStream.hasClients) return;
+
+        this.eventStream.publish('status', this.buildStatus(session, true), {
+            account: session.id,
+            redacted: this.buildStatus(session, false)
+        });
+        // The account tabs follow every account, not just the one a client watches
+        this.eventStream.publish('accounts', Array.from(this.sessions.values(), s => s.getSummary()));
+    }
+
     // ========================================================================
     // DISCORD EVENT HANDLERS
     // ========================================================================
 
     setupDiscordEvents() {
+        // discord.js retries and logs these itself; they are only counted for /metrics
+        this.discordClient.rest.on('response', (request, response) => {
+            if (response.status >= 400) {
+                this.metrics.inc('discord_api_errors_total', { status: response.status });
+            }
+        });
+
+        this.discordClient.on('error', (error) => {
+            console.error('Discord client error:', error);
+            this.metrics.inc('discord_api_errors_total', { status: 'client' });
+        });
+
         this.discordClient.once('clientReady', async () => {
             await this.registerSlashCommands();
-            await this.setupControlMessage();
+            for (const session of this.sessions.values()) {
+                await session.setupControlMessage();
+                session.checkAuthExpiry().catch((error) => {
+                    console.error(`[${session.id}] Login expiry check failed:`, error);
+                });
+            }
         });
 
         this.discordClient.on('interactionCreate', async (interaction) => {
             if (!interaction.isButton()) return;
+
+            // Reply buttons live in DMs, so only the permission check applies
+            if (interaction.customId.startsWith('inbox_reply:')) {
+                if (!await this.checkPermission(interaction, 'chat', 'reply to private messages')) return;
+                await this.showWhisperReplyModal(interaction);
+                return;
+            }
             
-            if (interaction.customId !== 'connect' && interaction.customId !== 'disconnect') return;
-            
-            if (this.controlMessage?.id !== interaction.message.id) {
-                this.controlMessage = interaction.message;
+            // Control panels posted before multi-account support use plain "connect"/"disconnect"
+            const [action, accountId] = interaction.customId.split(':');
+            if (action !== 'connect' && action !== 'disconnect') return;
+
+            if (interaction.channelId !== CONFIG.discord.channelId) {
+                await interaction.reply({ 
+                    content: '❌ This bot can only be used in the designated channel!', 
+                    flags: [MessageFlags.Ephemeral]
+                });
+                return;
             }
 
-            if (interaction.customId === 'connect') {
-                this.shouldJoin = true;
-                this.lastAuthUser = interaction.user;
-                this.authInteraction = interaction;
-                this.reconnectAttempts = 0;
-                this.webInitiatedConnection = false;
+            if (!await this.checkPermission(interaction, 'connect', `use the ${action} button`)) return;
+
+            const session = this.getSession(accountId);
+            if (!session) {
+                await interaction.reply({ 
+                    content: `❌ Unknown account: ${accountId}`, 
+                    flags: [MessageFlags.Ephemeral]
+                });
+                return;
+            }
+            
+            if (session.controlMessage?.id !== interaction.message.id) {
+                session.controlMessage = interaction.message;
+                this.saveState();
+            }
 
+            if (action === 'connect') {
+                const accountNote = session.label ? ` (account \`${session.id}\`)` : '';
                 const authEmbed = new EmbedBuilder()
-                    .setTitle('🔐 Microsoft Authentication Required')
-                    .setDescription('Please authenticate to connect the Minecraft bot.')
+                    .setTitle(CONFIG.minecraft.auth === 'microsoft' ? '🔐 Microsoft Authentication Required' : '🔄 Connecting')
+                    .setDescription(CONFIG.minecraft.auth === 'microsoft'
+                        ? `Please authenticate to connect the Minecraft bot${accountNote}.`
+                        : `Connecting the Minecraft bot in offline mode${accountNote}.`)
                     .addFields(
                         { name: '⏳ Status', value: 'Connecting to Minecraft server...', inline: false }
                     )
@@ -401,23 +989,10 @@ class MinecraftDiscordBot {
                     flags: [MessageFlags.Ephemeral]
                 });
 
-                this.updateDiscordActivity();
+                await session.connect({ user: interaction.user, interaction, actor: AuditLog.discordActor(interaction.user) });
 
-                await this.connectToMinecraft();
-
-            } else if (interaction.customId === 'disconnect') {
-                this.shouldJoin = false;
-                this.reconnectAttempts = 0;
-                this.authInteraction = null;
-                this.authUrl = null;
-                this.userCode = null;
-                if (this.minecraftBot) {
-                    this.minecraftBot.quit();
-                    this.minecraftBot = null;
-                }
-                this.isConnected = false;
-                this.clearDiscordActivity();
-                await this.updateEmbed();
+            } else {
+                await session.disconnect({ actor: AuditLog.discordActor(interaction.user) });
                 
                 await interaction.reply({ 
                     content: '✅ Bot disconnected from Minecraft server!', 
@@ -426,6 +1001,28 @@ class MinecraftDiscordBot {
             }
         });
 
+        // Whisper reply modal
+        this.discordClient.on('interactionCreate', async (interaction) => {
+            if (!interaction.isModalSubmit()) return;
+            if (!interaction.customId.startsWith('inbox_reply_modal:')) return;
+
+            try {
+                if (!await this.checkPermission(interaction, 'chat', 'reply to private messages')) return;
+                await this.handleWhisperReplySubmit(interaction);
+            } catch (error) {
+                console.error('Error handling whisper reply:', error);
+            }
+        });
+
+        // Chat bridge: Discord -> Minecraft
+        this.discordClient.on('messageCreate', async (message) => {
+            try {
+                await this.handleBridgeMessage(message);
+            } catch (error) {
+                console.error('Error handling bridge message:', error);
+            }
+        });
+
         // Handle slash commands
         this.discordClient.on('interactionCreate', async (interaction) => {
             if (!interaction.isChatInputCommand()) return;
@@ -438,6 +1035,9 @@ class MinecraftDiscordBot {
                 return;
             }
 
+            const capability = PermissionManager.getCommandCapability(interaction.commandName, interaction.options.getSubcommand(false));
+            if (!await this.checkPermission(interaction, capability, `use /${interaction.commandName}`)) return;
+
             try {
                 await this.handleSlashCommand(interaction);
             } catch (error) {
@@ -453,104 +1053,37 @@ class MinecraftDiscordBot {
         });
     }
 
-    async setupControlMessage() {
-        try {
-            const channel = await this.discordClient.channels.fetch(CONFIG.discord.channelId);
-            if (!channel) {
-                console.error('Control channel not found!');
-                return;
-            }
-
-            const embed = this.createEmbed();
-            
-            const row = new ActionRowBuilder()
-                .addComponents(
-                    new ButtonBuilder()
-                        .setCustomId('connect')
-                        .setLabel('Connect')
-                        .setEmoji('✅')
-                        .setStyle(ButtonStyle.Success),
-                    new ButtonBuilder()
-                        .setCustomId('disconnect')
-                        .setLabel('Disconnect')
-                        .setEmoji('❌')
-                        .setStyle(ButtonStyle.Danger)
-                );
-
-            this.controlMessage = await channel.send({ 
-                embeds: [embed],
-                components: [row]
-            });
-        } catch (error) {
-            console.error('Failed to setup control message:', error);
-        }
-    }
-
-    createEmbed() {
-        const statusColor = this.isConnected ? '#00ff00' : this.shouldJoin ? '#ff9900' : '#ff0000';
-        const embed = new EmbedBuilder()
-            .setTitle('[<:donut:1449408560034480319>] DonutAFK')
-            .setColor(statusColor)
-            .addFields(
-                { name: '🖥️ Server', value: `\`${CONFIG.minecraft.host}\``, inline: true },
-                { name: '🔗 Status', value: this.getStatusText(), inline: true },
-                { name: '🛡️ Safety', value: this.safetyConfig.enabled ? (this.isConnected ? '✅ Active' : '❌ Inactive') : '⏸️ Disabled', inline: true }
-            );
+    async handleBridgeMessage(message) {
+        if (message.author.bot || message.webhookId) return;
+        if (!this.chatBridge.isBridgeChannel(message.channelId)) return;
 
-        if (this.isConnected && this.minecraftBot) {
-            embed.addFields(
-                { name: '👤 Player', value: `\`${this.minecraftBot.username}\``, inline: true },
-                { name: '🌍 World', value: `\`${this.currentWorld}\``, inline: true },
-                { name: '<:mcheart:1449409243479412786> Health', value: `\`${this.currentHealth}/20\``, inline: true },
-                { name: '📍 Position', value: `\`${Math.round(this.currentCoords.x)}, ${Math.round(this.currentCoords.y)}, ${Math.round(this.currentCoords.z)}\``, inline: false }
-            );
-        }
+        const outgoing = this.chatBridge.prepareOutgoing(message.content);
+        if (!outgoing) return;
 
-        if (this.reconnectAttempts > 0 && this.shouldJoin) {
-            embed.addFields({
-                name: '🔄 Reconnecting',
-                value: `${this.reconnectAttempts}/${this.maxReconnectAttempts}`,
-                inline: true
-            });
+        if (outgoing.error) {
+            await message.reply({ content: outgoing.error, allowedMentions: { repliedUser: false } });
+            return;
         }
 
-        embed.setTimestamp()
-            .setFooter({ text: 'Use buttons below to control the bot' });
-
-        if (this.authUrl && this.userCode) {
-            embed.addFields({
-                name: '🔑 Auth Required',
-                value: `[Click here](${this.authUrl}) | Code: \`${this.userCode}\``,
-                inline: false
-            });
+        const member = await this.resolveMember(message.author, message.member);
+        if (!this.permissions.has(message.author.id, member, 'chat')) {
+            this.logPermissionDenied(message.author, 'chat', 'send chat through the bridge');
+            await message.react('⛔');
+            return;
         }
 
-        return embed;
-    }
-
-    getStatusText() {
-        if (this.authUrl && this.userCode) {
-            return '⏳ Waiting for Microsoft authentication...';
-        }
-        if (this.isConnected && this.minecraftBot) {
-            return `✅ Connected as ${this.minecraftBot.username}`;
-        }
-        if (this.shouldJoin && !this.isConnected) {
-            if (this.reconnectAttempts > 0) {
-                return `🔄 Reconnecting... (${this.reconnectAttempts}/${this.maxReconnectAttempts})`;
-            }
-            return '⏳ Connecting...';
+        const session = this.getBridgeSession();
+        if (!session.isConnected || !session.minecraftBot) {
+            await message.react('❌');
+            return;
         }
-        return '❌ Disconnected';
-    }
 
-    updatePositionInfo() {
-        if (this.minecraftBot && this.minecraftBot.entity && this.minecraftBot.entity.position) {
-            this.currentCoords = {
-                x: this.minecraftBot.entity.position.x,
-                y: this.minecraftBot.entity.position.y,
-                z: this.minecraftBot.entity.position.z
-            };
+        try {
+            session.minecraftBot.chat(outgoing.text);
+            this.bridgedToMinecraft++;
+        } catch (error) {
+            console.error('Failed to bridge message to Minecraft:', error);
+            await message.react('⚠️');
         }
     }
 
@@ -570,13 +1103,16 @@ class MinecraftDiscordBot {
 
         try {
             const { ActivityType } = require('discord.js');
+            const sessions = Array.from(this.sessions.values());
+            const connected = sessions.filter(s => s.isConnected && s.minecraftBot);
+            const accountSuffix = this.sessions.size > 1 ? ` (${connected.length}/${this.sessions.size})` : '';
             
-            if (this.isConnected && this.minecraftBot) {
+            if (connected.length > 0) {
                 const safetyIndicator = this.safetyConfig.enabled ? '[Safe] ' : '';
-                const status = `${safetyIndicator}AFK on ${CONFIG.minecraft.host}`;
+                const status = `${safetyIndicator}AFK on ${CONFIG.minecraft.host}${accountSuffix}`;
                 this.discordClient.user.setActivity(status, { type: ActivityType.Playing });
-            } else if (this.shouldJoin) {
-                if (this.authUrl && this.userCode) {
+            } else if (sessions.some(s => s.shouldJoin)) {
+                if (sessions.some(s => s.authFlow.isPending)) {
                     this.discordClient.user.setActivity('Waiting for auth...', { type: ActivityType.Watching });
                 } else {
                     this.discordClient.user.setActivity('Connecting to server...', { type: ActivityType.Watching });
@@ -589,541 +1125,227 @@ class MinecraftDiscordBot {
         }
     }
 
+    updateAllEmbeds() {
+        for (const session of this.sessions.values()) {
+            session.updateEmbed();
+        }
+    }
+
     // ========================================================================
-    // SAFETY METHODS
+    // PERMISSIONS
     // ========================================================================
 
-    async sendSafetyAlert(title, description, color = '#ff0000', isUrgent = false) {
-        try {
-            if (!this.lastAuthUser) {
-                console.log('No authenticated user to send safety alert to');
-                return;
-            }
-
-            const embed = new EmbedBuilder()
-                .setTitle(title)
-                .setDescription(description)
-                .setColor(color)
-                .addFields(
-                    { name: '📍 Location', value: `\`X: ${Math.round(this.currentCoords.x)}, Y: ${Math.round(this.currentCoords.y)}, Z: ${Math.round(this.currentCoords.z)}\``, inline: true },
-                    { name: '🌍 World', value: `\`${this.currentWorld}\``, inline: true },
-                    { name: '❤️ Health', value: `\`${this.currentHealth}/20\``, inline: true },
-                    { name: '⏰ Time', value: `<t:${Math.floor(Date.now() / 1000)}:R>`, inline: false }
-                )
-                .setTimestamp()
-                .setFooter({ text: 'DonutAFK Safety System' });
+    // Interactions in DMs have no member, so look the user up in the control channel's guild
+    async resolveMember(user, member = null) {
+        if (member?.roles?.cache) return member;
 
-            const messageContent = isUrgent ? '🚨 **DonutAFK Safety Alert** 🚨' : '⚠️ **Safety Alert**';
-            
-            await this.lastAuthUser.send({ 
-                content: messageContent, 
-                embeds: [embed] 
-            });
-            
+        try {
+            const channel = await this.discordClient.channels.fetch(CONFIG.discord.channelId);
+            return await channel.guild.members.fetch(user.id);
         } catch (error) {
-            try {
-                const channel = await this.discordClient.channels.fetch(CONFIG.discord.channelId);
-                if (channel) {
-                    await channel.send({ 
-                        content: `⚠️ Failed to DM ${this.lastAuthUser?.tag || 'user'} - Safety Alert: **${title}**\n${description}` 
-                    });
-                }
-            } catch (fallbackError) {
-                console.error('Failed to send safety alert:', fallbackError);
-            }
+            return null;
         }
     }
 
-    checkPlayerProximity() {
-        if (!this.safetyConfig.enabled || !this.minecraftBot || !this.minecraftBot.players) return;
-        if (!this.minecraftBot.entity || !this.minecraftBot.entity.position) return;
-
-        const now = Date.now();
-        if (now - this.lastProximityAlert < this.safetyConfig.alertCooldown) return;
-
-        const myPos = this.minecraftBot.entity.position;
-        const nearbyPlayers = [];
-        const threats = [];
-
-        const isInSpawnArea = Math.abs(myPos.x) <= 100 && Math.abs(myPos.z) <= 100;
-
-        for (const [username, player] of Object.entries(this.minecraftBot.players)) {
-            if (!this.minecraftBot || username === this.minecraftBot.username) continue;
-            if (!player.entity || !player.entity.position) continue;
-
-            const distance = myPos.distanceTo(player.entity.position);
-            if (distance <= this.safetyConfig.proximityRadius) {
-                const playerInfo = { username, distance: Math.round(distance) };
-                nearbyPlayers.push(playerInfo);
-                
-                if (!this.trustedPlayers.has(username) && distance <= 20) {
-                    threats.push(playerInfo);
-                }
-            }
+    async checkPermission(interaction, capability, action) {
+        const member = await this.resolveMember(interaction.user, interaction.member);
+        if (this.permissions.has(interaction.user.id, member, capability)) {
+            return true;
         }
 
-        if (threats.length > 0) {
-            this.activeThreat = `${threats.length} untrusted player(s) nearby: ${threats.map(t => t.username).join(', ')}`;
-        } else {
-            this.activeThreat = null;
-        }
+        this.logPermissionDenied(interaction.user, capability, action);
+        await interaction.reply({ 
+            content: `❌ You need the **${PermissionManager.describe(capability)}** permission to ${action}. Ask a server admin to grant it to one of your roles.`, 
+            flags: [MessageFlags.Ephemeral]
+        });
+        return false;
+    }
 
-        if (nearbyPlayers.length > 0) {
-            this.lastProximityAlert = now;
-            const playerList = nearbyPlayers.map(p => {
-                const isTrusted = this.trustedPlayers.has(p.username) ? '✅' : '⚠️';
-                const isBlocked = this.blockedPlayers.has(p.username) ? '🚫' : '';
-                return `${isTrusted}${isBlocked} **${p.username}** (${p.distance}m)`;
-            }).join(', ');
-            
-            if (isInSpawnArea && threats.length > 0) {
-                this.sendSafetyAlert(
-                    '🔄 Server Restart Detected',
-                    `**Player(s) detected at spawn (likely server restart):**\n${playerList}\n\n**Location:** Spawn area (X: ${Math.round(myPos.x)}, Z: ${Math.round(myPos.z)})\n**Action:** No disconnect (spawn area protection active)`,
-                    '#00bfff',
-                    false
-                );
-                return;
-            }
-            
-            if (this.safetyConfig.autoDisconnectOnThreat && threats.length > 0) {
-                const threatList = threats.map(p => `${p.username} (${p.distance}m)`).join(', ');
-                
-                this.lastSafetyDisconnect = {
-                    time: Date.now(),
-                    reason: `Untrusted player(s) detected: ${threatList}`,
-                    type: 'threat',
-                    players: threats.map(t => t.username)
-                };
-                
-                this.sendSafetyAlert(
-                    '🚨 THREAT DETECTED - AUTO DISCONNECT',
-                    `**Untrusted player(s) detected within 20 blocks:**\n${threatList}\n\n**Action:** Bot automatically disconnected for safety!`,
-                    '#ff0000',
-                    true
-                );
-                
-                setTimeout(() => {
-                    this.shouldJoin = false;
-                    if (this.minecraftBot) {
-                        this.minecraftBot.quit();
-                    }
-                }, 1000);
-                return;
-            }
-            
-            this.sendSafetyAlert(
-                '⚠️ Player Proximity Alert',
-                `**${nearbyPlayers.length} player(s) detected within ${this.safetyConfig.proximityRadius} blocks:**\n${playerList}`,
-                '#ff9900',
-                true
-            );
-        }
+    logPermissionDenied(user, capability, action) {
+        console.warn(`Permission denied: ${user.tag} (${user.id}) tried to ${action} without "${capability}"`);
     }
 
-    async checkHealth() {
-        if (!this.safetyConfig.enabled || !this.minecraftBot || this.minecraftBot.health === undefined) return;
+    // ========================================================================
+    // SAFETY METHODS
+    // ========================================================================
 
-        this.lastHealth = this.currentHealth;
-        this.currentHealth = this.minecraftBot.health;
+    updateSafetyConfig(changes, actor = null) {
+        const errors = [];
+        const updates = {};
 
-        if (this.currentHealth < this.lastHealth) {
-            const damage = this.lastHealth - this.currentHealth;
-            
-            if (this.currentHealth <= this.safetyConfig.autoDisconnectHealth) {
-                this.lastSafetyDisconnect = {
-                    time: Date.now(),
-                    reason: `Critical health: ${this.currentHealth}/20 HP (took ${damage} damage)`,
-                    type: 'health',
-                    health: this.currentHealth
-                };
-                
-                this.sendSafetyAlert(
-                    '🚨 CRITICAL HEALTH - AUTO DISCONNECT',
-                    `**You took ${damage} damage! Health: ${this.currentHealth}/20**\n\n**Action:** Bot automatically disconnected for safety!`,
-                    '#8B0000',
-                    true
-                );
-                
-                setTimeout(() => {
-                    this.shouldJoin = false;
-                    if (this.minecraftBot) {
-                        this.minecraftBot.quit();
-                    }
-                }, 500);
-                return;
+        for (const key of SAFETY_TOGGLES) {
+            if (changes[key] === undefined) continue;
+            if (typeof changes[key] !== 'boolean') {
+                errors.push(`${key} must be true or false`);
+                continue;
             }
-            
-            this.sendSafetyAlert(
-                '🩸 Damage Taken',
-                `**You took ${damage} damage!**\nHealth decreased from ${this.lastHealth} to ${this.currentHealth}`,
-                '#ff0000',
-                true
-            );
+            updates[key] = changes[key];
         }
 
-        const now = Date.now();
-        if (this.currentHealth <= this.safetyConfig.minHealth && 
-            now - this.lastHealthAlert > this.safetyConfig.alertCooldown) {
-            
-            this.lastHealthAlert = now;
-            this.sendSafetyAlert(
-                '💀 Critical Health Alert',
-                `**DANGER: Health is critically low at ${this.currentHealth}/20!**\nConsider disconnecting immediately!`,
-                '#8B0000',
-                true
-            );
+        for (const [key, limits] of Object.entries(SAFETY_LIMITS)) {
+            if (changes[key] === undefined) continue;
+            const value = changes[key];
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < limits.min || value > limits.max) {
+                errors.push(`${key} must be a number between ${limits.min} and ${limits.max}`);
+                continue;
+            }
+            updates[key] = limits.integer ? Math.round(value) : value;
         }
-    }
-
-    // ========================================================================
-    // MINECRAFT CONNECTION
-    // ========================================================================
 
-    async attemptReconnect() {
-        if (!this.shouldJoin) {
-            return;
+        const unknownKeys = Object.keys(changes).filter(key => !Object.hasOwn(this.safetyConfig, key));
+        for (const key of unknownKeys) {
+            errors.push(`Unknown safety setting: ${key}`);
         }
 
-        if (this.isConnecting) {
-            return;
+        // Otherwise the low health alert could never fire before the auto-disconnect
+        const merged = { ...this.safetyConfig, ...updates };
+        if (errors.length === 0 && merged.autoDisconnectHealth >= merged.minHealth) {
+            errors.push(`autoDisconnectHealth (${merged.autoDisconnectHealth}) must be below minHealth (${merged.minHealth})`);
         }
 
-        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-            this.shouldJoin = false;
-            this.clearDiscordActivity();
-            await this.updateEmbed();
-            return;
+        if (errors.length > 0) {
+            return { success: false, errors };
         }
 
-        this.reconnectAttempts++;
-
-        await this.updateEmbed();
-
-        const delay = this.reconnectDelay * Math.min(this.reconnectAttempts, 5);
+        Object.assign(this.safetyConfig, updates);
+        this.saveState();
+        this.auditLog.record('config', { actor, setting: 'safety', value: updates });
 
-        setTimeout(async () => {
-            if (this.shouldJoin && !this.isConnected && !this.isConnecting) {
-                await this.connectToMinecraft();
+        if (!this.safetyConfig.enabled) {
+            for (const session of this.sessions.values()) {
+                session.clearThreats();
             }
-        }, delay);
-    }
-
-    async connectToMinecraft() {
-        if (this.isConnecting) {
-            return;
-        }
-
-        if (this.minecraftBot) {
-            this.minecraftBot.quit();
         }
 
-        try {
-            this.isConnecting = true;
-            await this.updateEmbed();
+        this.updateDiscordActivity();
+        this.updateAllEmbeds();
 
-            this.setupConsoleCapture();
+        return { success: true, config: { ...this.safetyConfig } };
+    }
 
-            this.minecraftBot = mineflayer.createBot({
-                host: CONFIG.minecraft.host,
-                port: CONFIG.minecraft.port,
-                version: CONFIG.minecraft.version,
-                auth: CONFIG.minecraft.auth
-            });
+    updatePlayerList(listName, action, username, actor = null) {
+        const list = listName === 'trusted' ? this.trustedPlayers : this.blockedPlayers;
+        const otherList = listName === 'trusted' ? this.blockedPlayers : this.trustedPlayers;
+        const name = typeof username === 'string' ? username.trim() : '';
 
-            this.setupMinecraftEvents();
+        if (!PLAYER_NAME_PATTERN.test(name)) {
+            return { success: false, message: `Invalid player name: ${name || '(empty)'}` };
+        }
 
-            this.authCheckTimeout = setTimeout(() => {
-                // Silent auth check
-            }, 5000);
+        if (action === 'add') {
+            if (list.has(name)) {
+                return { success: false, message: `${name} is already ${listName}` };
+            }
 
-        } catch (error) {
-            this.isConnecting = false;
-            if (this.shouldJoin) {
-                await this.attemptReconnect();
-            } else {
-                this.clearDiscordActivity();
-                await this.updateEmbed();
+            otherList.delete(name);
+            list.add(name);
+        } else {
+            if (!list.has(name)) {
+                return { success: false, message: `${name} is not ${listName}` };
             }
+            list.delete(name);
         }
-    }
 
-    setupConsoleCapture() {
-        if (!this.originalStderrWrite) {
-            this.originalStderrWrite = process.stderr.write;
-            process.stderr.write = (chunk, encoding, callback) => {
-                const message = chunk.toString();
+        this.saveState();
+        this.auditLog.record('config', { actor, setting: `${listName}Players`, action, player: PlayerList.normalize(name) });
+        this.updateAllEmbeds();
 
-                if (message.includes('microsoft.com/link') && message.includes('use the code')) {
-                    this.extractAuthDetails(message);
-                } else if (message.includes('Chunk size') || message.includes('partial packet')) {
-                    return true;
-                }
+        return {
+            success: true,
+            message: action === 'add' ? `${name} added to ${listName} players` : `${name} removed from ${listName} players`
+        };
+    }
 
-                return this.originalStderrWrite.call(process.stderr, chunk, encoding, callback);
-            };
+    // action is "add" (input is the zone) or "remove" (input is its name)
+    updateZones(action, input, actor = null) {
+        const result = action === 'add' ? this.zones.add(input) : this.zones.remove(input);
+        if (!result.success) {
+            return result;
         }
 
-        if (!this.originalStdoutWrite) {
-            this.originalStdoutWrite = process.stdout.write;
-            process.stdout.write = (chunk, encoding, callback) => {
-                const message = chunk.toString();
-
-                if (message.includes('microsoft.com/link') && message.includes('use the code')) {
-                    this.extractAuthDetails(message);
-                } else if (message.includes('Chunk size') || message.includes('partial packet')) {
-                    return true;
-                }
+        this.saveState();
+        this.auditLog.record('config', { actor, setting: 'zones', action, zone: result.zone.name });
+        this.updateAllEmbeds();
+        return result;
+    }
 
-                return this.originalStdoutWrite.call(process.stdout, chunk, encoding, callback);
-            };
+    updateEscapePlan(type, input, actor = null) {
+        const result = this.escapePlans.set(type, input);
+        if (!result.success) {
+            return result;
         }
-    }
 
-    async forceCheckAuthCode() {
-        return;
+        this.saveState();
+        this.auditLog.record('config', { actor, setting: 'escape', action: type, value: result.plan });
+        return result;
     }
 
-    setupMinecraftEvents() {
-        this.minecraftBot.on('login', async () => {
-            this.isConnected = true;
-            this.isConnecting = false;
-            this.authUrl = null;
-            this.userCode = null;
-            this.authMessageSent = false;
-            this.reconnectAttempts = 0;
-            this.activeThreat = null;
-
-            if (this.authInteraction) {
-                try {
-                    const successEmbed = new EmbedBuilder()
-                        .setTitle('✅ Authentication Successful')
-                        .setDescription(`Connected to Minecraft server as **${this.minecraftBot.username}**!`)
-                        .setColor('#00ff00')
-                        .setTimestamp();
-
-                    await this.authInteraction.editReply({ 
-                        embeds: [successEmbed]
-                    });
-                    
-                    this.authInteraction = null;
-                } catch (error) {
-                    // Silent error
-                }
-            }
-
-            if (this.minecraftBot && this.minecraftBot.game && this.minecraftBot.game.dimension) {
-                this.currentWorld = this.minecraftBot.game.dimension;
-            }
-
-            if (this.authCheckTimeout) {
-                clearTimeout(this.authCheckTimeout);
-            }
-            if (this.authCheckInterval) {
-                clearInterval(this.authCheckInterval);
-                this.authCheckInterval = null;
-            }
-
-            if (this.authMessage) {
-                try {
-                    await this.authMessage.delete();
-                    this.authMessage = null;
-                } catch (error) {
-                    // Silent error
-                }
-            }
-
-            this.updateDiscordActivity();
-            await this.updateEmbed();
-        });
-
-        this.minecraftBot.on('spawn', async () => {
-            this.updatePositionInfo();
-
-            if (this.minecraftBot && this.minecraftBot.game && this.minecraftBot.game.dimension) {
-                this.currentWorld = this.minecraftBot.game.dimension;
-            }
-
-            this.currentHealth = this.minecraftBot.health || 20;
-            this.lastHealth = this.currentHealth;
-
-            this.updateDiscordActivity();
-
-            setTimeout(() => {
-                if (this.minecraftBot) {
-                    this.minecraftBot.chat('/tpa doggomc');
-                }
-            }, 5000);
-
-            await this.updateEmbed();
-        });
-
-        this.minecraftBot.on('move', () => {
-            this.updatePositionInfo();
-            this.checkPlayerProximity();
-        });
-
-        this.minecraftBot.on('respawn', () => {
-            if (this.minecraftBot && this.minecraftBot.game && this.minecraftBot.game.dimension) {
-                this.currentWorld = this.minecraftBot.game.dimension;
-                this.updateEmbed();
-            }
-        });
-
-        this.minecraftBot.on('end', async (reason) => {
-            this.isConnected = false;
-            this.isConnecting = false;
-            this.minecraftBot = null;
-            this.currentWorld = 'Unknown';
-            this.currentCoords = { x: 0, y: 0, z: 0 };
-            this.activeThreat = null;
-
-            if (this.shouldJoin) {
-                this.updateDiscordActivity();
-            } else {
-                this.clearDiscordActivity();
-            }
-            await this.updateEmbed();
-
-            if (this.shouldJoin) {
-                await this.attemptReconnect();
-            }
-        });
-
-        this.minecraftBot.on('error', async (error) => {
-            this.isConnected = false;
-            this.isConnecting = false;
-            this.currentWorld = 'Unknown';
-            this.currentCoords = { x: 0, y: 0, z: 0 };
-
-            await this.updateEmbed();
-
-            if (this.shouldJoin) {
-                await this.attemptReconnect();
-            } else {
-                this.clearDiscordActivity();
-            }
-        });
-
-        this.minecraftBot.on('kicked', async (reason) => {
-            this.isConnected = false;
-            this.isConnecting = false;
-            this.minecraftBot = null;
-            this.currentWorld = 'Unknown';
-            this.currentCoords = { x: 0, y: 0, z: 0 };
-
-            await this.updateEmbed();
-
-            if (this.shouldJoin) {
-                await this.attemptReconnect();
-            } else {
-                this.clearDiscordActivity();
-            }
-        });
-
-        this.minecraftBot.on('health', () => {
-            this.checkHealth();
-        });
-
-        this.minecraftBot.on('playerJoined', (player) => {
-            setTimeout(() => this.checkPlayerProximity(), 1000);
-        });
-
-        this.minecraftBot.on('playerLeft', (player) => {
-            this.nearbyPlayers.delete(player.username);
-        });
-
-        this.minecraftBot.on('entityMoved', (entity) => {
-            if (entity && entity.type === 'player' && entity.username !== this.minecraftBot?.username) {
-                this.checkPlayerProximity();
-            }
-        });
-
-        setInterval(() => {
-            if (this.isConnected && this.safetyConfig.enabled) {
-                this.checkPlayerProximity();
-                this.checkHealth();
-            }
-        }, 5000);
+    // Webhook URLs carry their own token, so the audit log only notes that one was set
+    auditBridgeChange(actor, changes) {
+        const value = { ...changes };
+        if (value.webhookUrl) value.webhookUrl = '[set]';
+        this.auditLog.record('config', { actor, setting: 'bridge', value });
     }
 
-    async extractAuthDetails(message) {
-        const urlMatch = message.match(/https:\/\/[^\s]+/);
-        const codeMatch = message.match(/code ([A-Z0-9]+)/);
+    // ========================================================================
+    // PRIVATE MESSAGES
+    // ========================================================================
 
-        if (codeMatch && urlMatch) {
-            const authCode = codeMatch[1];
-            const baseUrl = urlMatch[0];
-            
-            const authUrlWithOtp = baseUrl.includes('?') 
-                ? `${baseUrl}&otc=${authCode}` 
-                : `${baseUrl}?otc=${authCode}`;
-            
-            this.authUrl = authUrlWithOtp;
-            this.userCode = authCode;
-
-            // Update Discord interaction if it exists (Discord-initiated connection)
-            if (this.authInteraction) {
-                const updatedEmbed = new EmbedBuilder()
-                    .setTitle('🔐 Microsoft Authentication Required')
-                    .setDescription('Please authenticate to connect the Minecraft bot.')
-                    .addFields(
-                        { name: '🔗 Authentication Link', value: `[Click here to authenticate](${authUrlWithOtp})`, inline: false },
-                        { name: '🔑 Code (if needed)', value: `\`${authCode}\``, inline: false },
-                        { name: '⏳ Status', value: 'Waiting for you to complete authentication...', inline: false }
-                    )
-                    .setColor('#ff9900')
-                    .setTimestamp();
+    // Reply ids are "<prefix>:<account>:<player>", or "<prefix>:<player>" from before multi-account support
+    parseWhisperReplyId(customId) {
+        const parts = customId.split(':').slice(1);
+        const player = parts.pop();
+        return { session: this.getSession(parts[0]), player };
+    }
 
-                try {
-                    await this.authInteraction.editReply({ embeds: [updatedEmbed] });
-                } catch (error) {
-                    console.error('Failed to update auth interaction:', error);
-                }
-            }
+    async showWhisperReplyModal(interaction) {
+        const { session, player } = this.parseWhisperReplyId(interaction.customId);
+        const accountId = session?.id || this.getDefaultSession().id;
+
+        const modal = new ModalBuilder()
+            .setCustomId(`inbox_reply_modal:${accountId}:${player}`)
+            .setTitle(`Reply to ${player}`)
+            .addComponents(
+                new ActionRowBuilder().addComponents(
+                    new TextInputBuilder()
+                        .setCustomId('text')
+                        .setLabel('Message')
+                        .setStyle(TextInputStyle.Paragraph)
+                        .setMaxLength(200)
+                        .setRequired(true)
+                )
+            );
 
-            // Always update the main embed
-            await this.updateEmbed();
-            this.updateDiscordActivity();
-        }
+        await interaction.showModal(modal);
     }
 
-    async updateEmbed() {
-        if (!this.controlMessage) {
-            await this.setupControlMessage();
+    async handleWhisperReplySubmit(interaction) {
+        const { session, player } = this.parseWhisperReplyId(interaction.customId);
+        const text = interaction.fields.getTextInputValue('text').replace(/\s+/g, ' ').trim();
+
+        if (!session || !PLAYER_NAME_PATTERN.test(player) || !text) {
+            await interaction.reply({ content: '❌ Invalid reply!', flags: [MessageFlags.Ephemeral] });
             return;
         }
 
-        try {
-            const embed = this.createEmbed();
-            
-            const row = new ActionRowBuilder()
-                .addComponents(
-                    new ButtonBuilder()
-                        .setCustomId('connect')
-                        .setLabel('Connect')
-                        .setEmoji('✅')
-                        .setStyle(ButtonStyle.Success),
-                    new ButtonBuilder()
-                        .setCustomId('disconnect')
-                        .setLabel('Disconnect')
-                        .setEmoji('❌')
-                        .setStyle(ButtonStyle.Danger)
-                );
-
-            await this.controlMessage.edit({ 
-                embeds: [embed],
-                components: [row]
+        if (!session.isConnected || !session.minecraftBot) {
+            await interaction.reply({ 
+                content: '❌ Bot is not connected to the Minecraft server!', 
+                flags: [MessageFlags.Ephemeral] 
             });
-        } catch (error) {
-            if (error.code === 10008) {
-                console.log('Control message was deleted, recreating...');
-                this.controlMessage = null;
-                await this.setupControlMessage();
-            } else {
-                console.error('Failed to update embed:', error);
-            }
+            return;
         }
+
+        session.minecraftBot.chat(`/msg ${player} ${text}`.substring(0, 256));
+        this.whisperInbox.add(player, text, 'out', session.id);
+        this.saveState();
+        // The text itself stays in the inbox, which read-only logins cannot see
+        this.auditLog.record('chat', { actor: AuditLog.discordActor(interaction.user), account: session.id, whisperTo: player });
+
+        await interaction.reply({ 
+            content: `✅ Reply sent to **${player}**: "${text}"`, 
+            flags: [MessageFlags.Ephemeral] 
+        });
     }
 
     // ========================================================================
@@ -1139,37 +1361,569 @@ class MinecraftDiscordBot {
                     option.setName('text')
                         .setDescription('The message to send')
                         .setRequired(true)
-                ),
+                )
+                .addStringOption(option => this.createAccountOption(option)),
             new SlashCommandBuilder()
                 .setName('shards')
-                .setDescription('Check available shards on the Minecraft account'),
+                .setDescription('Check available shards on the Minecraft account')
+                .addStringOption(option => this.createAccountOption(option)),
             new SlashCommandBuilder()
                 .setName('status')
-                .setDescription('Show bot connection status'),
+                .setDescription('Show bot connection status')
+                .addStringOption(option => this.createAccountOption(option)),
             new SlashCommandBuilder()
                 .setName('connect')
-                .setDescription('Connect the bot to the Minecraft server'),
+                .setDescription('Connect the bot to the Minecraft server')
+                .addStringOption(option => this.createAccountOption(option)),
             new SlashCommandBuilder()
                 .setName('disconnect')
                 .setDescription('Disconnect the bot from the Minecraft server')
-        ];
-    }
-
-    async registerSlashCommands() {
-        try {
-            const rest = new REST({ version: '10' }).setToken(CONFIG.discord.token);
-
-            await rest.put(
-                Routes.applicationCommands(this.discordClient.user.id),
-                { body: this.commands.map(command => command.toJSON()) }
-            );
-        } catch (error) {
-            console.error('Error registering slash commands:', error);
-        }
-    }
-
-    async handleSlashCommand(interaction) {
-        const { commandName } = interaction;
+                .addStringOption(option => this.createAccountOption(option)),
+            new SlashCommandBuilder()
+                .setName('safety')
+                .setDescription('Configure the safety system')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('show')
+                        .setDescription('Show the current safety settings')
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('enable')
+                        .setDescription('Enable proximity and health monitoring')
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('disable')
+                        .setDescription('Disable proximity and health monitoring')
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('radius')
+                        .setDescription('Set the player proximity alert radius')
+                        .addIntegerOption(option =>
+                            option.setName('blocks')
+                                .setDescription('Radius in blocks')
+                                .setMinValue(SAFETY_LIMITS.proximityRadius.min)
+                                .setMaxValue(SAFETY_LIMITS.proximityRadius.max)
+                                .setRequired(true)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('min-health')
+                        .setDescription('Set the health level that triggers a low health alert')
+                        .addNumberOption(option =>
+                            option.setName('hp')
+                                .setDescription('Health points (0-20)')
+                                .setMinValue(SAFETY_LIMITS.minHealth.min)
+                                .setMaxValue(SAFETY_LIMITS.minHealth.max)
+                                .setRequired(true)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('auto-disconnect-health')
+                        .setDescription('Set the health level that triggers an automatic disconnect')
+                        .addNumberOption(option =>
+                            option.setName('hp')
+                                .setDescription('Health points (0-20)')
+                                .setMinValue(SAFETY_LIMITS.autoDisconnectHealth.min)
+                                .setMaxValue(SAFETY_LIMITS.autoDisconnectHealth.max)
+                                .setRequired(true)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('auto-disconnect-on-threat')
+                        .setDescription('Toggle automatic disconnect when an untrusted player gets close')
+                        .addBooleanOption(option =>
+                            option.setName('enabled')
+                                .setDescription('Whether to disconnect on threats')
+                                .setRequired(true)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('blocked')
+                        .setDescription('Configure how blocked players are handled')
+                        .addBooleanOption(option =>
+                            option.setName('disconnect-in-range')
+                                .setDescription('Disconnect as soon as a blocked player is in render distance')
+                        )
+                        .addBooleanOption(option =>
+                            option.setName('alert-on-join')
+                                .setDescription('Send an alert when a blocked player joins the server')
+                        )
+                        .addBooleanOption(option =>
+                            option.setName('leave-if-online')
+                                .setDescription('Disconnect whenever a blocked player is online at all')
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('entities')
+                        .setDescription('Configure detection of hostile mobs, TNT, end crystals and projectiles')
+                        .addIntegerOption(option =>
+                            option.setName('hostile')
+                                .setDescription('Hostile mob radius in blocks (0 to ignore)')
+                                .setMinValue(SAFETY_LIMITS.hostileMobRadius.min)
+                                .setMaxValue(SAFETY_LIMITS.hostileMobRadius.max)
+                        )
+                        .addIntegerOption(option =>
+                            option.setName('tnt')
+                                .setDescription('Primed TNT radius in blocks (0 to ignore)')
+                                .setMinValue(SAFETY_LIMITS.tntRadius.min)
+                                .setMaxValue(SAFETY_LIMITS.tntRadius.max)
+                        )
+                        .addIntegerOption(option =>
+                            option.setName('end-crystal')
+                                .setDescription('End crystal radius in blocks (0 to ignore)')
+                                .setMinValue(SAFETY_LIMITS.endCrystalRadius.min)
+                                .setMaxValue(SAFETY_LIMITS.endCrystalRadius.max)
+                        )
+                        .addIntegerOption(option =>
+                            option.setName('projectile')
+                                .setDescription('Projectile radius in blocks (0 to ignore)')
+                                .setMinValue(SAFETY_LIMITS.projectileRadius.min)
+                                .setMaxValue(SAFETY_LIMITS.projectileRadius.max)
+                        )
+                        .addBooleanOption(option =>
+                            option.setName('disconnect')
+                                .setDescription('Disconnect automatically when a dangerous entity is in range')
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('auto-eat')
+                        .setDescription('Eat the best food in the inventory when hunger gets low')
+                        .addBooleanOption(option =>
+                            option.setName('enabled')
+                                .setDescription('Whether to eat automatically')
+                                .setRequired(true)
+                        )
+                        .addIntegerOption(option =>
+                            option.setName('below')
+                                .setDescription('Eat when food drops below this level (1-20)')
+                                .setMinValue(SAFETY_LIMITS.autoEatThreshold.min)
+                                .setMaxValue(SAFETY_LIMITS.autoEatThreshold.max)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('cooldown')
+                        .setDescription('Set the cooldown between safety alerts')
+                        .addIntegerOption(option =>
+                            option.setName('seconds')
+                                .setDescription('Cooldown in seconds')
+                                .setMinValue(SAFETY_LIMITS.alertCooldown.min / 1000)
+                                .setMaxValue(SAFETY_LIMITS.alertCooldown.max / 1000)
+                                .setRequired(true)
+                        )
+                ),
+            new SlashCommandBuilder()
+                .setName('trust')
+                .setDescription('Manage players the safety system ignores')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('add')
+                        .setDescription('Add a player to the trusted list')
+                        .addStringOption(option =>
+                            option.setName('player')
+                                .setDescription('Minecraft username')
+                                .setRequired(true)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('remove')
+                        .setDescription('Remove a player from the trusted list')
+                        .addStringOption(option =>
+                            option.setName('player')
+                                .setDescription('Minecraft username')
+                                .setRequired(true)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('list')
+                        .setDescription('Show the trusted list')
+                ),
+            new SlashCommandBuilder()
+                .setName('block')
+                .setDescription('Manage players the safety system treats as hostile')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('add')
+                        .setDescription('Add a player to the blocked list')
+                        .addStringOption(option =>
+                            option.setName('player')
+                                .setDescription('Minecraft username')
+                                .setRequired(true)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('remove')
+                        .setDescription('Remove a player from the blocked list')
+                        .addStringOption(option =>
+                            option.setName('player')
+                                .setDescription('Minecraft username')
+                                .setRequired(true)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('list')
+                        .setDescription('Show the blocked list')
+                ),
+            new SlashCommandBuilder()
+                .setName('zones')
+                .setDescription('Manage areas with their own proximity rules')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('add')
+                        .setDescription('Add a zone: give a radius for a circle, or x2 and z2 for a box')
+                        .addStringOption(option =>
+                            option.setName('name')
+                                .setDescription('Zone name (letters, digits, _ or -)')
+                                .setRequired(true)
+                        )
+                        .addStringOption(option =>
+                            option.setName('policy')
+                                .setDescription('What untrusted players inside the zone trigger')
+                                .setRequired(true)
+                                .addChoices(...Object.entries(ZONE_POLICIES).map(([value, policy]) => ({ name: policy.label, value })))
+                        )
+                        .addNumberOption(option =>
+                            option.setName('x')
+                                .setDescription('Center X, or the first corner of a box')
+                                .setRequired(true)
+                        )
+                        .addNumberOption(option =>
+                            option.setName('z')
+                                .setDescription('Center Z, or the first corner of a box')
+                                .setRequired(true)
+                        )
+                        .addIntegerOption(option =>
+                            option.setName('radius')
+                                .setDescription('Radius in blocks for a circular zone')
+                                .setMinValue(1)
+                        )
+                        .addNumberOption(option =>
+                            option.setName('x2')
+                                .setDescription('Opposite corner X for a box')
+                        )
+                        .addNumberOption(option =>
+                            option.setName('z2')
+                                .setDescription('Opposite corner Z for a box')
+                        )
+                        .addStringOption(option =>
+                            option.setName('dimension')
+                                .setDescription('Dimension name (default: overworld)')
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('remove')
+                        .setDescription('Remove a zone')
+                        .addStringOption(option =>
+                            option.setName('name')
+                                .setDescription('Zone name')
+                                .setRequired(true)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('list')
+                        .setDescription('Show all zones')
+                ),
+            new SlashCommandBuilder()
+                .setName('escape')
+                .setDescription('Commands to try before a safety disconnect, and rejoining afterwards')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('show')
+                        .setDescription('Show the escape plan for each threat type')
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('set')
+                        .setDescription('Change the escape plan for one threat type')
+                        .addStringOption(option =>
+                            option.setName('type')
+                                .setDescription('Threat type')
+                                .setRequired(true)
+                                .addChoices(...Object.entries(ESCAPE_THREAT_TYPES).map(([value, type]) => ({ name: type.label, value })))
+                        )
+                        .addStringOption(option =>
+                            option.setName('commands')
+                                .setDescription('Commands to try in order, separated by ; (e.g. /home;/spawn), or "none" to disconnect right away')
+                        )
+                        .addIntegerOption(option =>
+                            option.setName('recheck')
+                                .setDescription('Seconds to wait after each command before checking again')
+                                .setMinValue(1)
+                                .setMaxValue(60)
+                        )
+                        .addIntegerOption(option =>
+                            option.setName('rejoin')
+                                .setDescription('Minutes until the bot rejoins after a safety disconnect (0 = stay offline)')
+                                .setMinValue(0)
+                                .setMaxValue(1440)
+                        )
+                ),
+            new SlashCommandBuilder()
+                .setName('bridge')
+                .setDescription('Configure the Minecraft <-> Discord chat bridge')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('show')
+                        .setDescription('Show the current bridge settings')
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('enable')
+                        .setDescription('Start relaying chat')
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('disable')
+                        .setDescription('Stop relaying chat')
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('channel')
+                        .setDescription('Set the channel chat is relayed to and read from')
+                        .addChannelOption(option =>
+                            option.setName('channel')
+                                .setDescription('Bridge channel')
+                                .setRequired(true)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('webhook')
+                        .setDescription('Relay chat through a webhook instead of the bot account')
+                        .addStringOption(option =>
+                            option.setName('url')
+                                .setDescription('Webhook URL, or "none" to stop using a webhook')
+                                .setRequired(true)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('include')
+                        .setDescription('Only relay messages matching this regex')
+                        .addStringOption(option =>
+                            option.setName('pattern')
+                                .setDescription('Regular expression')
+                                .setRequired(true)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('exclude')
+                        .setDescription('Never relay messages matching this regex')
+                        .addStringOption(option =>
+                            option.setName('pattern')
+                                .setDescription('Regular expression')
+                                .setRequired(true)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('clear-filters')
+                        .setDescription('Remove all include and exclude filters')
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('commands')
+                        .setDescription('Allow messages starting with / to run as commands')
+                        .addBooleanOption(option =>
+                            option.setName('allowed')
+                                .setDescription('Whether commands are allowed')
+                                .setRequired(true)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('account')
+                        .setDescription('Choose which Minecraft account the bridge relays')
+                        .addStringOption(option => this.createAccountOption(option).setRequired(true))
+                ),
+            new SlashCommandBuilder()
+                .setName('inbox')
+                .setDescription('Review private messages received while AFK')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('list')
+                        .setDescription('Show recent private messages')
+                        .addIntegerOption(option =>
+                            option.setName('count')
+                                .setDescription('Number of messages to show')
+                                .setMinValue(1)
+                                .setMaxValue(25)
+                        )
+                        .addStringOption(option =>
+                            option.setName('player')
+                                .setDescription('Only show messages with this player')
+                        )
+                        .addStringOption(option => this.createAccountOption(option))
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('clear')
+                        .setDescription('Delete all stored private messages')
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('patterns')
+                        .setDescription('Show the patterns used to detect private messages')
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('add-pattern')
+                        .setDescription('Add a regex with "player" and "message" named groups')
+                        .addStringOption(option =>
+                            option.setName('pattern')
+                                .setDescription('Regular expression')
+                                .setRequired(true)
+                        )
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('reset-patterns')
+                        .setDescription('Restore the default private message patterns')
+                ),
+            new SlashCommandBuilder()
+                .setName('onspawn')
+                .setDescription('Configure actions to run after the bot spawns')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('list')
+                        .setDescription('Show the on-spawn sequence and its last run')
+                        .addStringOption(option => this.createAccountOption(option))
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('add-command')
+                        .setDescription('Send a chat message or command')
+                        .addStringOption(option =>
+                            option.setName('command')
+                                .setDescription('Text to send, e.g. /home afk')
+                                .setMaxLength(256)
+                                .setRequired(true)
+                        )
+                        .addStringOption(option => this.createAccountOption(option))
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('add-delay')
+                        .setDescription('Wait before the next step')
+                        .addNumberOption(option =>
+                            option.setName('seconds')
+                                .setDescription('Delay in seconds')
+                                .setMinValue(0.1)
+                                .setMaxValue(600)
+                                .setRequired(true)
+                        )
+                        .addStringOption(option => this.createAccountOption(option))
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('add-wait')
+                        .setDescription('Wait for a chat message matching a regex')
+                        .addStringOption(option =>
+                            option.setName('pattern')
+                                .setDescription('Regular expression to wait for')
+                                .setRequired(true)
+                        )
+                        .addIntegerOption(option =>
+                            option.setName('timeout')
+                                .setDescription('Seconds to wait before failing (default 30)')
+                                .setMinValue(1)
+                                .setMaxValue(300)
+                        )
+                        .addStringOption(option => this.createAccountOption(option))
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('remove')
+                        .setDescription('Remove a step')
+                        .addIntegerOption(option =>
+                            option.setName('step')
+                                .setDescription('Step number')
+                                .setMinValue(1)
+                                .setRequired(true)
+                        )
+                        .addStringOption(option => this.createAccountOption(option))
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('clear')
+                        .setDescription('Remove all steps')
+                        .addStringOption(option => this.createAccountOption(option))
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('run')
+                        .setDescription('Run the sequence now')
+                        .addStringOption(option => this.createAccountOption(option))
+                ),
+            new SlashCommandBuilder()
+                .setName('afk')
+                .setDescription('Configure the anti-AFK movement')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('status')
+                        .setDescription('Show the anti-AFK settings and what it did last')
+                        .addStringOption(option => this.createAccountOption(option))
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('mode')
+                        .setDescription('Choose which movements to make and how often')
+                        .addStringOption(option =>
+                            option.setName('mode')
+                                .setDescription('off, minimal (look, swing), standard (+ jump, sneak) or roam (+ short walks)')
+                                .setRequired(true)
+                                .addChoices(...Object.keys(AFK_MODES).map(mode => ({ name: mode, value: mode })))
+                        )
+                        .addIntegerOption(option =>
+                            option.setName('min-interval')
+                                .setDescription('Shortest pause between movements in seconds')
+                                .setMinValue(AFK_LIMITS.minInterval.min / 1000)
+                                .setMaxValue(AFK_LIMITS.minInterval.max / 1000)
+                        )
+                        .addIntegerOption(option =>
+                            option.setName('max-interval')
+                                .setDescription('Longest pause between movements in seconds')
+                                .setMinValue(AFK_LIMITS.maxInterval.min / 1000)
+                                .setMaxValue(AFK_LIMITS.maxInterval.max / 1000)
+                        )
+                        .addIntegerOption(option =>
+                            option.setName('radius')
+                                .setDescription('How far from the spawn point roam mode may walk, in blocks')
+                                .setMinValue(AFK_LIMITS.walkRadius.min)
+                                .setMaxValue(AFK_LIMITS.walkRadius.max)
+                        )
+                        .addStringOption(option => this.createAccountOption(option))
+                ),
+            new SlashCommandBuilder()
+                .setName('auth')
+                .setDescription('Manage the saved Microsoft login')
+                .addSubcommand(subcommand =>
+                    subcommand.setName('status')
+                        .setDescription('Show whether an account is signed in and when the login expires')
+                        .addStringOption(option => this.createAccountOption(option))
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('relink')
+                        .setDescription('Forget the saved login and sign in again')
+                        .addStringOption(option => this.createAccountOption(option))
+                )
+                .addSubcommand(subcommand =>
+                    subcommand.setName('logout')
+                        .setDescription('Disconnect and forget the saved login')
+                        .addStringOption(option => this.createAccountOption(option))
+                ),
+            new SlashCommandBuilder()
+                .setName('serverinfo')
+                .setDescription('Show whether the Minecraft server is up, its players and latency'),
+            new SlashCommandBuilder()
+                .setName('audit')
+                .setDescription('Show recent control actions and safety events')
+                .addIntegerOption(option =>
+                    option.setName('count')
+                        .setDescription('Number of entries to show')
+                        .setMinValue(1)
+                        .setMaxValue(25)
+                )
+                .addStringOption(option =>
+                    option.setName('type')
+                        .setDescription('Only show this kind of entry')
+                        .addChoices(...AUDIT_TYPES.map(type => ({ name: type, value: type })))
+                )
+                .addStringOption(option => this.createAccountOption(option))
+        ];
+    }
+
+    createAccountOption(option) {
+        return option.setName('account')
+            .setDescription('Minecraft account (defaults to the first account)')
+            .addChoices(...CONFIG.accounts.slice(0, 25).map(account => ({ name: account.id, value: account.id })));
+    }
+
+    async registerSlashCommands() {
+        try {
+            const rest = new REST({ version: '10' }).setToken(CONFIG.discord.token);
+
+            await rest.put(
+                Routes.applicationCommands(this.discordClient.user.id),
+                { body: this.commands.map(command => command.toJSON()) }
+            );
+        } catch (error) {
+            console.error('Error registering slash commands:', error);
+        }
+    }
+
+    async handleSlashCommand(interaction) {
+        const { commandName } = interaction;
 
         switch (commandName) {
             case 'message':
@@ -1187,6 +1941,42 @@ class MinecraftDiscordBot {
             case 'disconnect':
                 await this.handleDisconnectCommand(interaction);
                 break;
+            case 'safety':
+                await this.handleSafetyCommand(interaction);
+                break;
+            case 'trust':
+                await this.handlePlayerListCommand(interaction, 'trusted');
+                break;
+            case 'block':
+                await this.handlePlayerListCommand(interaction, 'blocked');
+                break;
+            case 'zones':
+                await this.handleZonesCommand(interaction);
+                break;
+            case 'escape':
+                await this.handleEscapeCommand(interaction);
+                break;
+            case 'bridge':
+                await this.handleBridgeCommand(interaction);
+                break;
+            case 'inbox':
+                await this.handleInboxCommand(interaction);
+                break;
+            case 'onspawn':
+                await this.handleOnSpawnCommand(interaction);
+                break;
+            case 'afk':
+                await this.handleAfkCommand(interaction);
+                break;
+            case 'audit':
+                await this.handleAuditCommand(interaction);
+                break;
+            case 'serverinfo':
+                await this.handleServerInfoCommand(interaction);
+                break;
+            case 'auth':
+                await this.handleAuthCommand(interaction);
+                break;
             default:
                 await interaction.reply({ content: '❌ Unknown command!', flags: [MessageFlags.Ephemeral] });
         }
@@ -1194,8 +1984,9 @@ class MinecraftDiscordBot {
 
     async handleMessageCommand(interaction) {
         const message = interaction.options.getString('text');
+        const session = this.resolveSession(interaction);
 
-        if (!this.isConnected || !this.minecraftBot) {
+        if (!session.isConnected || !session.minecraftBot) {
             await interaction.reply({ 
                 content: '❌ Bot is not connected to the Minecraft server!', 
                 flags: [MessageFlags.Ephemeral] 
@@ -1204,7 +1995,8 @@ class MinecraftDiscordBot {
         }
 
         try {
-            this.minecraftBot.chat(message);
+            session.minecraftBot.chat(message);
+            this.auditLog.record('chat', { actor: AuditLog.discordActor(interaction.user), account: session.id, message });
             await interaction.reply({ 
                 content: `✅ Message sent: "${message}"`, 
                 flags: [MessageFlags.Ephemeral] 
@@ -1218,7 +2010,9 @@ class MinecraftDiscordBot {
     }
 
     async handleShardsCommand(interaction) {
-        if (!this.isConnected || !this.minecraftBot) {
+        const session = this.resolveSession(interaction);
+
+        if (!session.isConnected || !session.minecraftBot) {
             await interaction.reply({ 
                 content: '❌ Bot is not connected to the Minecraft server!', 
                 flags: [MessageFlags.Ephemeral] 
@@ -1234,15 +2028,15 @@ class MinecraftDiscordBot {
                 
                 if (messageText.includes('shard') || messageText.includes('Shard')) {
                     this.handleShardsResponse(interaction, messageText);
-                    this.minecraftBot.removeListener('message', messageListener);
+                    session.minecraftBot.removeListener('message', messageListener);
                 }
             };
 
-            this.minecraftBot.on('message', messageListener);
-            this.minecraftBot.chat('/shards');
+            session.minecraftBot.on('message', messageListener);
+            session.minecraftBot.chat('/shards');
 
             setTimeout(() => {
-                this.minecraftBot?.removeListener('message', messageListener);
+                session.minecraftBot?.removeListener('message', messageListener);
                 if (!interaction.replied) {
                     interaction.editReply({
                         content: '⏰ No response from server. The /shards command may not be available or took too long to respond.'
@@ -1258,29 +2052,66 @@ class MinecraftDiscordBot {
     }
 
     async handleStatusCommand(interaction) {
+        const session = this.resolveSession(interaction);
         const embed = new EmbedBuilder()
-            .setTitle('🤖 Bot Status')
-            .setColor(this.isConnected ? '#00ff00' : '#ff0000')
+            .setTitle(`🤖 Bot Status${session.label ? ` — ${session.id}` : ''}`)
+            .setColor(session.isConnected ? '#00ff00' : '#ff0000')
             .addFields(
-                { name: '🎮 Minecraft', value: this.isConnected ? '✅ Connected' : '❌ Disconnected', inline: true },
+                { name: '🎮 Minecraft', value: session.isConnected ? '✅ Connected' : '❌ Disconnected', inline: true },
                 { name: '💬 Discord', value: '✅ Connected', inline: true },
                 { name: '🌐 Web Server', value: `✅ Running on port ${CONFIG.webServer.port}`, inline: true }
             );
 
-        if (this.isConnected && this.minecraftBot) {
+        if (session.isConnected && session.minecraftBot) {
             embed.addFields(
-                { name: '👤 Username', value: this.minecraftBot.username || 'Unknown', inline: true },
-                { name: '🌍 World', value: this.currentWorld, inline: true },
-                { name: '📍 Position', value: `X: ${Math.round(this.currentCoords.x)}, Y: ${Math.round(this.currentCoords.y)}, Z: ${Math.round(this.currentCoords.z)}`, inline: true }
+                { name: '👤 Username', value: session.minecraftBot.username || 'Unknown', inline: true },
+                { name: '🌍 World', value: session.currentWorld, inline: true },
+                { name: '📍 Position', value: `X: ${Math.round(session.currentCoords.x)}, Y: ${Math.round(session.currentCoords.y)}, Z: ${Math.round(session.currentCoords.z)}`, inline: true },
+                { name: '🍗 Vitals', value: Vitals.describe(Vitals.read(session.minecraftBot)).substring(0, 1024), inline: false }
             );
         }
 
+        if (CONFIG.minecraft.auth === 'microsoft') {
+            embed.addFields({ name: '🔑 Microsoft Login', value: session.authFlow.describe(), inline: true });
+        }
+
+        const nextAttempt = session.shouldJoin && !session.isConnected ? session.describeNextReconnect() : null;
+        if (nextAttempt) {
+            embed.addFields({
+                name: '🔄 Next Attempt',
+                value: `${nextAttempt} (attempt ${session.reconnectAttempts}/${session.maxReconnectAttempts})`,
+                inline: false
+            });
+        }
+
+        const recentDisconnects = session.disconnectHistory.entries.slice(0, 5);
+        if (recentDisconnects.length > 0) {
+            embed.addFields({
+                name: '📉 Recent Disconnects',
+                value: recentDisconnects
+                    .map(e => `<t:${Math.floor(e.time / 1000)}:R> ${DisconnectHistory.describe(e)}`)
+                    .join('\n')
+                    .substring(0, 1024),
+                inline: false
+            });
+        }
+
+        if (this.sessions.size > 1) {
+            embed.addFields({
+                name: '👥 Accounts',
+                value: Array.from(this.sessions.values(), s => `\`${s.id}\` ${s.getStatusText()}`).join('\n').substring(0, 1024),
+                inline: false
+            });
+        }
+
         embed.setTimestamp();
         await interaction.reply({ embeds: [embed] });
     }
 
     async handleConnectCommand(interaction) {
-        if (this.isConnected) {
+        const session = this.resolveSession(interaction);
+
+        if (session.isConnected) {
             await interaction.reply({ 
                 content: '✅ Bot is already connected to the Minecraft server!', 
                 flags: [MessageFlags.Ephemeral] 
@@ -1288,20 +2119,21 @@ class MinecraftDiscordBot {
             return;
         }
 
-        this.shouldJoin = true;
-        this.reconnectAttempts = 0;
-        this.lastAuthUser = interaction.user;
-        this.webInitiatedConnection = false;
-        await this.connectToMinecraft();
-        
-        await interaction.reply({ 
-            content: '🔄 Attempting to connect to the Minecraft server...', 
-            flags: [MessageFlags.Ephemeral] 
+        // Logging in can take longer than Discord waits for a first reply
+        await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+        await session.connect({ user: interaction.user, actor: AuditLog.discordActor(interaction.user) });
+
+        await interaction.editReply({ 
+            content: session.isConnected
+                ? '✅ Connected to the Minecraft server!'
+                : '🔄 Attempting to connect to the Minecraft server...'
         });
     }
 
     async handleDisconnectCommand(interaction) {
-        if (!this.isConnected) {
+        const session = this.resolveSession(interaction);
+
+        if (!session.isConnected) {
             await interaction.reply({ 
                 content: '❌ Bot is not connected to the Minecraft server!', 
                 flags: [MessageFlags.Ephemeral] 
@@ -1309,25 +2141,646 @@ class MinecraftDiscordBot {
             return;
         }
 
-        this.shouldJoin = false;
-        this.reconnectAttempts = 0;
-        this.authUrl = null;
-        this.userCode = null;
-        
-        if (this.minecraftBot) {
-            this.minecraftBot.quit();
-            this.minecraftBot = null;
-        }
-        
-        this.isConnected = false;
-        this.clearDiscordActivity();
-        await this.updateEmbed();
+        await session.disconnect({ actor: AuditLog.discordActor(interaction.user) });
         await interaction.reply({ 
             content: '✅ Bot disconnected from the Minecraft server!', 
             flags: [MessageFlags.Ephemeral] 
         });
     }
 
+    async handleSafetyCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        let changes;
+
+        switch (subcommand) {
+            case 'show':
+                changes = {};
+                break;
+            case 'enable':
+                changes = { enabled: true };
+                break;
+            case 'disable':
+                changes = { enabled: false };
+                break;
+            case 'radius':
+                changes = { proximityRadius: interaction.options.getInteger('blocks') };
+                break;
+            case 'min-health':
+                changes = { minHealth: interaction.options.getNumber('hp') };
+                break;
+            case 'auto-disconnect-health':
+                changes = { autoDisconnectHealth: interaction.options.getNumber('hp') };
+                break;
+            case 'auto-disconnect-on-threat':
+                changes = { autoDisconnectOnThreat: interaction.options.getBoolean('enabled') };
+                break;
+            case 'cooldown':
+                changes = { alertCooldown: interaction.options.getInteger('seconds') * 1000 };
+                break;
+            case 'entities':
+                changes = {};
+                for (const [option, key] of [
+                    ['hostile', 'hostileMobRadius'],
+                    ['tnt', 'tntRadius'],
+                    ['end-crystal', 'endCrystalRadius'],
+                    ['projectile', 'projectileRadius']
+                ]) {
+                    const value = interaction.options.getInteger(option);
+                    if (value !== null) {
+                        changes[key] = value;
+                    }
+                }
+                if (interaction.options.getBoolean('disconnect') !== null) {
+                    changes.autoDisconnectOnEntities = interaction.options.getBoolean('disconnect');
+                }
+                if (Object.keys(changes).length === 0) {
+                    await interaction.reply({ content: '❌ Nothing to change!', flags: [MessageFlags.Ephemeral] });
+                    return;
+                }
+                break;
+            case 'auto-eat': {
+                changes = { autoEat: interaction.options.getBoolean('enabled') };
+                const threshold = interaction.options.getInteger('below');
+                if (threshold !== null) {
+                    changes.autoEatThreshold = threshold;
+                }
+                break;
+            }
+            case 'blocked':
+                changes = {};
+                for (const [option, key] of [
+                    ['disconnect-in-range', 'autoDisconnectOnBlocked'],
+                    ['alert-on-join', 'alertOnBlockedJoin'],
+                    ['leave-if-online', 'leaveWhenBlockedOnline']
+                ]) {
+                    const value = interaction.options.getBoolean(option);
+                    if (value !== null) {
+                        changes[key] = value;
+                    }
+                }
+                if (Object.keys(changes).length === 0) {
+                    await interaction.reply({ content: '❌ Nothing to change!', flags: [MessageFlags.Ephemeral] });
+                    return;
+                }
+                break;
+            default:
+                await interaction.reply({ content: '❌ Unknown safety option!', flags: [MessageFlags.Ephemeral] });
+                return;
+        }
+
+        const result = this.updateSafetyConfig(changes, AuditLog.discordActor(interaction.user));
+        if (!result.success) {
+            await interaction.reply({ 
+                content: `❌ Invalid safety setting:\n${result.errors.map(e => `• ${e}`).join('\n')}`, 
+                flags: [MessageFlags.Ephemeral] 
+            });
+            return;
+        }
+
+        await interaction.reply({ 
+            embeds: [this.createSafetyEmbed(subcommand === 'show' ? '🛡️ Safety Settings' : '✅ Safety Settings Updated')], 
+            flags: [MessageFlags.Ephemeral] 
+        });
+    }
+
+    async handlePlayerListCommand(interaction, listName) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'list') {
+            const players = Array.from(listName === 'trusted' ? this.trustedPlayers : this.blockedPlayers).sort();
+            const embed = new EmbedBuilder()
+                .setTitle(listName === 'trusted' ? '✅ Trusted Players' : '🚫 Blocked Players')
+                .setColor(listName === 'trusted' ? '#00ff00' : '#ff0000')
+                .setDescription(players.length > 0 ? players.map(p => `• \`${p}\``).join('\n').substring(0, 4000) : 'No players on this list.')
+                .setFooter({ text: `${players.length} player(s)` })
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+            return;
+        }
+
+        const result = this.updatePlayerList(listName, subcommand, interaction.options.getString('player'), AuditLog.discordActor(interaction.user));
+        await interaction.reply({ 
+            content: `${result.success ? '✅' : '❌'} ${result.message}`, 
+            flags: [MessageFlags.Ephemeral] 
+        });
+    }
+
+    async handleBridgeCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const config = this.chatBridge.config;
+        let changes;
+
+        switch (subcommand) {
+            case 'show':
+                changes = {};
+                break;
+            case 'enable':
+                changes = { enabled: true };
+                break;
+            case 'disable':
+                changes = { enabled: false };
+                break;
+            case 'channel':
+                changes = { channelId: interaction.options.getChannel('channel').id };
+                break;
+            case 'webhook': {
+                const url = interaction.options.getString('url').trim();
+                changes = { webhookUrl: url.toLowerCase() === 'none' ? null : url };
+                break;
+            }
+            case 'include':
+                changes = { includePatterns: [...config.includePatterns, interaction.options.getString('pattern')] };
+                break;
+            case 'exclude':
+                changes = { excludePatterns: [...config.excludePatterns, interaction.options.getString('pattern')] };
+                break;
+            case 'clear-filters':
+                changes = { includePatterns: [], excludePatterns: [] };
+                break;
+            case 'commands':
+                changes = { allowCommands: interaction.options.getBoolean('allowed') };
+                break;
+            case 'account':
+                changes = { accountId: interaction.options.getString('account') };
+                break;
+            default:
+                await interaction.reply({ content: '❌ Unknown bridge option!', flags: [MessageFlags.Ephemeral] });
+                return;
+        }
+
+        const result = this.chatBridge.updateConfig(changes);
+        if (!result.success) {
+            await interaction.reply({ 
+                content: `❌ Invalid bridge setting:\n${result.errors.map(e => `• ${e}`).join('\n')}`, 
+                flags: [MessageFlags.Ephemeral] 
+            });
+            return;
+        }
+
+        if (subcommand !== 'show') {
+            this.saveState();
+            this.auditBridgeChange(AuditLog.discordActor(interaction.user), changes);
+        }
+
+        const bridge = result.config;
+        const embed = new EmbedBuilder()
+            .setTitle(subcommand === 'show' ? '💬 Chat Bridge Settings' : '✅ Chat Bridge Updated')
+            .setColor(bridge.enabled ? '#00ff00' : '#808080')
+            .addFields(
+                { name: '🔗 Status', value: bridge.enabled ? '✅ Enabled' : '⏸️ Disabled', inline: true },
+                { name: '📺 Channel', value: bridge.channelId ? `<#${bridge.channelId}>` : 'Not set', inline: true },
+                { name: '🪝 Webhook', value: bridge.webhookUrl ? '✅ Configured' : '❌ Not used', inline: true },
+                { name: '⌨️ Commands', value: bridge.allowCommands ? '✅ Allowed' : '❌ Blocked', inline: true },
+                { name: '👤 Account', value: `\`${this.getBridgeSession().id}\``, inline: true },
+                { name: '✅ Include Filters', value: bridge.includePatterns.map(p => `\`${p}\``).join('\n') || 'None', inline: false },
+                { name: '🚫 Exclude Filters', value: bridge.excludePatterns.map(p => `\`${p}\``).join('\n') || 'None', inline: false }
+            )
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+    }
+
+    async handleInboxCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'clear') {
+            this.whisperInbox.clear();
+            this.saveState();
+            this.auditLog.record('config', { actor: AuditLog.discordActor(interaction.user), setting: 'inbox', action: 'clear' });
+            await interaction.reply({ content: '✅ Inbox cleared!', flags: [MessageFlags.Ephemeral] });
+            return;
+        }
+
+        if (subcommand === 'patterns' || subcommand === 'add-pattern' || subcommand === 'reset-patterns') {
+            let result = { success: true };
+            if (subcommand === 'add-pattern') {
+                result = this.whisperInbox.setPatterns([...this.whisperInbox.patterns, interaction.options.getString('pattern')]);
+            } else if (subcommand === 'reset-patterns') {
+                result = this.whisperInbox.resetPatterns();
+            }
+
+            if (!result.success) {
+                await interaction.reply({ 
+                    content: `❌ Invalid pattern:\n${result.errors.map(e => `• ${e}`).join('\n')}`, 
+                    flags: [MessageFlags.Ephemeral] 
+                });
+                return;
+            }
+
+            if (subcommand !== 'patterns') {
+                this.saveState();
+                this.auditLog.record('config', { actor: AuditLog.discordActor(interaction.user), setting: 'inboxPatterns', value: this.whisperInbox.patterns });
+            }
+
+            await interaction.reply({ 
+                content: `🔍 **Private message patterns:**\n${this.whisperInbox.patterns.map(p => `• \`${p}\``).join('\n')}`, 
+                flags: [MessageFlags.Ephemeral] 
+            });
+            return;
+        }
+
+        const count = interaction.options.getInteger('count') || 10;
+        const entries = this.whisperInbox.list(count, interaction.options.getString('player'), interaction.options.getString('account'));
+
+        const embed = new EmbedBuilder()
+            .setTitle('📬 Inbox')
+            .setColor('#5865f2')
+            .setTimestamp();
+
+        if (entries.length === 0) {
+            embed.setDescription('No private messages.');
+        } else {
+            embed.setDescription(entries.map(e => {
+                const arrow = e.direction === 'in' ? `**${e.player}** →` : `→ **${e.player}**`;
+                const account = this.sessions.size > 1 && e.account ? `\`${e.account}\` ` : '';
+                return `<t:${Math.floor(e.time / 1000)}:R> ${account}${arrow} ${e.message}`;
+            }).join('\n').substring(0, 4000));
+        }
+
+        await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+    }
+
+    async handleOnSpawnCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const session = this.resolveSession(interaction);
+        const steps = [...session.onSpawnSequence.steps];
+
+        if (subcommand === 'run') {
+            if (!session.isConnected || !session.minecraftBot) {
+                await interaction.reply({ 
+                    content: '❌ Bot is not connected to the Minecraft server!', 
+                    flags: [MessageFlags.Ephemeral] 
+                });
+                return;
+            }
+            if (steps.length === 0) {
+                await interaction.reply({ content: '❌ The on-spawn sequence is empty!', flags: [MessageFlags.Ephemeral] });
+                return;
+            }
+
+            session.runOnSpawnSequence();
+            await interaction.reply({ 
+                content: '🚀 Running on-spawn sequence, progress is shown in the control panel.', 
+                flags: [MessageFlags.Ephemeral] 
+            });
+            return;
+        }
+
+        switch (subcommand) {
+            case 'list':
+                break;
+            case 'add-command':
+                steps.push({ type: 'command', command: interaction.options.getString('command') });
+                break;
+            case 'add-delay':
+                steps.push({ type: 'delay', seconds: interaction.options.getNumber('seconds') });
+                break;
+            case 'add-wait':
+                steps.push({
+                    type: 'wait',
+                    pattern: interaction.options.getString('pattern'),
+                    timeout: interaction.options.getInteger('timeout') ?? undefined
+                });
+                break;
+            case 'remove': {
+                const index = interaction.options.getInteger('step') - 1;
+                if (index >= steps.length) {
+                    await interaction.reply({ content: `❌ There is no step ${index + 1}!`, flags: [MessageFlags.Ephemeral] });
+                    return;
+                }
+                steps.splice(index, 1);
+                break;
+            }
+            case 'clear':
+                steps.length = 0;
+                break;
+            default:
+                await interaction.reply({ content: '❌ Unknown on-spawn option!', flags: [MessageFlags.Ephemeral] });
+                return;
+        }
+
+        if (subcommand !== 'list') {
+            const result = session.onSpawnSequence.setSteps(steps);
+            if (!result.success) {
+                await interaction.reply({ 
+                    content: `❌ Invalid step:\n${result.errors.map(e => `• ${e}`).join('\n')}`, 
+                    flags: [MessageFlags.Ephemeral] 
+                });
+                return;
+            }
+            this.saveState();
+            this.auditLog.record('config', { actor: AuditLog.discordActor(interaction.user), account: session.id, setting: 'onspawn', value: result.steps });
+        }
+
+        const stepList = session.onSpawnSequence.steps
+            .map((step, i) => `${i + 1}. ${OnSpawnSequence.describeStep(step)}`)
+            .join('\n');
+
+        const embed = new EmbedBuilder()
+            .setTitle(`${subcommand === 'list' ? '🚀 On-Spawn Sequence' : '✅ On-Spawn Sequence Updated'}${session.label ? ` — ${session.id}` : ''}`)
+            .setColor('#00bfff')
+            .setDescription(stepList.substring(0, 4000) || 'No steps configured. The bot will do nothing after spawning.')
+            .setTimestamp();
+
+        const lastRun = session.onSpawnSequence.formatLastRun();
+        if (lastRun) {
+            embed.addFields({ name: '📋 Last Run', value: lastRun.substring(0, 1024), inline: false });
+        }
+
+        await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+    }
+
+    async handleZonesCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const actor = AuditLog.discordActor(interaction.user);
+
+        if (subcommand === 'list') {
+            const zones = this.zones.toJSON();
+            const embed = new EmbedBuilder()
+                .setTitle('🗺️ Zones')
+                .setColor('#00bfff')
+                .setDescription(zones.length > 0
+                    ? zones.map(zone => `${ZoneList.describe(zone)} — \`${zone.dimension}\`, ${ZoneList.describeShape(zone)}`).join('\n').substring(0, 4000)
+                    : 'No zones. Untrusted players are handled the same everywhere.')
+                .setFooter({ text: `${zones.length} zone(s) • the first matching zone applies` })
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+            return;
+        }
+
+        let result;
+        if (subcommand === 'add') {
+            const x = interaction.options.getNumber('x');
+            const z = interaction.options.getNumber('z');
+            const radius = interaction.options.getInteger('radius');
+            const x2 = interaction.options.getNumber('x2');
+            const z2 = interaction.options.getNumber('z2');
+            const zone = {
+                name: interaction.options.getString('name'),
+                policy: interaction.options.getString('policy'),
+                dimension: interaction.options.getString('dimension') ?? 'overworld'
+            };
+            if (radius !== null) {
+                zone.center = { x, z };
+                zone.radius = radius;
+            } else if (x2 !== null && z2 !== null) {
+                zone.box = { x1: x, z1: z, x2, z2 };
+            }
+            result = this.updateZones('add', zone, actor);
+        } else {
+            result = this.updateZones('remove', interaction.options.getString('name'), actor);
+        }
+
+        if (!result.success) {
+            await interaction.reply({ 
+                content: `❌ ${result.errors.join('\n')}`, 
+                flags: [MessageFlags.Ephemeral] 
+            });
+            return;
+        }
+
+        await interaction.reply({ 
+            content: subcommand === 'add'
+                ? `✅ Added zone ${ZoneList.describe(result.zone)} — \`${result.zone.dimension}\`, ${ZoneList.describeShape(result.zone)}`
+                : `✅ Removed zone **${result.zone.name}**`, 
+            flags: [MessageFlags.Ephemeral] 
+        });
+    }
+
+    async handleEscapeCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'show') {
+            const plans = this.escapePlans.toJSON();
+            const embed = new EmbedBuilder()
+                .setTitle('🏃 Escape Plans')
+                .setColor('#ff9900')
+                .setDescription(Object.entries(ESCAPE_THREAT_TYPES)
+                    .map(([type, info]) => `${info.emoji} **${info.label}**: ${EscapePlans.describe(plans[type])}`)
+                    .join('\n')
+                    .substring(0, 4000))
+                .setFooter({ text: 'The bot disconnects only if the threat is still there after the last command' })
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+            return;
+        }
+
+        const type = interaction.options.getString('type');
+        const commands = interaction.options.getString('commands');
+        const recheck = interaction.options.getInteger('recheck');
+        const rejoin = interaction.options.getInteger('rejoin');
+
+        const changes = {};
+        if (commands !== null) {
+            changes.commands = commands.trim().toLowerCase() === 'none'
+                ? []
+                : commands.split(';').map(command => command.trim()).filter(Boolean);
+        }
+        if (recheck !== null) changes.recheckDelay = recheck * 1000;
+        if (rejoin !== null) changes.rejoinAfter = rejoin * 60000;
+        if (Object.keys(changes).length === 0) {
+            await interaction.reply({ content: '❌ Nothing to change!', flags: [MessageFlags.Ephemeral] });
+            return;
+        }
+
+        const result = this.updateEscapePlan(type, changes, AuditLog.discordActor(interaction.user));
+        if (!result.success) {
+            await interaction.reply({ 
+                content: `❌ ${result.errors.join('\n')}`, 
+                flags: [MessageFlags.Ephemeral] 
+            });
+            return;
+        }
+
+        const info = ESCAPE_THREAT_TYPES[type];
+        await interaction.reply({ 
+            content: `✅ ${info.emoji} **${info.label}**: ${EscapePlans.describe(result.plan)}`, 
+            flags: [MessageFlags.Ephemeral] 
+        });
+    }
+
+    async handleAfkCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const session = this.resolveSession(interaction);
+
+        if (subcommand === 'mode') {
+            const changes = { mode: interaction.options.getString('mode') };
+            const minInterval = interaction.options.getInteger('min-interval');
+            const maxInterval = interaction.options.getInteger('max-interval');
+            const radius = interaction.options.getInteger('radius');
+            if (minInterval !== null) changes.minInterval = minInterval * 1000;
+            if (maxInterval !== null) changes.maxInterval = maxInterval * 1000;
+            if (radius !== null) changes.walkRadius = radius;
+
+            const result = session.antiAfk.setSettings(changes);
+            if (!result.success) {
+                await interaction.reply({ 
+                    content: `❌ Invalid settings:\n${result.errors.map(e => `• ${e}`).join('\n')}`, 
+                    flags: [MessageFlags.Ephemeral] 
+                });
+                return;
+            }
+
+            this.saveState();
+            this.auditLog.record('config', { actor: AuditLog.discordActor(interaction.user), account: session.id, setting: 'afk', value: result.settings });
+            await session.updateEmbed();
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle(`${subcommand === 'mode' ? '✅ Anti-AFK Updated' : '🏃 Anti-AFK'}${session.label ? ` — ${session.id}` : ''}`)
+            .setColor('#00bfff')
+            .addFields(
+                { name: '⚙️ Settings', value: AntiAfk.describeSettings(session.antiAfk.settings), inline: false },
+                { name: '🔗 State', value: session.isConnected ? session.antiAfk.describe() : 'Bot is not connected', inline: false }
+            )
+            .setFooter({ text: 'Movement pauses while an untrusted player is nearby' })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+    }
+
+    async handleAuthCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const session = this.resolveSession(interaction);
+        const accountNote = session.label ? ` (account \`${session.id}\`)` : '';
+
+        if (CONFIG.minecraft.auth !== 'microsoft') {
+            await interaction.reply({ 
+                content: '❌ The bot uses offline auth, there is no Microsoft login to manage.', 
+                flags: [MessageFlags.Ephemeral] 
+            });
+            return;
+        }
+
+        const actor = AuditLog.discordActor(interaction.user);
+
+        if (subcommand === 'relink') {
+            const embed = new EmbedBuilder()
+                .setTitle('🔐 Microsoft Authentication Required')
+                .setDescription(`Cleared the saved login${accountNote}. Please sign in again.`)
+                .addFields({ name: '⏳ Status', value: 'Connecting to Minecraft server...', inline: false })
+                .setColor('#ff9900')
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+            await session.relink({ user: interaction.user, interaction, actor });
+            return;
+        }
+
+        if (subcommand === 'logout') {
+            await session.logout({ actor });
+            await interaction.reply({ 
+                content: `✅ Disconnected and removed the saved login${accountNote}. The next connect will ask for a new sign-in.`, 
+                flags: [MessageFlags.Ephemeral] 
+            });
+            return;
+        }
+
+        await session.authCache.refresh();
+        const { refreshedAt } = session.authCache.status;
+        const embed = new EmbedBuilder()
+            .setTitle(`🔑 Microsoft Login${session.label ? ` — ${session.id}` : ''}`)
+            .setColor(session.authCache.status.linked ? (session.authCache.isExpiringSoon() ? '#ff9900' : '#00ff00') : '#ff0000')
+            .addFields(
+                { name: '🔗 Status', value: session.authCache.describe(), inline: false },
+                { name: '🔄 Last Token Refresh', value: refreshedAt ? `<t:${Math.floor(refreshedAt / 1000)}:R>` : 'Never', inline: true },
+                { name: '👤 Signed In By', value: session.lastAuthUserId ? `<@${session.lastAuthUserId}>` : 'Unknown', inline: true }
+            )
+            .setFooter({ text: 'Expiry is estimated from the last token refresh' })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+    }
+
+    async handleServerInfoCommand(interaction) {
+        if (!CONFIG.serverMonitor.enabled) {
+            await interaction.reply({ content: '❌ Server monitoring is disabled!', flags: [MessageFlags.Ephemeral] });
+            return;
+        }
+
+        if (!this.serverMonitor.latest) {
+            await interaction.deferReply();
+            await this.serverMonitor.probe();
+        }
+
+        const { host, port, latest, stateSince, uptime } = this.serverMonitor.getSummary();
+        const embed = new EmbedBuilder()
+            .setTitle(`📡 ${host}${port !== 25565 ? `:${port}` : ''}`)
+            .setColor(latest.online ? '#00ff00' : '#ff0000')
+            .addFields(
+                { name: '🔗 Status', value: `${latest.online ? '✅ Online' : '❌ Offline'} since <t:${Math.floor(stateSince / 1000)}:R>`, inline: true },
+                { name: '📊 Uptime', value: `${uptime.percent}% since <t:${Math.floor(uptime.since / 1000)}:R>`, inline: true }
+            );
+
+        if (latest.online) {
+            embed.addFields(
+                { name: '👥 Players', value: `${latest.players.online ?? '?'}/${latest.players.max ?? '?'}`, inline: true },
+                { name: '📶 Latency', value: `${latest.latency} ms`, inline: true },
+                { name: '🏷️ Version', value: latest.version || 'Unknown', inline: true },
+                { name: '📝 MOTD', value: latest.motd || 'None', inline: false }
+            );
+        } else {
+            embed.addFields({ name: '⚠️ Error', value: latest.error || 'No response', inline: false });
+        }
+
+        embed.setFooter({ text: 'Last checked' }).setTimestamp(latest.time);
+
+        if (interaction.deferred) {
+            await interaction.editReply({ embeds: [embed] });
+        } else {
+            await interaction.reply({ embeds: [embed] });
+        }
+    }
+
+    async handleAuditCommand(interaction) {
+        const { entries } = await this.auditLog.list({
+            limit: interaction.options.getInteger('count') || 10,
+            type: interaction.options.getString('type'),
+            account: interaction.options.getString('account')
+        });
+
+        const embed = new EmbedBuilder()
+            .setTitle('📜 Audit Log')
+            .setColor('#5865f2')
+            .setTimestamp();
+
+        if (entries.length === 0) {
+            embed.setDescription('No matching entries.');
+        } else {
+            embed.setDescription(entries.map(e => {
+                const account = this.sessions.size > 1 && e.account ? `\`${e.account}\` ` : '';
+                return `<t:${Math.floor(e.time / 1000)}:R> ${account}${AuditLog.describeEntry(e)}`;
+            }).join('\n').substring(0, 4000));
+        }
+
+        await interaction.reply({ embeds: [embed], flags: [MessageFlags.Ephemeral] });
+    }
+
+    createSafetyEmbed(title) {
+        const config = this.safetyConfig;
+        return new EmbedBuilder()
+            .setTitle(title)
+            .setColor(config.enabled ? '#00ff00' : '#808080')
+            .addFields(
+                { name: '🛡️ Status', value: config.enabled ? '✅ Enabled' : '⏸️ Disabled', inline: true },
+                { name: '📏 Proximity Radius', value: `${config.proximityRadius} blocks`, inline: true },
+                { name: '⏱️ Alert Cooldown', value: `${Math.round(config.alertCooldown / 1000)}s`, inline: true },
+                { name: '❤️ Low Health Alert', value: `${config.minHealth} HP`, inline: true },
+                { name: '💀 Auto-Disconnect Health', value: `${config.autoDisconnectHealth} HP`, inline: true },
+                { name: '🚨 Disconnect on Threat', value: config.autoDisconnectOnThreat ? '✅ Yes' : '❌ No', inline: true },
+                { name: '🚫 Disconnect on Blocked in Range', value: config.autoDisconnectOnBlocked ? '✅ Yes' : '❌ No', inline: true },
+                { name: '📣 Alert on Blocked Join', value: config.alertOnBlockedJoin ? '✅ Yes' : '❌ No', inline: true },
+                { name: '🚪 Leave if Blocked Online', value: config.leaveWhenBlockedOnline ? '✅ Yes' : '❌ No', inline: true },
+                { name: '🍗 Auto-Eat', value: config.autoEat ? `✅ Below ${config.autoEatThreshold} food` : '❌ No', inline: true },
+                { name: '🧟 Entity Radii', value: Object.values(ENTITY_GROUPS).map(g => `${g.emoji} ${config[g.radiusKey] > 0 ? `${config[g.radiusKey]} blocks` : 'off'}`).join(' • '), inline: false },
+                { name: '💣 Disconnect on Entities', value: config.autoDisconnectOnEntities ? '✅ Yes' : '❌ No', inline: true }
+            )
+            .setTimestamp();
+    }
+
     async handleShardsResponse(interaction, messageText) {
         try {
             let shardsInfo = 'Unknown';
@@ -1397,12 +2850,16 @@ class MinecraftDiscordBot {
         if (this.statusUpdateInterval) {
             clearInterval(this.statusUpdateInterval);
         }
-        if (this.authCheckInterval) {
-            clearInterval(this.authCheckInterval);
+        if (this.authExpiryInterval) {
+            clearInterval(this.authExpiryInterval);
         }
+        this.chatBridge.stop();
+        this.serverMonitor.stop();
+        // Open streams would keep server.close() from finishing
+        this.eventStream.stop();
 
-        if (this.minecraftBot) {
-            this.minecraftBot.quit();
+        for (const session of this.sessions.values()) {
+            session.shutdown();
         }
 
         if (this.discordClient) {
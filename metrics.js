@@ -0,0 +1,70 @@
+const METRIC_PREFIX = 'donutafk_';
+
+// Counters kept for the life of the process; Prometheus handles the resets on restart
+const COUNTERS = {
+    threats_detected_total: 'Times an untrusted or blocked player was detected near the bot',
+    safety_disconnects_total: 'Disconnects triggered by the safety system, by reason',
+    auth_prompts_total: 'Microsoft device code prompts shown',
+    discord_api_errors_total: 'Failed Discord API requests and client errors, by HTTP status'
+};
+
+// ============================================================================
+// METRICS
+// ============================================================================
+// Prometheus text exposition without a client library: counters are kept
+// here, gauges are read from the bot when /metrics is scraped.
+
+class Metrics {
+    constructor() {
+        this.counters = new Map(Object.keys(COUNTERS).map(name => [name, new Map()]));
+    }
+
+    static escape(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    }
+
+    static formatLabels(labels) {
+        const pairs = Object.entries(labels).map(([key, value]) => `${key}="${Metrics.escape(value)}"`);
+        return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+    }
+
+    static formatValue(value) {
+        if (value === true) return '1';
+        if (value === false) return '0';
+        if (value === Infinity) return '+Inf';
+        return Number.isFinite(value) ? String(value) : 'NaN';
+    }
+
+    // value 0 only creates the series, so rate() has a starting point
+    inc(name, labels = {}, value = 1) {
+        const samples = this.counters.get(name);
+        const key = Metrics.formatLabels(labels);
+        const sample = samples.get(key) || { labels, value: 0 };
+        sample.value += value;
+        samples.set(key, sample);
+    }
+
+    // families: [{ name, help, type, samples: [{ labels, value }] }]; samples with a null value are left out
+    render(families = []) {
+        const counterFamilies = Array.from(this.counters, ([name, samples]) => ({
+            name,
+            help: COUNTERS[name],
+            type: 'counter',
+            samples: Array.from(samples.values())
+        }));
+
+        const lines = [];
+        for (const { name, help, type, samples } of [...counterFamilies, ...families]) {
+            const fullName = `${METRIC_PREFIX}${name}`;
+            lines.push(`# HELP ${fullName} ${help}`);
+            lines.push(`# TYPE ${fullName} ${type}`);
+            for (const { labels = {}, value } of samples) {
+                if (value === null || value === undefined) continue;
+                lines.push(`${fullName}${Metrics.formatLabels(labels)} ${Metrics.formatValue(value)}`);
+            }
+        }
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+module.exports = { Metrics, METRIC_PREFIX };
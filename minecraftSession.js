@@ -0,0 +1,1836 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const mineflayer = require('mineflayer');
+const { CONFIG } = require('./config');
+const { OnSpawnSequence } = require('./onSpawnSequence');
+const { DisconnectHistory } = require('./disconnectReasons');
+const { AuthCache } = require('./authCache');
+const { AuthFlow, AUTH_STATES } = require('./authFlow');
+const { AntiAfk } = require('./antiAfk');
+const { Vitals } = require('./vitals');
+const { DamageTracker } = require('./damageTracker');
+const { EntityScanner } = require('./entityScanner');
+const { ZoneList } = require('./zones');
+const { EscapePlans, ESCAPE_THREAT_TYPES } = require('./escapePlans');
+
+// Movement fires every tick, so position and nearby players go to the dashboard at most this often
+const LIVE_UPDATE_INTERVAL = 1000;
+// The hurt event, swing and sounds of a hit can arrive just after the health update
+const DAMAGE_ATTRIBUTION_DELAY = 150;
+// A mob farm moves dozens of dangerous entities every tick; the full entity scan runs at most this often
+const ENTITY_SCAN_INTERVAL = 1000;
+// Safety rejoins that run straight back into the threat back off, then give up
+const SAFETY_REJOIN_MAX_ATTEMPTS = 5;
+const SAFETY_REJOIN_MAX_DELAY = 24 * 60 * 60 * 1000;
+// A safety disconnect this soon after a safety rejoin means the rejoin did not hold
+const SAFETY_REJOIN_SETTLE = 5 * 60 * 1000;
+
+// ============================================================================
+// MINECRAFT SESSION
+// ============================================================================
+// One Minecraft account: its connection, auth prompt, counters, safety
+// monitoring state and control-panel message. Shared configuration (safety
+// settings, player lists, chat bridge, inbox) lives on the controller.
+
+class MinecraftSession {
+    constructor(controller, account) {
+        this.controller = controller;
+        this.id = account.id;
+        this.username = account.username;
+
+        this.minecraftBot = null;
+        this.controlMessage = null;
+        this.savedControlMessage = null;
+        this.isConnected = false;
+        this.isConnecting = false;
+        this.shouldJoin = false;
+        this.authFlow = new AuthFlow(() => this.handleAuthCodeExpired());
+        this.lastAuthUser = null;
+        this.authInteraction = null;
+        this.webInitiatedConnection = false;
+        // Kept so expiry warnings still reach someone after a restart
+        this.lastAuthUserId = null;
+
+        // Microsoft token cache for this account
+        this.authCache = new AuthCache(CONFIG.minecraft.profilesFolder, this.id, CONFIG.minecraftAuth);
+        this.authExpiryWarnedFor = null;
+
+        this.currentWorld = 'Unknown';
+        this.currentCoords = { x: 0, y: 0, z: 0 };
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = CONFIG.reconnect.maxAttempts;
+        this.reconnectTimer = null;
+        // For /metrics: when the current login started, or since when the account has been offline
+        this.connectedAt = null;
+        this.offlineSince = Date.now();
+        // { at, reason } for the scheduled attempt; at is null while waiting for a restarting server
+        this.nextReconnect = null;
+
+        // Why recent connections ended; only the first event per connection is recorded
+        this.disconnectHistory = new DisconnectHistory();
+        this.disconnectRecorded = false;
+
+        // Safety monitoring state
+        this.nearbyPlayers = new Map();
+        this.lastHealthAlert = 0;
+        this.lastProximityAlert = 0;
+        this.lastEntityAlert = 0;
+        this.lastHungerAlert = 0;
+        this.lastOxygenAlert = 0;
+        this.harmfulEffects = new Set();
+        this.damageTracker = new DamageTracker();
+        this.currentHealth = 20;
+        this.lastHealth = 20;
+        // Player and entity threats are tracked apart; activeThreat combines them
+        this.threats = { players: null, entities: null };
+        this.activeThreat = null;
+        this.nearbyEntities = [];
+        this.lastEntityScan = 0;
+        this.entityScanTimer = null;
+        this.lastSafetyDisconnect = null;
+        this.safetyDisconnectPending = false;
+        // The escape plan being run instead of disconnecting right away: { type, step, steps, since }
+        this.escape = null;
+        // Rejoins in a row that ran back into a threat, and when the last one connected
+        this.safetyRejoinAttempts = 0;
+        this.lastSafetyRejoin = 0;
+        this.safetyCheckInterval = null;
+
+        // Live dashboard updates
+        this.liveUpdateTimer = null;
+        this.lastLiveState = {};
+
+        // On-spawn command sequence
+        this.onSpawnSequence = new OnSpawnSequence();
+        this.onSpawnPending = false;
+
+        // Idle movement while connected
+        this.antiAfk = new AntiAfk(CONFIG.antiAfk);
+
+        // Hunger, effects and auto-eat
+        this.vitals = new Vitals();
+    }
+
+    get label() {
+        return this.controller.sessions.size > 1 ? this.id : null;
+    }
+
+    // ========================================================================
+    // STATE
+    // ========================================================================
+
+    loadState(saved) {
+        this.savedControlMessage = saved.controlMessage || null;
+        this.lastSafetyDisconnect = saved.lastSafetyDisconnect || null;
+        this.reconnectAttempts = Number.isInteger(saved.reconnectAttempts) ? saved.reconnectAttempts : 0;
+        this.disconnectHistory.load(saved.disconnectHistory);
+        this.damageTracker.load(saved.damageHistory);
+        this.lastAuthUserId = saved.lastAuthUserId || null;
+        this.authExpiryWarnedFor = saved.authExpiryWarnedFor || null;
+
+        const result = this.onSpawnSequence.setSteps(saved.onSpawnSteps || []);
+        if (!result.success) {
+            console.error(`[${this.id}] Ignoring invalid saved on-spawn steps:`, result.errors.join(', '));
+        }
+
+        if (saved.antiAfk) {
+            const afkResult = this.antiAfk.setSettings(saved.antiAfk);
+            if (!afkResult.success) {
+                console.error(`[${this.id}] Ignoring invalid saved anti-AFK settings:`, afkResult.errors.join(', '));
+            }
+        }
+    }
+
+    toState() {
+        return {
+            controlMessage: this.controlMessage
+                ? { channelId: this.controlMessage.channelId, messageId: this.controlMessage.id }
+                : this.savedControlMessage,
+            lastSafetyDisconnect: this.lastSafetyDisconnect,
+            reconnectAttempts: this.reconnectAttempts,
+            onSpawnSteps: this.onSpawnSequence.steps,
+            antiAfk: this.antiAfk.settings,
+            disconnectHistory: this.disconnectHistory.toJSON(),
+            damageHistory: this.damageTracker.toJSON(),
+            lastAuthUserId: this.lastAuthUserId,
+            authExpiryWarnedFor: this.authExpiryWarnedFor
+        };
+    }
+
+    saveState() {
+        this.controller.saveState();
+    }
+
+    audit(type, details) {
+        this.controller.auditLog.record(type, { account: this.id, ...details });
+    }
+
+    // ========================================================================
+    // CONNECTION CONTROL
+    // ========================================================================
+
+    async connect({ user = null, interaction = null, web = false, actor = null } = {}) {
+        this.audit('connect', { actor });
+        this.cancelReconnect();
+        this.shouldJoin = true;
+        this.reconnectAttempts = 0;
+        if (actor?.type !== 'safety') {
+            this.safetyRejoinAttempts = 0;
+            this.lastSafetyRejoin = 0;
+        }
+        this.webInitiatedConnection = web;
+        this.authInteraction = interaction;
+        if (user) {
+            this.lastAuthUser = user;
+            this.lastAuthUserId = user.id;
+        }
+        this.saveState();
+
+        this.controller.updateDiscordActivity();
+        await this.connectToMinecraft();
+    }
+
+    async disconnect({ actor = null } = {}) {
+        this.audit('disconnect', { actor });
+        this.cancelReconnect();
+        this.shouldJoin = false;
+        this.reconnectAttempts = 0;
+        this.saveState();
+        this.authInteraction = null;
+        this.authFlow.reset();
+
+        if (this.minecraftBot) {
+            this.minecraftBot.quit();
+            this.minecraftBot = null;
+        }
+
+        this.isConnected = false;
+        this.controller.updateDiscordActivity();
+        await this.updateEmbed();
+    }
+
+    async attemptReconnect() {
+        if (!this.shouldJoin) {
+            return;
+        }
+
+        // error and end both land here for one disconnect; only schedule once
+        if (this.isConnecting || this.reconnectTimer) {
+            return;
+        }
+
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            this.shouldJoin = false;
+            this.controller.updateDiscordActivity();
+            await this.updateEmbed();
+            return;
+        }
+
+        this.reconnectAttempts++;
+        this.saveState();
+
+        if (this.isServerRestarting()) {
+            this.waitForServer(Date.now(), 'server_restart');
+        } else if (this.controller.serverMonitor.isKnownOffline()) {
+            this.waitForServer(Date.now(), 'server_offline');
+        } else {
+            const { delay, reason } = this.controller.reconnectPolicy.plan(this.reconnectAttempts);
+            this.scheduleReconnect(delay, reason);
+        }
+
+        await this.updateEmbed();
+    }
+
+    isServerRestarting() {
+        const last = this.disconnectHistory.last;
+        return last?.category === 'server_restart' && Date.now() - last.time < CONFIG.reconnect.restartMaxWait;
+    }
+
+    scheduleReconnect(delay, reason) {
+        this.cancelReconnect();
+        this.nextReconnect = { at: Date.now() + delay, reason };
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            this.nextReconnect = null;
+            if (!this.shouldJoin || this.isConnected || this.isConnecting) return;
+
+            // The server went down while we were waiting
+            if (this.controller.serverMonitor.isKnownOffline()) {
+                this.waitForServer(Date.now(), 'server_offline');
+                await this.updateEmbed();
+                return;
+            }
+            await this.connectToMinecraft();
+        }, delay);
+    }
+
+    // Rejoining while the server is still down only burns attempts, so ping until it answers
+    waitForServer(startedAt, reason) {
+        const { restartProbeInterval, restartMaxWait } = CONFIG.reconnect;
+        const policy = this.controller.reconnectPolicy;
+
+        this.cancelReconnect();
+        const waiting = { at: null, reason, since: startedAt };
+        this.nextReconnect = waiting;
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            if (!this.shouldJoin || this.isConnected || this.isConnecting) {
+                this.nextReconnect = null;
+                return;
+            }
+
+            const online = await this.controller.serverMonitor.probe();
+            // A manual connect or disconnect during the ping replaces nextReconnect
+            if (this.nextReconnect !== waiting) return;
+
+            if (online) {
+                // Back up: join soon, but not in the same second as everyone else
+                const { delay, reason } = policy.plan(1);
+                this.scheduleReconnect(delay, reason);
+            } else if (Date.now() - startedAt >= restartMaxWait) {
+                const { delay, reason } = policy.plan(this.reconnectAttempts);
+                this.scheduleReconnect(delay, reason);
+            } else {
+                this.waitForServer(startedAt, reason);
+                return;
+            }
+            await this.updateEmbed();
+        }, restartProbeInterval);
+    }
+
+    cancelReconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.nextReconnect = null;
+    }
+
+    describeNextReconnect() {
+        const next = this.nextReconnect;
+        if (!next) return null;
+        if (next.at === null) {
+            const cause = next.reason === 'server_restart' ? 'restart' : 'outage';
+            return `waiting for the server to come back from a ${cause} (since <t:${Math.floor(next.since / 1000)}:R>)`;
+        }
+
+        const eta = `<t:${Math.floor(next.at / 1000)}:R>`;
+        if (next.reason === 'safety_rejoin') return `${eta} (rejoin after a safety disconnect)`;
+        return next.reason === 'quiet_hours' ? `${eta} (after quiet hours)` : eta;
+    }
+
+    async connectToMinecraft() {
+        if (this.isConnecting) {
+            return;
+        }
+
+        if (this.minecraftBot) {
+            this.minecraftBot.quit();
+        }
+
+        try {
+            this.isConnecting = true;
+            await this.updateEmbed();
+
+            this.disconnectRecorded = false;
+            // Without a cached login prismarine-auth goes straight to asking for a device code
+            if (CONFIG.minecraft.auth === 'microsoft' && !this.authCache.status.linked) {
+                this.authFlow.awaitCode();
+            }
+
+            this.minecraftBot = mineflayer.createBot({
+                host: CONFIG.minecraft.host,
+                port: CONFIG.minecraft.port,
+                version: CONFIG.minecraft.version,
+                auth: CONFIG.minecraft.auth,
+                // Offline servers use the username as the player name, so fall back to the account id
+                username: this.username || (CONFIG.minecraft.auth === 'offline' ? this.id : undefined),
+                profilesFolder: this.authCache.dir,
+                onMsaCode: (data) => {
+                    this.handleMsaCode(data).catch((error) => {
+                        console.error(`[${this.id}] Failed to show login code:`, error);
+                    });
+                }
+            });
+
+            this.setupMinecraftEvents();
+        } catch (error) {
+            this.isConnecting = false;
+            this.recordDisconnect('error', error);
+            if (this.shouldJoin) {
+                await this.attemptReconnect();
+            } else {
+                this.controller.updateDiscordActivity();
+                await this.updateEmbed();
+            }
+        }
+    }
+
+    // A bot replaced by connectToMinecraft still fires its end/error/kicked events late; those must
+    // not touch the new connection. null means the bot was let go on purpose and still needs cleaning up.
+    isCurrentBot(bot) {
+        return this.minecraftBot === bot || this.minecraftBot === null;
+    }
+
+    setupMinecraftEvents() {
+        const bot = this.minecraftBot;
+
+        this.minecraftBot.on('login', async () => {
+            this.isConnected = true;
+            this.isConnecting = false;
+            this.reconnectAttempts = 0;
+            this.connectedAt = Date.now();
+            this.offlineSince = null;
+            this.clearThreats();
+            this.safetyDisconnectPending = false;
+            this.harmfulEffects.clear();
+            this.onSpawnPending = true;
+            this.saveState();
+            this.audit('connected', { actor: { type: 'server' }, username: this.minecraftBot.username });
+
+            if (this.authInteraction) {
+                try {
+                    const successEmbed = new EmbedBuilder()
+                        .setTitle('✅ Authentication Successful')
+                        .setDescription(`Connected to Minecraft server as **${this.minecraftBot.username}**!`)
+                        .setColor('#00ff00')
+                        .setTimestamp();
+
+                    await this.authInteraction.editReply({
+                        embeds: [successEmbed]
+                    });
+
+                    this.authInteraction = null;
+                } catch (error) {
+                    // Silent error
+                }
+            }
+
+            if (this.minecraftBot && this.minecraftBot.game && this.minecraftBot.game.dimension) {
+                this.currentWorld = this.minecraftBot.game.dimension;
+            }
+
+            if (CONFIG.minecraft.auth === 'microsoft') {
+                this.authFlow.authenticated();
+                await this.authCache.refresh();
+            }
+
+            this.controller.updateDiscordActivity();
+            await this.updateEmbed();
+        });
+
+        this.minecraftBot.on('spawn', async () => {
+            this.updatePositionInfo();
+
+            if (this.minecraftBot && this.minecraftBot.game && this.minecraftBot.game.dimension) {
+                this.currentWorld = this.minecraftBot.game.dimension;
+            }
+
+            this.currentHealth = this.minecraftBot.health || 20;
+            this.lastHealth = this.currentHealth;
+            this.damageTracker.reset(this.currentHealth);
+
+            this.controller.updateDiscordActivity();
+
+            if (this.onSpawnPending) {
+                this.onSpawnPending = false;
+                this.runOnSpawnSequence();
+            }
+
+            // Spawn also fires after respawning, which moves the point walks stay around
+            this.antiAfk.start(this.minecraftBot, () => this.getAfkPauseReason());
+
+            await this.updateEmbed();
+        });
+
+        this.minecraftBot.on('move', () => {
+            this.damageTracker.trackFall(this.minecraftBot?.entity);
+            this.updatePositionInfo();
+            this.checkPlayerProximity();
+            this.scheduleLiveUpdate();
+        });
+
+        this.minecraftBot.on('respawn', () => {
+            if (this.minecraftBot && this.minecraftBot.game && this.minecraftBot.game.dimension) {
+                this.currentWorld = this.minecraftBot.game.dimension;
+                this.updateEmbed();
+            }
+        });
+
+        this.minecraftBot.on('end', async (reason) => {
+            if (!this.isCurrentBot(bot)) return;
+            this.recordDisconnect('end', reason, this.failAuthFlow(reason));
+            this.onSpawnSequence.cancel();
+            this.antiAfk.stop();
+            this.stopSafetyChecks();
+            this.isConnected = false;
+            this.isConnecting = false;
+            this.minecraftBot = null;
+            this.currentWorld = 'Unknown';
+            this.currentCoords = { x: 0, y: 0, z: 0 };
+            this.clearThreats();
+            this.nearbyEntities = [];
+            this.escape = null;
+
+            this.controller.updateDiscordActivity();
+            await this.updateEmbed();
+
+            if (this.shouldJoin) {
+                await this.attemptReconnect();
+            }
+        });
+
+        this.minecraftBot.on('error', async (error) => {
+            if (!this.isCurrentBot(bot)) return;
+            this.recordDisconnect('error', error, this.failAuthFlow(error));
+            this.antiAfk.stop();
+            this.isConnected = false;
+            this.isConnecting = false;
+            this.currentWorld = 'Unknown';
+            this.currentCoords = { x: 0, y: 0, z: 0 };
+
+            await this.updateEmbed();
+
+            if (this.shouldJoin) {
+                await this.attemptReconnect();
+            } else {
+                this.controller.updateDiscordActivity();
+            }
+        });
+
+        this.minecraftBot.on('kicked', async (reason) => {
+            if (!this.isCurrentBot(bot)) return;
+            this.recordDisconnect('kicked', reason);
+            this.antiAfk.stop();
+            this.isConnected = false;
+            this.isConnecting = false;
+            this.minecraftBot = null;
+            this.currentWorld = 'Unknown';
+            this.currentCoords = { x: 0, y: 0, z: 0 };
+
+            await this.updateEmbed();
+
+            if (this.shouldJoin) {
+                await this.attemptReconnect();
+            } else {
+                this.controller.updateDiscordActivity();
+            }
+        });
+
+        // Also fires when food or saturation change
+        this.minecraftBot.on('health', async () => {
+            this.checkVitals();
+            this.publish('health', {
+                health: this.minecraftBot?.health ?? this.currentHealth,
+                food: this.minecraftBot?.food ?? null,
+                vitals: this.vitals.getStatus(this.minecraftBot)
+            });
+
+            const hit = await this.recordDamage();
+            this.checkHealth(hit);
+        });
+
+        this.minecraftBot.on('entityHurt', (entity, source) => {
+            if (entity === this.minecraftBot?.entity) {
+                this.damageTracker.recordHurt(source);
+            }
+        });
+
+        this.minecraftBot.on('entitySwingArm', (entity) => {
+            if (entity !== this.minecraftBot?.entity) {
+                this.damageTracker.recordSwing(entity);
+            }
+        });
+
+        this.minecraftBot.on('soundEffectHeard', (soundName, position) => {
+            this.damageTracker.recordSound(soundName, position, this.minecraftBot?.entity?.position);
+        });
+
+        this.minecraftBot.on('breath', () => {
+            this.checkVitals();
+        });
+
+        this.minecraftBot.on('entityEffect', (entity) => {
+            if (entity === this.minecraftBot?.entity) {
+                this.checkVitals();
+            }
+        });
+
+        this.minecraftBot.on('messagestr', (message, position) => this.handleChatMessage(message, position));
+
+        this.minecraftBot.on('playerJoined', (player) => {
+            const { safetyConfig, blockedPlayers } = this.controller;
+            if (safetyConfig.enabled && safetyConfig.alertOnBlockedJoin && blockedPlayers.has(player.username)) {
+                this.sendSafetyAlert(
+                    '🚫 Blocked Player Joined',
+                    `**${player.username}** is on the server.`,
+                    '#ff0000',
+                    true
+                );
+            }
+            setTimeout(() => this.checkPlayerProximity(), 1000);
+        });
+
+        this.minecraftBot.on('playerLeft', (player) => {
+            this.nearbyPlayers.delete(player.username);
+            this.scheduleLiveUpdate();
+        });
+
+        this.minecraftBot.on('entityMoved', (entity) => {
+            if (entity && entity.type === 'player' && entity.username !== this.minecraftBot?.username) {
+                this.checkPlayerProximity();
+                this.scheduleLiveUpdate();
+            } else {
+                this.checkEntity(entity);
+            }
+        });
+
+        // Primed TNT goes off within seconds, so new entities are checked right away
+        this.minecraftBot.on('entitySpawn', (entity) => {
+            this.checkEntity(entity);
+        });
+
+        this.minecraftBot.on('entityGone', (entity) => {
+            if (this.nearbyEntities.some(found => found.id === entity?.id)) {
+                this.checkEntityThreats();
+            }
+        });
+
+        this.stopSafetyChecks();
+        this.safetyCheckInterval = setInterval(() => {
+            if (this.isConnected && this.controller.safetyConfig.enabled) {
+                this.checkPlayerProximity();
+                this.checkEntityThreats();
+                this.checkHealth();
+            }
+            this.checkVitals();
+            this.scheduleLiveUpdate();
+        }, 5000);
+    }
+
+    // kicked/error fire before end, so the most specific reason is the one that sticks
+    recordDisconnect(source, reason, category = null) {
+        if (this.disconnectRecorded) return;
+        this.disconnectRecorded = true;
+        this.connectedAt = null;
+        this.offlineSince = this.offlineSince || Date.now();
+
+        if (this.safetyDisconnectPending) {
+            category = 'safety';
+            reason = this.lastSafetyDisconnect?.reason || reason;
+        } else if (!this.shouldJoin) {
+            category = 'requested';
+        }
+
+        const entry = this.disconnectHistory.record(source, reason, category);
+        // Requested and safety disconnects are already in the audit log
+        if (category !== 'safety' && category !== 'requested') {
+            this.audit(source === 'kicked' ? 'kick' : 'connection_lost', { actor: { type: 'server' }, reason: entry.text, category: entry.category });
+        }
+
+        if (this.shouldJoin && !DisconnectHistory.shouldRetry(entry)) {
+            this.shouldJoin = false;
+            this.controller.updateDiscordActivity();
+            this.sendSafetyAlert(
+                '⛔ Reconnecting Stopped',
+                `**${DisconnectHistory.describe(entry)}**\n\nReconnecting would not help here, so the bot stays offline until you connect it again.`,
+                '#ff0000',
+                true
+            );
+        }
+
+        this.saveState();
+    }
+
+    stopSafetyChecks() {
+        if (this.safetyCheckInterval) {
+            clearInterval(this.safetyCheckInterval);
+            this.safetyCheckInterval = null;
+        }
+        if (this.entityScanTimer) {
+            clearTimeout(this.entityScanTimer);
+            this.entityScanTimer = null;
+        }
+    }
+
+    // Moving around would draw attention while someone suspicious is close
+    getAfkPauseReason() {
+        if (this.safetyDisconnectPending) return 'safety disconnect in progress';
+        if (this.escape) return 'escaping a threat';
+        if (this.vitals.eating) return 'eating';
+        return this.activeThreat || null;
+    }
+
+    runOnSpawnSequence() {
+        this.onSpawnSequence.execute(this.minecraftBot, () => this.updateEmbed()).catch((error) => {
+            console.error(`[${this.id}] On-spawn sequence failed:`, error);
+        });
+    }
+
+    async handleMsaCode(data) {
+        this.authFlow.codeReceived(data);
+        const { url: authUrl, code: authCode } = this.authFlow;
+        // The link embeds the one-time code, so neither is written to the log
+        this.audit('auth_prompt', { actor: { type: 'system' } });
+        this.controller.metrics.inc('auth_prompts_total', { account: this.id });
+        // Sent before the Discord round trips below so the dashboard shows the code right away
+        const authState = { authState: this.authFlow.toJSON(), authRequired: true };
+        this.publish('auth', { ...authState, authUrl, authCode }, { ...authState, authUrl: null, authCode: null });
+
+        // Update Discord interaction if it exists (Discord-initiated connection)
+        if (this.authInteraction) {
+            const updatedEmbed = new EmbedBuilder()
+                .setTitle('🔐 Microsoft Authentication Required')
+                .setDescription(`Please authenticate to connect the Minecraft bot${this.label ? ` (account \`${this.id}\`)` : ''}.`)
+                .addFields(
+                    { name: '🔗 Authentication Link', value: `[Click here to authenticate](${authUrl})`, inline: false },
+                    { name: '🔑 Code (if needed)', value: `\`${authCode}\``, inline: false },
+                    { name: '⏳ Status', value: `Waiting for you to complete authentication, the code expires <t:${Math.floor(this.authFlow.expiresAt / 1000)}:R>`, inline: false }
+                )
+                .setColor('#ff9900')
+                .setTimestamp();
+
+            try {
+                await this.authInteraction.editReply({ embeds: [updatedEmbed] });
+            } catch (error) {
+                console.error('Failed to update auth interaction:', error);
+            }
+        }
+
+        // Always update the main embed
+        await this.updateEmbed();
+        this.controller.updateDiscordActivity();
+    }
+
+    // Returns the disconnect category when the connection ended during sign-in
+    failAuthFlow(reason) {
+        const outcome = this.authFlow.fail(DisconnectHistory.flatten(reason).substring(0, 200));
+        return outcome === 'failed' ? 'auth_failed' : null;
+    }
+
+    // Nobody signed in in time; asking for another code would only repeat that, so stop here
+    async handleAuthCodeExpired() {
+        this.recordDisconnect('auth', 'Nobody signed in before the login code expired', 'auth_expired');
+        this.shouldJoin = false;
+        this.isConnecting = false;
+        this.saveState();
+
+        if (this.minecraftBot) {
+            this.minecraftBot.quit();
+            this.minecraftBot = null;
+        }
+
+        if (this.authInteraction) {
+            const expiredEmbed = new EmbedBuilder()
+                .setTitle('⌛ Login Code Expired')
+                .setDescription('The code expired before the sign-in was completed. Connect again to get a new one.')
+                .setColor('#ff0000')
+                .setTimestamp();
+
+            try {
+                await this.authInteraction.editReply({ embeds: [expiredEmbed] });
+            } catch (error) {
+                // Interaction token may have expired as well
+            }
+            this.authInteraction = null;
+        }
+
+        this.controller.updateDiscordActivity();
+        await this.updateEmbed();
+    }
+
+    updatePositionInfo() {
+        if (this.minecraftBot && this.minecraftBot.entity && this.minecraftBot.entity.position) {
+            this.currentCoords = {
+                x: this.minecraftBot.entity.position.x,
+                y: this.minecraftBot.entity.position.y,
+                z: this.minecraftBot.entity.position.z
+            };
+        }
+    }
+
+    // ========================================================================
+    // MICROSOFT LOGIN
+    // ========================================================================
+
+    // Drops the cached tokens and connects again, which starts a fresh device-code login
+    async relink({ user = null, interaction = null, actor = null } = {}) {
+        this.audit('config', { actor, setting: 'auth', action: 'relink' });
+        await this.disconnect({ actor });
+        await this.authCache.clear();
+        this.authExpiryWarnedFor = null;
+        await this.connect({ user, interaction, actor });
+    }
+
+    async logout({ actor = null } = {}) {
+        this.audit('config', { actor, setting: 'auth', action: 'logout' });
+        await this.disconnect({ actor });
+        await this.authCache.clear();
+        this.authExpiryWarnedFor = null;
+        this.saveState();
+        await this.updateEmbed();
+    }
+
+    // Warns once per estimated expiry, so a refresh that moves the date re-arms the warning
+    async checkAuthExpiry() {
+        if (CONFIG.minecraft.auth !== 'microsoft') return;
+
+        const { linked, refreshTokenExpiresAt } = await this.authCache.refresh();
+        if (!linked || !this.authCache.isExpiringSoon() || this.authExpiryWarnedFor === refreshTokenExpiresAt) {
+            return;
+        }
+
+        this.authExpiryWarnedFor = refreshTokenExpiresAt;
+        this.saveState();
+        await this.sendAuthExpiryWarning(refreshTokenExpiresAt);
+    }
+
+    async sendAuthExpiryWarning(expiresAt) {
+        const embed = new EmbedBuilder()
+            .setTitle('🔑 Microsoft Login Expiring')
+            .setDescription(
+                `The saved login${this.label ? ` for account \`${this.id}\`` : ''} is expected to expire <t:${Math.floor(expiresAt / 1000)}:R>. ` +
+                'After that the bot cannot reconnect on its own.\n\nRun `/auth relink` to sign in again.'
+            )
+            .setColor('#ff9900')
+            .setTimestamp();
+
+        try {
+            const user = this.lastAuthUser || (this.lastAuthUserId && await this.controller.discordClient.users.fetch(this.lastAuthUserId));
+            if (!user) throw new Error('No user to notify');
+            await user.send({ embeds: [embed] });
+        } catch (error) {
+            try {
+                const channel = await this.controller.discordClient.channels.fetch(CONFIG.discord.channelId);
+                await channel?.send({ embeds: [embed] });
+            } catch (fallbackError) {
+                console.error('Failed to send login expiry warning:', fallbackError);
+            }
+        }
+    }
+
+    // ========================================================================
+    // STATUS
+    // ========================================================================
+
+    getNearbyPlayers() {
+        const nearbyPlayersList = [];
+        if (this.isConnected && this.minecraftBot && this.minecraftBot.players) {
+            const myPos = this.minecraftBot.entity?.position;
+            if (myPos) {
+                for (const [username, player] of Object.entries(this.minecraftBot.players)) {
+                    if (username === this.minecraftBot.username) continue;
+                    if (!player.entity || !player.entity.position) continue;
+
+                    const distance = myPos.distanceTo(player.entity.position);
+                    if (distance <= this.controller.safetyConfig.proximityRadius) {
+                        nearbyPlayersList.push({
+                            username,
+                            distance: Math.round(distance)
+                        });
+                    }
+                }
+            }
+        }
+        return nearbyPlayersList;
+    }
+
+    getCurrentZone() {
+        if (!this.isConnected || !this.minecraftBot?.entity) return null;
+        return this.controller.zones.find(this.currentWorld, this.currentCoords);
+    }
+
+    getNearbyEntities() {
+        if (!this.isConnected || !this.minecraftBot) return [];
+        return EntityScanner.scan(this.minecraftBot, this.controller.safetyConfig).map(({ name, group, distance }) => ({ name, group, distance }));
+    }
+
+    getStatus() {
+        const zone = this.getCurrentZone();
+        return {
+            account: this.id,
+            connected: this.isConnected,
+            shouldJoin: this.shouldJoin,
+            username: this.minecraftBot?.username || null,
+            server: `${CONFIG.minecraft.host}:${CONFIG.minecraft.port}`,
+            version: this.minecraftBot?.version || CONFIG.minecraft.version || 'auto',
+            auth: CONFIG.minecraft.auth,
+            world: this.currentWorld,
+            coordinates: this.currentCoords,
+            health: this.currentHealth,
+            reconnectAttempts: this.reconnectAttempts,
+            maxReconnectAttempts: this.maxReconnectAttempts,
+            nextReconnect: this.nextReconnect,
+            escape: this.escape,
+            tokenCache: CONFIG.minecraft.auth === 'microsoft' ? this.authCache.status : null,
+            authState: this.authFlow.toJSON(),
+            lastDisconnect: this.disconnectHistory.last,
+            disconnectHistory: this.disconnectHistory.entries.slice(0, 10),
+            antiAfk: this.antiAfk.getStatus(),
+            vitals: this.isConnected ? this.vitals.getStatus(this.minecraftBot) : null,
+            zone: zone ? { name: zone.name, policy: zone.policy } : null,
+            authRequired: this.authFlow.isPending,
+            authUrl: this.authFlow.url,
+            authCode: this.authFlow.code
+        };
+    }
+
+    getSummary() {
+        return {
+            id: this.id,
+            connected: this.isConnected,
+            shouldJoin: this.shouldJoin,
+            username: this.minecraftBot?.username || null,
+            authRequired: this.authFlow.isPending,
+            authState: this.authFlow.state,
+            activeThreat: this.activeThreat || null
+        };
+    }
+
+    getStatusText() {
+        if (this.authFlow.isActive) {
+            return this.authFlow.isPending ? '⏳ Waiting for Microsoft authentication...' : '⏳ Requesting Microsoft login code...';
+        }
+        if (this.isConnected && this.minecraftBot) {
+            return `✅ Connected as ${this.minecraftBot.username}`;
+        }
+        if (this.shouldJoin && !this.isConnected) {
+            if (this.reconnectAttempts > 0) {
+                return `🔄 Reconnecting... (${this.reconnectAttempts}/${this.maxReconnectAttempts})`;
+            }
+            return '⏳ Connecting...';
+        }
+        if (this.authFlow.state === 'expired' || this.authFlow.state === 'failed') {
+            return `❌ Disconnected (${AUTH_STATES[this.authFlow.state].label.toLowerCase()})`;
+        }
+        return '❌ Disconnected';
+    }
+
+    // ========================================================================
+    // LIVE UPDATES
+    // ========================================================================
+
+    // redacted is what read-only dashboards get instead; null leaves them out
+    publish(type, data, redacted) {
+        const stream = this.controller.eventStream;
+        if (!stream.hasClients) return;
+
+        stream.publish(type, { account: this.id, ...data }, {
+            account: this.id,
+            redacted: redacted ? { account: this.id, ...redacted } : redacted
+        });
+    }
+
+    scheduleLiveUpdate() {
+        if (this.liveUpdateTimer || !this.controller.eventStream.hasClients) return;
+
+        this.liveUpdateTimer = setTimeout(() => {
+            this.liveUpdateTimer = null;
+            this.publishLiveState();
+        }, LIVE_UPDATE_INTERVAL);
+    }
+
+    // Only sends the parts that changed since the last update
+    publishLiveState() {
+        const { x, y, z } = this.currentCoords;
+        const positionKey = `${Math.round(x)},${Math.round(y)},${Math.round(z)},${this.currentWorld}`;
+        if (positionKey !== this.lastLiveState.position) {
+            this.lastLiveState.position = positionKey;
+            this.publish('position', { coordinates: { x, y, z }, world: this.currentWorld }, { coordinates: null, world: this.currentWorld });
+        }
+
+        const safety = {
+            nearbyPlayers: this.getNearbyPlayers(),
+            nearbyEntities: this.getNearbyEntities(),
+            activeThreat: this.activeThreat || null,
+            escape: this.escape
+        };
+        const safetyKey = JSON.stringify(safety);
+        if (safetyKey !== this.lastLiveState.safety) {
+            this.lastLiveState.safety = safetyKey;
+            this.publish('safety', safety);
+        }
+    }
+
+    // ========================================================================
+    // CONTROL PANEL
+    // ========================================================================
+
+    createEmbed() {
+        const safetyConfig = this.controller.safetyConfig;
+        const statusColor = this.isConnected ? '#00ff00' : this.shouldJoin ? '#ff9900' : '#ff0000';
+        const embed = new EmbedBuilder()
+            .setTitle(`[<:donut:1449408560034480319>] DonutAFK${this.label ? ` — ${this.id}` : ''}`)
+            .setColor(statusColor)
+            .addFields(
+                { name: '🖥️ Server', value: `\`${CONFIG.minecraft.host}\``, inline: true },
+                { name: '🔗 Status', value: this.getStatusText(), inline: true },
+                { name: '🛡️ Safety', value: safetyConfig.enabled ? (this.isConnected ? '✅ Active' : '❌ Inactive') : '⏸️ Disabled', inline: true }
+            );
+
+        const zone = this.getCurrentZone();
+        if (this.isConnected && this.minecraftBot) {
+            embed.addFields(
+                { name: '👤 Player', value: `\`${this.minecraftBot.username}\``, inline: true },
+                { name: '🌍 World', value: `\`${this.currentWorld}\``, inline: true },
+                { name: '<:mcheart:1449409243479412786> Health', value: `\`${this.currentHealth}/20\``, inline: true },
+                { name: '📍 Position', value: `\`${Math.round(this.currentCoords.x)}, ${Math.round(this.currentCoords.y)}, ${Math.round(this.currentCoords.z)}\``, inline: true },
+                { name: '🗺️ Zone', value: zone ? ZoneList.describe(zone) : 'None (default rules)', inline: true }
+            );
+        }
+
+        const onSpawnStatus = this.onSpawnSequence.formatLastRun();
+        if (this.isConnected && onSpawnStatus) {
+            embed.addFields({
+                name: '🚀 On-Spawn',
+                value: onSpawnStatus.substring(0, 1024),
+                inline: false
+            });
+        }
+
+        const vitals = this.isConnected ? Vitals.read(this.minecraftBot) : null;
+        if (vitals) {
+            const autoEat = safetyConfig.autoEat ? `\nAuto-eat: ${this.vitals.describeAutoEat(safetyConfig.autoEatThreshold)}` : '';
+            embed.addFields({
+                name: '🍗 Vitals',
+                value: `${Vitals.describe(vitals)}${autoEat}`.substring(0, 1024),
+                inline: false
+            });
+        }
+
+        if (this.isConnected) {
+            embed.addFields({
+                name: '🏃 Anti-AFK',
+                value: this.antiAfk.describe().substring(0, 1024),
+                inline: false
+            });
+        }
+
+        if (this.escape) {
+            embed.addFields({
+                name: '🏃 Escaping',
+                value: `${ESCAPE_THREAT_TYPES[this.escape.type].label} — command ${this.escape.step}/${this.escape.steps}`,
+                inline: true
+            });
+        }
+
+        if (this.nextReconnect?.reason === 'safety_rejoin') {
+            embed.addFields({ name: '🔁 Safety Rejoin', value: this.describeNextReconnect(), inline: true });
+        }
+
+        if (this.reconnectAttempts > 0 && this.shouldJoin) {
+            const nextAttempt = this.describeNextReconnect();
+            embed.addFields({
+                name: '🔄 Reconnecting',
+                value: `${this.reconnectAttempts}/${this.maxReconnectAttempts}${nextAttempt ? ` — next ${nextAttempt}` : ''}`,
+                inline: true
+            });
+        }
+
+        if (CONFIG.minecraft.auth === 'microsoft') {
+            const flow = this.authFlow.state === 'idle' || this.authFlow.state === 'authenticated' ? '' : `${this.authFlow.describe()}\n`;
+            embed.addFields({
+                name: '🔑 Microsoft Login',
+                value: `${flow}${this.authCache.describe()}`.substring(0, 1024),
+                inline: false
+            });
+        }
+
+        const lastDisconnect = this.disconnectHistory.last;
+        if (!this.isConnected && lastDisconnect) {
+            embed.addFields({
+                name: '📉 Last Disconnect',
+                value: `${DisconnectHistory.describe(lastDisconnect)} (<t:${Math.floor(lastDisconnect.time / 1000)}:R>)`.substring(0, 1024),
+                inline: false
+            });
+        }
+
+        embed.setTimestamp()
+            .setFooter({ text: 'Use buttons below to control the bot' });
+
+        if (this.authFlow.isPending) {
+            embed.addFields({
+                name: '🔑 Auth Required',
+                value: `[Click here](${this.authFlow.url}) | Code: \`${this.authFlow.code}\``,
+                inline: false
+            });
+        }
+
+        return embed;
+    }
+
+    createControlComponents() {
+        const row = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`connect:${this.id}`)
+                    .setLabel('Connect')
+                    .setEmoji('✅')
+                    .setStyle(ButtonStyle.Success),
+                new ButtonBuilder()
+                    .setCustomId(`disconnect:${this.id}`)
+                    .setLabel('Disconnect')
+                    .setEmoji('❌')
+                    .setStyle(ButtonStyle.Danger)
+            );
+
+        return [row];
+    }
+
+    async setupControlMessage() {
+        try {
+            const channel = await this.controller.discordClient.channels.fetch(CONFIG.discord.channelId);
+            if (!channel) {
+                console.error('Control channel not found!');
+                return;
+            }
+
+            const messageOptions = {
+                embeds: [this.createEmbed()],
+                components: this.createControlComponents()
+            };
+
+            const saved = this.savedControlMessage;
+            if (saved && saved.channelId === channel.id) {
+                try {
+                    this.controlMessage = await channel.messages.fetch(saved.messageId);
+                    await this.controlMessage.edit(messageOptions);
+                    return;
+                } catch (error) {
+                    console.log(`[${this.id}] Saved control message not found, posting a new one...`);
+                    this.controlMessage = null;
+                }
+            }
+
+            this.controlMessage = await channel.send(messageOptions);
+            this.saveState();
+        } catch (error) {
+            console.error(`[${this.id}] Failed to setup control message:`, error);
+        }
+    }
+
+    async updateEmbed() {
+        // Every change that refreshes the control panel also refreshes the dashboard
+        this.controller.publishStatus(this);
+
+        if (!this.controlMessage) {
+            await this.setupControlMessage();
+            return;
+        }
+
+        try {
+            await this.controlMessage.edit({
+                embeds: [this.createEmbed()],
+                components: this.createControlComponents()
+            });
+        } catch (error) {
+            if (error.code === 10008) {
+                console.log(`[${this.id}] Control message was deleted, recreating...`);
+                this.controlMessage = null;
+                this.savedControlMessage = null;
+                await this.setupControlMessage();
+            } else {
+                console.error(`[${this.id}] Failed to update embed:`, error);
+            }
+        }
+    }
+
+    // ========================================================================
+    // SAFETY
+    // ========================================================================
+
+    async sendSafetyAlert(title, description, color = '#ff0000', isUrgent = false) {
+        try {
+            if (!this.lastAuthUser) {
+                console.log('No authenticated user to send safety alert to');
+                return;
+            }
+
+            const embed = new EmbedBuilder()
+                .setTitle(title)
+                .setDescription(description)
+                .setColor(color)
+                .addFields(
+                    { name: '📍 Location', value: `\`X: ${Math.round(this.currentCoords.x)}, Y: ${Math.round(this.currentCoords.y)}, Z: ${Math.round(this.currentCoords.z)}\``, inline: true },
+                    { name: '🌍 World', value: `\`${this.currentWorld}\``, inline: true },
+                    { name: '❤️ Health', value: `\`${this.currentHealth}/20\``, inline: true },
+                    { name: '⏰ Time', value: `<t:${Math.floor(Date.now() / 1000)}:R>`, inline: false }
+                )
+                .setTimestamp()
+                .setFooter({ text: `DonutAFK Safety System${this.label ? ` • ${this.id}` : ''}` });
+
+            const messageContent = isUrgent ? '🚨 **DonutAFK Safety Alert** 🚨' : '⚠️ **Safety Alert**';
+
+            await this.lastAuthUser.send({
+                content: messageContent,
+                embeds: [embed]
+            });
+
+        } catch (error) {
+            try {
+                const channel = await this.controller.discordClient.channels.fetch(CONFIG.discord.channelId);
+                if (channel) {
+                    await channel.send({
+                        content: `⚠️ Failed to DM ${this.lastAuthUser?.tag || 'user'} - Safety Alert${this.label ? ` (${this.id})` : ''}: **${title}**\n${description}`
+                    });
+                }
+            } catch (fallbackError) {
+                console.error('Failed to send safety alert:', fallbackError);
+            }
+        }
+    }
+
+    checkBlockedPlayers() {
+        if (this.safetyDisconnectPending) return true;
+
+        const safetyConfig = this.controller.safetyConfig;
+        const { onlineBlocked, visibleBlocked } = this.findBlockedPlayers();
+        if (onlineBlocked.length === 0) return false;
+
+        const myPos = this.minecraftBot.entity?.position;
+
+        if (safetyConfig.autoDisconnectOnBlocked && visibleBlocked.length > 0) {
+            const blockedList = visibleBlocked.map(username => {
+                const distance = myPos ? Math.round(myPos.distanceTo(this.minecraftBot.players[username].entity.position)) : '?';
+                return `${username} (${distance}m)`;
+            }).join(', ');
+
+            this.setThreat(`Blocked player(s) in range: ${visibleBlocked.join(', ')}`);
+            const disconnecting = this.triggerSafetyDisconnect({
+                reason: `Blocked player(s) in range: ${blockedList}`,
+                type: 'blocked_nearby',
+                players: visibleBlocked
+            });
+
+            if (disconnecting) {
+                this.sendSafetyAlert(
+                    '🚫 BLOCKED PLAYER NEARBY - AUTO DISCONNECT',
+                    `**Blocked player(s) entered render distance:**\n${blockedList}\n\n**Action:** Bot automatically disconnected for safety!`,
+                    '#ff0000',
+                    true
+                );
+            }
+            return true;
+        }
+
+        if (safetyConfig.leaveWhenBlockedOnline) {
+            const blockedList = onlineBlocked.join(', ');
+
+            this.setThreat(`Blocked player(s) online: ${blockedList}`);
+            const disconnecting = this.triggerSafetyDisconnect({
+                reason: `Blocked player(s) online: ${blockedList}`,
+                type: 'blocked_online',
+                players: onlineBlocked
+            });
+
+            if (disconnecting) {
+                this.sendSafetyAlert(
+                    '🚫 BLOCKED PLAYER ONLINE - AUTO DISCONNECT',
+                    `**Blocked player(s) are on the server:**\n${blockedList}\n\n**Action:** Bot automatically disconnected (leave when blocked player online is enabled)!`,
+                    '#ff0000',
+                    true
+                );
+            }
+            return true;
+        }
+
+        return false;
+    }
+
+    findBlockedPlayers() {
+        const blockedPlayers = this.controller.blockedPlayers;
+        const onlineBlocked = Object.keys(this.minecraftBot.players)
+            .filter(username => username !== this.minecraftBot.username && blockedPlayers.has(username));
+        const visibleBlocked = onlineBlocked.filter(username => this.minecraftBot.players[username].entity?.position);
+        return { onlineBlocked, visibleBlocked };
+    }
+
+    // Counts each new threat once, not every check that still sees it
+    // source is "players" or "entities"; clearing one kind leaves the other in place
+    setThreat(threat, source = 'players') {
+        this.threats[source] = threat;
+        const combined = Object.values(this.threats).filter(Boolean).join(' • ') || null;
+        if (combined && !this.activeThreat) {
+            this.controller.metrics.inc('threats_detected_total', { account: this.id });
+        }
+        this.activeThreat = combined;
+    }
+
+    clearThreats() {
+        this.threats = { players: null, entities: null };
+        this.activeThreat = null;
+    }
+
+    // Returns true when the bot disconnects now, false when an escape plan runs first or one is already underway
+    triggerSafetyDisconnect(details, delay = 1000) {
+        if (this.safetyDisconnectPending) return false;
+        const plan = this.controller.escapePlans.get(details.type);
+        if (this.escape) {
+            // Critical health does not wait for an escape from something else to play out
+            if (details.type !== 'health') return false;
+            const escapingHealth = this.escape.type === 'health';
+            this.escape = null;
+            // Another critical hit means the health escape is not working
+            if (escapingHealth) {
+                this.disconnectForSafety(details, plan, delay);
+                return true;
+            }
+        }
+
+        if (plan.commands.length > 0 && this.minecraftBot) {
+            this.runEscapePlan(details, plan).catch((error) => {
+                console.error(`[${this.id}] Escape plan failed:`, error);
+            });
+            return false;
+        }
+
+        this.disconnectForSafety(details, plan, delay);
+        return true;
+    }
+
+    disconnectForSafety(details, plan, delay) {
+        this.safetyDisconnectPending = true;
+        this.controller.metrics.inc('safety_disconnects_total', { account: this.id, type: details.type });
+
+        this.lastSafetyDisconnect = {
+            time: Date.now(),
+            ...details
+        };
+        this.saveState();
+        this.audit('safety_disconnect', { actor: { type: 'safety' }, ...EscapePlans.auditDetails(details) });
+
+        setTimeout(() => {
+            this.shouldJoin = false;
+            if (this.minecraftBot) {
+                this.minecraftBot.quit();
+            }
+            if (plan.rejoinAfter > 0) {
+                this.scheduleSafetyRejoin(details, plan.rejoinAfter);
+            }
+        }, delay);
+    }
+
+    // Each command gets recheckDelay to work; the bot stays online as soon as a recheck comes back clear
+    async runEscapePlan(details, plan) {
+        const threat = ESCAPE_THREAT_TYPES[details.type];
+        const escape = { type: details.type, step: 0, steps: plan.commands.length, since: Date.now() };
+        this.escape = escape;
+        this.audit('safety_escape', { actor: { type: 'safety' }, ...EscapePlans.auditDetails(details), commands: plan.commands });
+
+        for (const command of plan.commands) {
+            const bot = this.minecraftBot;
+            if (this.escape !== escape || !bot) return;
+
+            escape.step++;
+            bot.chat(command);
+            this.updateEmbed();
+            this.sendSafetyAlert(
+                `🏃 ${threat.label.toUpperCase()} - ESCAPING (${escape.step}/${escape.steps})`,
+                `**${details.reason}**\n\n**Action:** Ran \`${command}\`, checking again in ${plan.recheckDelay / 1000}s`,
+                '#ff9900',
+                true
+            );
+
+            await new Promise(resolve => setTimeout(resolve, plan.recheckDelay));
+            if (this.escape !== escape || bot !== this.minecraftBot) return;
+
+            if (!this.isThreatStillPresent(details.type)) {
+                this.escape = null;
+                this.updateEmbed();
+                this.audit('safety_escaped', { actor: { type: 'safety' }, threat: details.type, command });
+                this.sendSafetyAlert(
+                    '✅ Threat Escaped',
+                    `**${threat.label}** is no longer detected after \`${command}\`.\n\n**Action:** Bot stays online`,
+                    '#00ff00',
+                    false
+                );
+                return;
+            }
+        }
+
+        this.escape = null;
+        this.sendSafetyAlert(
+            `🚨 ${threat.label.toUpperCase()} - ESCAPE FAILED`,
+            `**${details.reason}**\n\nStill detected after ${escape.steps} escape command(s).\n\n**Action:** Bot automatically disconnected for safety!`,
+            '#ff0000',
+            true
+        );
+        this.disconnectForSafety(details, plan, 500);
+    }
+
+    isThreatStillPresent(type) {
+        const bot = this.minecraftBot;
+        if (!bot?.entity) return false;
+
+        switch (type) {
+            case 'threat': {
+                const zone = this.getCurrentZone();
+                if (zone?.policy === 'ignore' || zone?.policy === 'alert') return false;
+                return this.findPlayerThreats(zone).threats.length > 0;
+            }
+            case 'blocked_nearby':
+                return this.findBlockedPlayers().visibleBlocked.length > 0;
+            case 'blocked_online':
+                return this.findBlockedPlayers().onlineBlocked.length > 0;
+            case 'entity':
+                return EntityScanner.scan(bot, this.controller.safetyConfig).length > 0;
+            case 'health':
+                // Not taking damage is not enough: the bot is only safe once it is back above the disconnect threshold
+                return bot.health <= this.controller.safetyConfig.autoDisconnectHealth;
+            default:
+                return true;
+        }
+    }
+
+    // The safety checks run again on join, so a threat that is still there starts the plan over.
+    // Each rejoin that runs back into a threat doubles the wait, up to SAFETY_REJOIN_MAX_ATTEMPTS.
+    scheduleSafetyRejoin(details, rejoinAfter) {
+        this.cancelReconnect();
+        if (Date.now() - this.lastSafetyRejoin > SAFETY_REJOIN_SETTLE) {
+            this.safetyRejoinAttempts = 0;
+        }
+
+        if (this.safetyRejoinAttempts >= SAFETY_REJOIN_MAX_ATTEMPTS) {
+            this.audit('safety_rejoin_abandoned', { actor: { type: 'safety' }, ...EscapePlans.auditDetails(details), attempts: this.safetyRejoinAttempts });
+            this.safetyRejoinAttempts = 0;
+            this.lastSafetyRejoin = 0;
+            this.sendSafetyAlert(
+                '🛑 Safety Rejoin Abandoned',
+                `**${details.reason}**\n\nThe threat was still there after ${SAFETY_REJOIN_MAX_ATTEMPTS} rejoin attempts.\n\n**Action:** Staying offline. Use /connect to rejoin.`,
+                '#ff0000',
+                true
+            );
+            return;
+        }
+
+        this.safetyRejoinAttempts++;
+        const delay = Math.min(rejoinAfter * 2 ** (this.safetyRejoinAttempts - 1), SAFETY_REJOIN_MAX_DELAY);
+        this.nextReconnect = { at: Date.now() + delay, reason: 'safety_rejoin' };
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            this.nextReconnect = null;
+            if (this.isConnected || this.isConnecting) return;
+
+            // Counts as a failed attempt without logging in at all
+            const seen = await this.findThreatInServerList(details.type);
+            if (seen.length > 0) {
+                this.lastSafetyRejoin = Date.now();
+                this.scheduleSafetyRejoin({ ...details, reason: `Still online: ${seen.join(', ')}` }, rejoinAfter);
+                return;
+            }
+
+            this.lastSafetyRejoin = Date.now();
+            this.sendSafetyAlert(
+                '🔁 Rejoining After Safety Disconnect',
+                `**${details.reason}**\n\n**Action:** Rejoining now (attempt ${this.safetyRejoinAttempts}/${SAFETY_REJOIN_MAX_ATTEMPTS}); the safety checks run again once the bot is in`,
+                '#00bfff',
+                false
+            );
+            await this.connect({ actor: { type: 'safety' } });
+        }, delay);
+
+        this.sendSafetyAlert(
+            '⏳ Safety Rejoin Scheduled',
+            `**${details.reason}**\n\n**Action:** The bot will rejoin <t:${Math.floor(this.nextReconnect.at / 1000)}:R> if the threat is gone. Use /connect or /disconnect to change that.`,
+            '#00bfff',
+            false
+        );
+    }
+
+    // Blocked players can be spotted from outside through the server-list player sample;
+    // servers that hide the sample, and the other threat types, are only checked after joining
+    async findThreatInServerList(type) {
+        if (type !== 'blocked_online' && type !== 'blocked_nearby') return [];
+
+        const monitor = this.controller.serverMonitor;
+        const online = await monitor.probe();
+        const sample = online ? monitor.latest?.players?.sample : null;
+        if (!Array.isArray(sample)) return [];
+        return sample.filter(name => this.controller.blockedPlayers.has(name));
+    }
+
+    checkPlayerProximity() {
+        const { safetyConfig, trustedPlayers, blockedPlayers, temporaryThreats } = this.controller;
+
+        if (!safetyConfig.enabled || !this.minecraftBot || !this.minecraftBot.players) return;
+        if (this.checkBlockedPlayers()) return;
+        if (!this.minecraftBot.entity || !this.minecraftBot.entity.position) return;
+
+        const zone = this.getCurrentZone();
+        if (zone?.policy === 'ignore') {
+            this.setThreat(null);
+            return;
+        }
+
+        const now = Date.now();
+        if (now - this.lastProximityAlert < safetyConfig.alertCooldown) return;
+
+        const { nearbyPlayers, threats } = this.findPlayerThreats(zone);
+
+        this.setThreat(threats.length > 0
+            ? `${threats.length} untrusted player(s) nearby: ${threats.map(t => t.username).join(', ')}`
+            : null);
+
+        if (nearbyPlayers.length > 0) {
+            this.lastProximityAlert = now;
+            const playerList = nearbyPlayers.map(p => {
+                const isTrusted = trustedPlayers.has(p.username) ? '✅' : '⚠️';
+                const isBlocked = blockedPlayers.has(p.username) ? '🚫' : '';
+                const isAttacker = temporaryThreats.has(p.username) ? '⚔️' : '';
+                return `${isTrusted}${isBlocked}${isAttacker} **${p.username}** (${p.distance}m)`;
+            }).join(', ');
+
+            if (zone?.policy === 'alert' && threats.length > 0) {
+                this.sendSafetyAlert(
+                    '🟡 Player(s) in Alert-Only Zone',
+                    `**Untrusted player(s) detected in zone ${zone.name}:**\n${playerList}\n\n**Action:** No disconnect (zone policy: alert only)`,
+                    '#00bfff',
+                    false
+                );
+                return;
+            }
+
+            if ((safetyConfig.autoDisconnectOnThreat || zone?.policy === 'strict') && threats.length > 0) {
+                const threatList = threats.map(p => `${p.username} (${p.distance}m)`).join(', ');
+                const zoneNote = zone ? ` in zone ${zone.name}` : '';
+
+                const disconnecting = this.triggerSafetyDisconnect({
+                    reason: `Untrusted player(s) detected${zoneNote}: ${threatList}`,
+                    type: 'threat',
+                    players: threats.map(t => t.username)
+                });
+
+                if (disconnecting) {
+                    this.sendSafetyAlert(
+                        '🚨 THREAT DETECTED - AUTO DISCONNECT',
+                        `**Untrusted player(s) detected nearby${zoneNote}:**\n${threatList}\n\n**Action:** Bot automatically disconnected for safety!`,
+                        '#ff0000',
+                        true
+                    );
+                }
+                return;
+            }
+
+            this.sendSafetyAlert(
+                '⚠️ Player Proximity Alert',
+                `**${nearbyPlayers.length} player(s) detected within ${safetyConfig.proximityRadius} blocks:**\n${playerList}`,
+                '#ff9900',
+                true
+            );
+        }
+    }
+
+    // Players within the proximity radius, and the untrusted ones among them that count as threats
+    findPlayerThreats(zone) {
+        const { safetyConfig, trustedPlayers, temporaryThreats } = this.controller;
+        const myPos = this.minecraftBot.entity.position;
+        const nearbyPlayers = [];
+        const threats = [];
+
+        for (const [username, player] of Object.entries(this.minecraftBot.players)) {
+            if (username === this.minecraftBot.username) continue;
+            if (!player.entity || !player.entity.position) continue;
+
+            const distance = myPos.distanceTo(player.entity.position);
+            if (distance <= safetyConfig.proximityRadius) {
+                const playerInfo = { username, distance: Math.round(distance) };
+                nearbyPlayers.push(playerInfo);
+
+                // Strict zones and players who recently attacked an account make the whole radius count
+                if (!trustedPlayers.has(username) && (distance <= 20 || zone?.policy === 'strict' || temporaryThreats.has(username))) {
+                    threats.push(playerInfo);
+                }
+            }
+        }
+
+        return { nearbyPlayers, threats };
+    }
+
+    // Entities move every tick, so the full scan only runs for one that is dangerous and in range,
+    // and at most once per ENTITY_SCAN_INTERVAL; a hit inside the interval scans once it is over
+    checkEntity(entity) {
+        if (!this.controller.safetyConfig.enabled || !this.minecraftBot || this.entityScanTimer) return;
+        if (!EntityScanner.check(this.minecraftBot, entity, this.controller.safetyConfig)) return;
+
+        const wait = this.lastEntityScan + ENTITY_SCAN_INTERVAL - Date.now();
+        if (wait <= 0) {
+            this.checkEntityThreats();
+            return;
+        }
+        this.entityScanTimer = setTimeout(() => {
+            this.entityScanTimer = null;
+            this.checkEntityThreats();
+        }, wait);
+    }
+
+    checkEntityThreats() {
+        const safetyConfig = this.controller.safetyConfig;
+        if (!safetyConfig.enabled || !this.minecraftBot?.entity || this.safetyDisconnectPending) return;
+        this.lastEntityScan = Date.now();
+
+        const found = EntityScanner.scan(this.minecraftBot, safetyConfig);
+        this.nearbyEntities = found;
+        this.scheduleLiveUpdate();
+        this.setThreat(found.length > 0
+            ? `${found.length} dangerous entity(s) nearby: ${found.map(e => e.name).join(', ')}`
+            : null, 'entities');
+
+        if (found.length === 0) return;
+        const entityList = found.map(EntityScanner.describe).join(', ');
+
+        if (safetyConfig.autoDisconnectOnEntities) {
+            const disconnecting = this.triggerSafetyDisconnect({
+                reason: `Dangerous entity(s) detected: ${found.map(e => `${e.name} (${e.distance}m)`).join(', ')}`,
+                type: 'entity',
+                entities: found.map(e => e.name)
+            });
+
+            if (disconnecting) {
+                this.sendSafetyAlert(
+                    '🚨 DANGER NEARBY - AUTO DISCONNECT',
+                    `**Dangerous entity(s) detected:**\n${entityList}\n\n**Action:** Bot automatically disconnected for safety!`,
+                    '#ff0000',
+                    true
+                );
+            }
+            return;
+        }
+
+        const now = Date.now();
+        if (now - this.lastEntityAlert < safetyConfig.alertCooldown) return;
+        this.lastEntityAlert = now;
+
+        this.sendSafetyAlert(
+            '⚠️ Dangerous Entity Nearby',
+            `**${found.length} dangerous entity(s) within range:**\n${entityList}`,
+            '#ff9900',
+            true
+        );
+    }
+
+    // Runs for every health drop, whether safety monitoring is enabled or not
+    async recordDamage() {
+        const bot = this.minecraftBot;
+        const amount = this.damageTracker.healthChanged(bot?.health);
+        if (!amount) return null;
+
+        await new Promise(resolve => setTimeout(resolve, DAMAGE_ATTRIBUTION_DELAY));
+        if (bot !== this.minecraftBot || !bot.entity) return null;
+
+        const hit = this.damageTracker.record(bot, amount);
+        const attacker = hit.attacker;
+        if (attacker?.type === 'player' && !this.controller.trustedPlayers.has(attacker.name)) {
+            this.controller.temporaryThreats.add(attacker.name, `Attacked ${bot.username}`, this.id);
+            // Let the next proximity check react right away instead of after the alert cooldown
+            this.lastProximityAlert = 0;
+        }
+        this.saveState();
+        return hit;
+    }
+
+    // hit is the attributed damage from recordDamage, when there is one
+    async checkHealth(hit = null) {
+        const safetyConfig = this.controller.safetyConfig;
+        if (!safetyConfig.enabled || !this.minecraftBot || this.minecraftBot.health === undefined) return;
+
+        this.lastHealth = this.currentHealth;
+        this.currentHealth = this.minecraftBot.health;
+
+        if (this.currentHealth < this.lastHealth) {
+            const damage = this.lastHealth - this.currentHealth;
+            const cause = hit ? `\n**Cause:** ${DamageTracker.describe(hit)}` : '';
+
+            if (this.currentHealth <= safetyConfig.autoDisconnectHealth) {
+                const disconnecting = this.triggerSafetyDisconnect({
+                    reason: `Critical health: ${this.currentHealth}/20 HP (took ${damage} damage${hit ? ` from ${DamageTracker.describe(hit).replace(/\*\*/g, '')}` : ''})`,
+                    type: 'health',
+                    health: this.currentHealth
+                }, 500);
+
+                if (disconnecting) {
+                    this.sendSafetyAlert(
+                        '🚨 CRITICAL HEALTH - AUTO DISCONNECT',
+                        `**You took ${damage} damage! Health: ${this.currentHealth}/20**${cause}\n\n**Action:** Bot automatically disconnected for safety!`,
+                        '#8B0000',
+                        true
+                    );
+                }
+                return;
+            }
+
+            this.sendSafetyAlert(
+                '🩸 Damage Taken',
+                `**You took ${damage} damage!**\nHealth decreased from ${this.lastHealth} to ${this.currentHealth}${cause}`,
+                '#ff0000',
+                true
+            );
+        }
+
+        const now = Date.now();
+        if (this.currentHealth <= safetyConfig.minHealth &&
+            now - this.lastHealthAlert > safetyConfig.alertCooldown) {
+
+            this.lastHealthAlert = now;
+            this.sendSafetyAlert(
+                '💀 Critical Health Alert',
+                `**DANGER: Health is critically low at ${this.currentHealth}/20!**\nConsider disconnecting immediately!`,
+                '#8B0000',
+                true
+            );
+        }
+    }
+
+    // Auto-eat and its out-of-food alert work on their own; the other alerts need safety monitoring enabled
+    async checkVitals() {
+        const bot = this.minecraftBot;
+        if (!this.isConnected || !bot || this.safetyDisconnectPending) return;
+
+        const safetyConfig = this.controller.safetyConfig;
+        const now = Date.now();
+
+        if (safetyConfig.autoEat) {
+            const wasOutOfFood = this.vitals.outOfFood;
+            try {
+                const result = await this.vitals.autoEat(bot, safetyConfig.autoEatThreshold);
+                if (result?.outOfFood && !wasOutOfFood) {
+                    this.sendSafetyAlert(
+                        '🍞 Out of Food',
+                        `**Food is at ${bot.food}/20 and there is no safe food left in the inventory!**\nThe bot will start starving once food reaches 0.`,
+                        '#ff9900',
+                        true
+                    );
+                }
+            } catch (error) {
+                console.error(`[${this.id}] Auto-eat failed:`, error.message);
+            }
+        }
+
+        const vitals = Vitals.read(this.minecraftBot);
+        if (!safetyConfig.enabled || !vitals) return;
+
+        if (vitals.food === 0 && now - this.lastHungerAlert > safetyConfig.alertCooldown) {
+            this.lastHungerAlert = now;
+            this.sendSafetyAlert(
+                '🍗 Starving',
+                `**Food is empty, so the bot is losing health!**\nHealth: ${this.currentHealth}/20`,
+                '#ff0000',
+                true
+            );
+        }
+
+        if (Vitals.isLowOxygen(vitals) && now - this.lastOxygenAlert > safetyConfig.alertCooldown) {
+            this.lastOxygenAlert = now;
+            this.sendSafetyAlert(
+                '🫧 Running Out of Air',
+                `**Oxygen is at ${vitals.oxygen}/20!**\nThe bot will start drowning when it runs out.`,
+                '#ff0000',
+                true
+            );
+        }
+
+        // Alert once per effect, when it is first applied
+        const harmful = vitals.effects.filter(effect => effect.harmful);
+        const newEffects = harmful.filter(effect => !this.harmfulEffects.has(effect.name));
+        this.harmfulEffects = new Set(harmful.map(effect => effect.name));
+        if (newEffects.length > 0) {
+            this.sendSafetyAlert(
+                '☠️ Harmful Effect',
+                `**The bot has ${newEffects.map(Vitals.formatEffect).join(', ')}**`,
+                '#ff9900',
+                true
+            );
+        }
+    }
+
+    // ========================================================================
+    // PRIVATE MESSAGES
+    // ========================================================================
+
+    // Private messages go to the inbox only: not to the shared bridge channel, and not to read-only dashboards
+    handleChatMessage(message, position) {
+        if (position === 'game_info') return;
+
+        const whisper = this.controller.whisperInbox.parse(message, this.minecraftBot?.username);
+        if (!whisper && this.controller.getBridgeSession() === this) {
+            this.controller.chatBridge.push(message);
+        }
+
+        this.publish('chat', { time: Date.now(), message }, whisper ? null : undefined);
+        if (whisper) {
+            this.handleWhisper(whisper.player, whisper.message);
+        }
+    }
+
+    handleWhisper(player, message) {
+        const entry = this.controller.whisperInbox.add(player, message, 'in', this.id);
+        this.saveState();
+        this.sendWhisperNotification(entry);
+    }
+
+    async sendWhisperNotification(entry) {
+        try {
+            if (!this.lastAuthUser) {
+                console.log('No authenticated user to send whisper notification to');
+                return;
+            }
+
+            const embed = new EmbedBuilder()
+                .setTitle(`✉️ Message from ${entry.player}`)
+                .setDescription(entry.message)
+                .setColor('#5865f2')
+                .addFields(
+                    { name: '👤 Account', value: `\`${this.minecraftBot?.username || this.id}\``, inline: true },
+                    { name: '🌍 World', value: `\`${this.currentWorld}\``, inline: true },
+                    { name: '⏰ Time', value: `<t:${Math.floor(entry.time / 1000)}:R>`, inline: true }
+                )
+                .setTimestamp()
+                .setFooter({ text: 'DonutAFK Inbox' });
+
+            const row = new ActionRowBuilder()
+                .addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(`inbox_reply:${this.id}:${entry.player}`)
+                        .setLabel('Reply')
+                        .setEmoji('↩️')
+                        .setStyle(ButtonStyle.Primary)
+                );
+
+            await this.lastAuthUser.send({
+                content: '✉️ **New private message**',
+                embeds: [embed],
+                components: [row]
+            });
+
+        } catch (error) {
+            try {
+                const channel = await this.controller.discordClient.channels.fetch(CONFIG.discord.channelId);
+                if (channel) {
+                    await channel.send({
+                        content: `⚠️ Failed to DM ${this.lastAuthUser?.tag || 'user'} - Private message from **${entry.player}**`,
+                        allowedMentions: { parse: [] }
+                    });
+                }
+            } catch (fallbackError) {
+                console.error('Failed to send whisper notification:', fallbackError);
+            }
+        }
+    }
+
+    // ========================================================================
+    // SHUTDOWN
+    // ========================================================================
+
+    shutdown() {
+        this.shouldJoin = false;
+        this.cancelReconnect();
+        this.onSpawnSequence.cancel();
+        this.antiAfk.stop();
+        this.stopSafetyChecks();
+        this.authFlow.clearExpiryTimer();
+        clearTimeout(this.liveUpdateTimer);
+        if (this.minecraftBot) {
+            this.minecraftBot.quit();
+        }
+    }
+}
+
+module.exports = { MinecraftSession };
@@ -0,0 +1,204 @@
+const MAX_STEPS = 20;
+const MAX_DELAY_SECONDS = 600;
+const MAX_WAIT_SECONDS = 300;
+const DEFAULT_WAIT_SECONDS = 30;
+const MINECRAFT_CHAT_LIMIT = 256;
+
+const STEP_ICONS = {
+    pending: '⏸️',
+    running: '⏳',
+    ok: '✅',
+    failed: '❌',
+    skipped: '⏭️'
+};
+
+class OnSpawnSequence {
+    constructor() {
+        this.steps = [];
+        this.lastRun = null;
+        this.runId = 0;
+    }
+
+    static validateSteps(steps) {
+        const errors = [];
+        const normalized = [];
+
+        if (!Array.isArray(steps)) {
+            return { errors: ['steps must be an array'], steps: [] };
+        }
+        if (steps.length > MAX_STEPS) {
+            errors.push(`A sequence can have at most ${MAX_STEPS} steps`);
+        }
+
+        steps.forEach((step, index) => {
+            const label = `Step ${index + 1}`;
+            if (!step || typeof step !== 'object') {
+                errors.push(`${label}: must be an object`);
+                return;
+            }
+
+            switch (step.type) {
+                case 'command': {
+                    const command = typeof step.command === 'string' ? step.command.replace(/\s+/g, ' ').trim() : '';
+                    if (!command || command.length > MINECRAFT_CHAT_LIMIT) {
+                        errors.push(`${label}: command must be 1-${MINECRAFT_CHAT_LIMIT} characters`);
+                        return;
+                    }
+                    normalized.push({ type: 'command', command });
+                    break;
+                }
+                case 'delay': {
+                    const seconds = Number(step.seconds);
+                    if (!Number.isFinite(seconds) || seconds <= 0 || seconds > MAX_DELAY_SECONDS) {
+                        errors.push(`${label}: seconds must be between 0 and ${MAX_DELAY_SECONDS}`);
+                        return;
+                    }
+                    normalized.push({ type: 'delay', seconds });
+                    break;
+                }
+                case 'wait': {
+                    const timeout = step.timeout === undefined ? DEFAULT_WAIT_SECONDS : Number(step.timeout);
+                    if (typeof step.pattern !== 'string' || !step.pattern) {
+                        errors.push(`${label}: pattern is required`);
+                        return;
+                    }
+                    try {
+                        new RegExp(step.pattern, 'i');
+                    } catch (error) {
+                        errors.push(`${label}: invalid pattern: ${error.message}`);
+                        return;
+                    }
+                    if (!Number.isFinite(timeout) || timeout <= 0 || timeout > MAX_WAIT_SECONDS) {
+                        errors.push(`${label}: timeout must be between 0 and ${MAX_WAIT_SECONDS}`);
+                        return;
+                    }
+                    normalized.push({ type: 'wait', pattern: step.pattern, timeout });
+                    break;
+                }
+                default:
+                    errors.push(`${label}: type must be "command", "delay" or "wait"`);
+            }
+        });
+
+        return { errors, steps: normalized };
+    }
+
+    static describeStep(step) {
+        switch (step.type) {
+            case 'command':
+                return `Send \`${step.command}\``;
+            case 'delay':
+                return `Wait ${step.seconds}s`;
+            case 'wait':
+                return `Wait for chat matching \`${step.pattern}\` (${step.timeout}s)`;
+            default:
+                return 'Unknown step';
+        }
+    }
+
+    setSteps(steps) {
+        const result = OnSpawnSequence.validateSteps(steps);
+        if (result.errors.length > 0) {
+            return { success: false, errors: result.errors };
+        }
+
+        this.steps = result.steps;
+        return { success: true, steps: [...this.steps] };
+    }
+
+    cancel() {
+        this.runId++;
+    }
+
+    async execute(minecraftBot, onProgress = () => {}) {
+        if (this.steps.length === 0) {
+            this.lastRun = null;
+            return;
+        }
+
+        const runId = ++this.runId;
+        const isCancelled = () => runId !== this.runId;
+
+        this.lastRun = {
+            startedAt: Date.now(),
+            finishedAt: null,
+            steps: this.steps.map(step => ({ label: OnSpawnSequence.describeStep(step), status: 'pending', detail: null }))
+        };
+        onProgress(this.lastRun);
+
+        for (let i = 0; i < this.steps.length; i++) {
+            if (isCancelled()) return;
+
+            const step = this.steps[i];
+            const status = this.lastRun.steps[i];
+            status.status = 'running';
+            onProgress(this.lastRun);
+
+            try {
+                await this.runStep(minecraftBot, step, isCancelled);
+                if (isCancelled()) return;
+                status.status = 'ok';
+            } catch (error) {
+                if (isCancelled()) return;
+                status.status = 'failed';
+                status.detail = error.message;
+                for (const remaining of this.lastRun.steps.slice(i + 1)) {
+                    remaining.status = 'skipped';
+                }
+                break;
+            } finally {
+                if (!isCancelled()) onProgress(this.lastRun);
+            }
+        }
+
+        this.lastRun.finishedAt = Date.now();
+        onProgress(this.lastRun);
+    }
+
+    runStep(minecraftBot, step, isCancelled) {
+        switch (step.type) {
+            case 'command':
+                if (!minecraftBot || isCancelled()) {
+                    return Promise.reject(new Error('Bot disconnected'));
+                }
+                minecraftBot.chat(step.command);
+                return Promise.resolve();
+
+            case 'delay':
+                return new Promise(resolve => setTimeout(resolve, step.seconds * 1000));
+
+            case 'wait':
+                return new Promise((resolve, reject) => {
+                    const regex = new RegExp(step.pattern, 'i');
+                    const listener = (message) => {
+                        if (regex.test(message)) {
+                            cleanup();
+                            resolve();
+                        }
+                    };
+                    const timer = setTimeout(() => {
+                        cleanup();
+                        reject(new Error(`No matching message within ${step.timeout}s`));
+                    }, step.timeout * 1000);
+                    const cleanup = () => {
+                        clearTimeout(timer);
+                        minecraftBot.removeListener('messagestr', listener);
+                    };
+
+                    minecraftBot.on('messagestr', listener);
+                });
+
+            default:
+                return Promise.reject(new Error(`Unknown step type: ${step.type}`));
+        }
+    }
+
+    formatLastRun() {
+        if (!this.lastRun) return null;
+        return this.lastRun.steps
+            .map((step, i) => `${STEP_ICONS[step.status]} ${i + 1}. ${step.label}${step.detail ? ` — ${step.detail}` : ''}`)
+            .join('\n');
+    }
+}
+
+module.exports = { OnSpawnSequence };
@@ -0,0 +1,69 @@
+const { PermissionFlagsBits } = require('discord.js');
+const { DISCORD_CAPABILITIES } = require('./config');
+
+// Capability needed per slash command; objects give per-subcommand overrides
+const COMMAND_CAPABILITIES = {
+    message: 'chat',
+    shards: 'chat',
+    status: 'view',
+    connect: 'connect',
+    disconnect: 'connect',
+    safety: { show: 'view', default: 'safety' },
+    trust: { list: 'view', default: 'lists' },
+    block: { list: 'view', default: 'lists' },
+    zones: { list: 'view', default: 'safety' },
+    escape: { show: 'view', default: 'safety' },
+    bridge: { show: 'view', default: 'chat' },
+    // Private messages are not for everyone who can view the status
+    inbox: 'chat',
+    onspawn: { list: 'view', default: 'connect' },
+    afk: { status: 'view', default: 'connect' },
+    audit: 'view',
+    serverinfo: 'view',
+    auth: { status: 'view', default: 'connect' }
+};
+
+class PermissionManager {
+    constructor(config) {
+        this.grants = new Map(config.grants.map(grant => [grant.id, PermissionManager.expand(grant.capabilities)]));
+        this.defaultCapabilities = PermissionManager.expand(config.defaultCapabilities);
+        this.adminBypass = config.adminBypass;
+    }
+
+    static expand(capabilities) {
+        return new Set(capabilities.includes('*') ? Object.keys(DISCORD_CAPABILITIES) : capabilities);
+    }
+
+    static describe(capability) {
+        return DISCORD_CAPABILITIES[capability] || capability;
+    }
+
+    static getCommandCapability(commandName, subcommand = null) {
+        const required = COMMAND_CAPABILITIES[commandName];
+        if (!required) return 'view';
+        if (typeof required === 'string') return required;
+        return required[subcommand] || required.default;
+    }
+
+    // member is a GuildMember (or null outside the guild); grants match the user ID or any role ID
+    getCapabilities(userId, member = null) {
+        if (this.adminBypass && member?.permissions?.has(PermissionFlagsBits.Administrator)) {
+            return new Set(Object.keys(DISCORD_CAPABILITIES));
+        }
+
+        const capabilities = new Set(this.defaultCapabilities);
+        const ids = [userId, ...(member?.roles?.cache?.keys() || [])];
+        for (const id of ids) {
+            for (const capability of this.grants.get(id) || []) {
+                capabilities.add(capability);
+            }
+        }
+        return capabilities;
+    }
+
+    has(userId, member, capability) {
+        return this.getCapabilities(userId, member).has(capability);
+    }
+}
+
+module.exports = { PermissionManager };
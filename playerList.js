@@ -0,0 +1,32 @@
+// ============================================================================
+// PLAYER LIST
+// ============================================================================
+// A Set of Minecraft usernames. Usernames are case-insensitive in game, so
+// names are stored in lower case and every lookup is lower-cased the same way.
+
+class PlayerList extends Set {
+    constructor(names = []) {
+        super();
+        for (const name of names) {
+            if (PlayerList.normalize(name)) this.add(name);
+        }
+    }
+
+    static normalize(name) {
+        return String(name ?? '').trim().toLowerCase();
+    }
+
+    add(name) {
+        return super.add(PlayerList.normalize(name));
+    }
+
+    has(name) {
+        return super.has(PlayerList.normalize(name));
+    }
+
+    delete(name) {
+        return super.delete(PlayerList.normalize(name));
+    }
+}
+
+module.exports = { PlayerList };
@@ -0,0 +1,95 @@
+const MINUTES_PER_DAY = 24 * 60;
+
+// ============================================================================
+// STRATEGIES
+// ============================================================================
+// A strategy only turns an attempt number into a base delay. Jitter and
+// quiet hours are applied by ReconnectPolicy on top of it.
+
+class ExponentialBackoff {
+    constructor(config) {
+        this.baseDelay = config.baseDelay;
+        this.maxDelay = config.maxDelay;
+    }
+
+    getDelay(attempt) {
+        return Math.min(this.maxDelay, this.baseDelay * 2 ** Math.max(attempt - 1, 0));
+    }
+}
+
+// The original behaviour: grows by baseDelay for the first five attempts, then stays flat
+class LinearBackoff {
+    constructor(config) {
+        this.baseDelay = config.baseDelay;
+        this.maxDelay = config.maxDelay;
+    }
+
+    getDelay(attempt) {
+        return Math.min(this.maxDelay, this.baseDelay * Math.min(Math.max(attempt, 1), 5));
+    }
+}
+
+const RECONNECT_STRATEGIES = {
+    exponential: ExponentialBackoff,
+    linear: LinearBackoff
+};
+
+// ============================================================================
+// POLICY
+// ============================================================================
+
+class ReconnectPolicy {
+    constructor(config) {
+        this.config = config;
+        const Strategy = RECONNECT_STRATEGIES[config.strategy] || ExponentialBackoff;
+        this.strategy = new Strategy(config);
+    }
+
+    describe() {
+        const { strategy, baseDelay, maxDelay, jitter, quietHours } = this.config;
+        const quiet = quietHours ? `, quiet hours ${quietHours.raw}` : '';
+        return `${strategy} backoff ${baseDelay / 1000}s-${maxDelay / 1000}s, ±${Math.round(jitter * 100)}% jitter${quiet}`;
+    }
+
+    // Spread around the delay, but never above maxDelay so the cap still holds
+    applyJitter(delay) {
+        const spread = delay * this.config.jitter;
+        const low = delay - spread;
+        const high = Math.min(delay + spread, this.config.maxDelay);
+        return Math.max(1000, Math.round(low + Math.random() * (high - low)));
+    }
+
+    isQuietTime(date) {
+        const { quietHours } = this.config;
+        if (!quietHours || quietHours.start === undefined) return false;
+
+        const minute = date.getHours() * 60 + date.getMinutes();
+        return quietHours.start < quietHours.end
+            ? minute >= quietHours.start && minute < quietHours.end
+            : minute >= quietHours.start || minute < quietHours.end;
+    }
+
+    getQuietHoursEnd(date) {
+        const minute = date.getHours() * 60 + date.getMinutes();
+        const minutesLeft = (this.config.quietHours.end - minute + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+        const end = new Date(date);
+        end.setSeconds(0, 0);
+        return new Date(end.getTime() + minutesLeft * 60000);
+    }
+
+    // Returns { delay, reason } where reason is "backoff" or "quiet_hours"
+    plan(attempt, now = new Date()) {
+        const delay = this.applyJitter(this.strategy.getDelay(attempt));
+        const at = new Date(now.getTime() + delay);
+
+        if (this.isQuietTime(at)) {
+            // Spread the first attempt after quiet hours a little, like any other attempt
+            const quietEnd = this.getQuietHoursEnd(at).getTime() - now.getTime();
+            return { delay: quietEnd + Math.round(Math.random() * this.config.baseDelay), reason: 'quiet_hours' };
+        }
+
+        return { delay, reason: 'backoff' };
+    }
+}
+
+module.exports = { ReconnectPolicy, RECONNECT_STRATEGIES };
@@ -0,0 +1,133 @@
+const mc = require('minecraft-protocol');
+const { DisconnectHistory } = require('./disconnectReasons');
+
+const PING_TIMEOUT = 5000;
+const MAX_MOTD_LENGTH = 200;
+
+// ============================================================================
+// SERVER MONITOR
+// ============================================================================
+// Server-list pings against the configured server, independent of whether any
+// account is logged in. Keeps a rolling history of samples for uptime, player
+// counts and latency, and tells the reconnect logic when the server is down.
+
+class ServerMonitor {
+    constructor(config, target) {
+        this.config = config;
+        this.target = target;
+        this.samples = [];
+        this.interval = null;
+        this.pending = null;
+    }
+
+    start() {
+        if (!this.config.enabled || this.interval) return;
+        this.probe();
+        this.interval = setInterval(() => this.probe(), this.config.interval);
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    get latest() {
+        return this.samples[this.samples.length - 1] || null;
+    }
+
+    // Pings now and records the sample; concurrent callers share one ping
+    probe() {
+        if (!this.pending) {
+            this.pending = this.ping()
+                .then((sample) => {
+                    this.samples.push(sample);
+                    if (this.samples.length > this.config.historySize) {
+                        this.samples.splice(0, this.samples.length - this.config.historySize);
+                    }
+                    return sample.online;
+                })
+                .finally(() => {
+                    this.pending = null;
+                });
+        }
+        return this.pending;
+    }
+
+    async ping() {
+        const time = Date.now();
+        try {
+            const response = await mc.ping({
+                host: this.target.host,
+                port: this.target.port,
+                closeTimeout: PING_TIMEOUT
+            });
+
+            // Pre-1.7 servers answer with a flat format
+            const players = response.players || { online: response.playerCount, max: response.maxPlayers };
+            const version = typeof response.version === 'object' ? response.version.name : response.version;
+            return {
+                time,
+                online: true,
+                latency: Number.isFinite(response.latency) ? response.latency : Date.now() - time,
+                players: {
+                    online: players.online ?? null,
+                    max: players.max ?? null,
+                    // Names the server chose to list; often a subset, and hidden entirely by some servers
+                    sample: Array.isArray(players.sample) ? players.sample.map(player => player.name).filter(Boolean) : null
+                },
+                version: version || null,
+                motd: DisconnectHistory.flatten(response.description ?? response.motd).replace(/\s+/g, ' ').trim().substring(0, MAX_MOTD_LENGTH)
+            };
+        } catch (error) {
+            return { time, online: false, error: error.code || error.message };
+        }
+    }
+
+    // Only trust a recent sample; an old one says nothing about the server right now
+    isKnownOffline() {
+        const latest = this.latest;
+        return !!latest && !latest.online && Date.now() - latest.time < this.config.interval * 2;
+    }
+
+    // Time of the first sample in the current online/offline run
+    getStateSince() {
+        const latest = this.latest;
+        if (!latest) return null;
+
+        let since = latest.time;
+        for (let i = this.samples.length - 1; i >= 0 && this.samples[i].online === latest.online; i--) {
+            since = this.samples[i].time;
+        }
+        return since;
+    }
+
+    getUptime() {
+        if (this.samples.length === 0) return null;
+        const online = this.samples.filter(s => s.online).length;
+        return {
+            percent: Math.round((online / this.samples.length) * 1000) / 10,
+            since: this.samples[0].time,
+            samples: this.samples.length
+        };
+    }
+
+    getSummary() {
+        return {
+            host: this.target.host,
+            port: this.target.port,
+            enabled: this.config.enabled,
+            interval: this.config.interval,
+            latest: this.latest,
+            stateSince: this.getStateSince(),
+            uptime: this.getUptime()
+        };
+    }
+
+    getHistory(limit) {
+        return this.samples.slice(-limit);
+    }
+}
+
+module.exports = { ServerMonitor };
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+
+const STATE_VERSION = 6;
+
+// Player names match case-insensitively, so the lists are kept in lower case
+const lowerCaseNames = (names) => Array.isArray(names)
+    ? Array.from(new Set(names.map(name => String(name).trim().toLowerCase()).filter(Boolean)))
+    : names;
+
+// Each migration upgrades a state object from version (key - 1) to version key.
+const MIGRATIONS = {
+    1: (state) => ({
+        ...state,
+        safetyConfig: state.safetyConfig || {},
+        trustedPlayers: Array.isArray(state.trustedPlayers) ? state.trustedPlayers : null,
+        blockedPlayers: Array.isArray(state.blockedPlayers) ? state.blockedPlayers : null,
+        controlMessage: state.controlMessage || null,
+        lastSafetyDisconnect: state.lastSafetyDisconnect || null,
+        reconnectAttempts: Number.isInteger(state.reconnectAttempts) ? state.reconnectAttempts : 0
+    }),
+    2: (state) => ({
+        ...state,
+        chatBridge: state.chatBridge || null
+    }),
+    3: (state) => ({
+        ...state,
+        inbox: state.inbox || null
+    }),
+    4: (state) => ({
+        ...state,
+        onSpawnSteps: Array.isArray(state.onSpawnSteps) ? state.onSpawnSteps : []
+    }),
+    // Per-account fields move under accounts.<id>; single-account installs used the "main" id
+    5: (state) => {
+        const { controlMessage, lastSafetyDisconnect, reconnectAttempts, onSpawnSteps, ...rest } = state;
+        return {
+            ...rest,
+            accounts: state.accounts || {
+                main: { controlMessage, lastSafetyDisconnect, reconnectAttempts, onSpawnSteps }
+            }
+        };
+    },
+    6: (state) => ({
+        ...state,
+        trustedPlayers: lowerCaseNames(state.trustedPlayers),
+        blockedPlayers: lowerCaseNames(state.blockedPlayers)
+    })
+};
+
+class StateStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.tempPath = `${filePath}.tmp`;
+        this.data = StateStore.migrate({});
+        this.writeQueue = Promise.resolve();
+        this.queuedSave = null;
+    }
+
+    static migrate(state) {
+        let migrated = { ...state };
+        let version = Number.isInteger(migrated.version) ? migrated.version : 0;
+
+        if (version > STATE_VERSION) {
+            throw new Error(`State file version ${version} is newer than supported version ${STATE_VERSION}`);
+        }
+
+        while (version < STATE_VERSION) {
+            version++;
+            migrated = MIGRATIONS[version](migrated);
+        }
+
+        migrated.version = STATE_VERSION;
+        return migrated;
+    }
+
+    async load() {
+        let raw;
+        try {
+            raw = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.data = StateStore.migrate({});
+                return this.data;
+            }
+            throw error;
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(raw);
+        } catch (error) {
+            const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+            await fs.promises.rename(this.filePath, backupPath);
+            console.error(`State file was corrupt, moved to ${backupPath}`);
+            this.data = StateStore.migrate({});
+            return this.data;
+        }
+
+        const previousVersion = parsed.version;
+        this.data = StateStore.migrate(parsed);
+
+        if (previousVersion !== this.data.version) {
+            await this.save();
+        }
+
+        return this.data;
+    }
+
+    update(patch) {
+        Object.assign(this.data, patch);
+        return this.save();
+    }
+
+    save() {
+        // Saves requested while a write is in flight coalesce into one follow-up write
+        if (!this.queuedSave) {
+            this.queuedSave = this.writeQueue.then(() => {
+                this.queuedSave = null;
+                return this.write();
+            });
+            this.writeQueue = this.queuedSave.catch(() => {});
+        }
+        return this.queuedSave;
+    }
+
+    async write() {
+        const contents = JSON.stringify(this.data, null, 2);
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(this.tempPath, contents, 'utf8');
+        await fs.promises.rename(this.tempPath, this.filePath);
+    }
+}
+
+module.exports = { StateStore, STATE_VERSION };
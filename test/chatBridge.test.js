@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatBridge } = require('../chatBridge');
+
+function createBridge(send) {
+    const channel = { send };
+    const bridge = new ChatBridge({ channels: { fetch: async () => channel } });
+    bridge.config = { ...bridge.config, enabled: true, channelId: '123456789012345678' };
+    return bridge;
+}
+
+test('only delivered lines count as relayed', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    let fail = false;
+    const bridge = createBridge(async () => {
+        if (fail) throw new Error('Missing Access');
+    });
+
+    bridge.push('<Steve> hello');
+    bridge.push('<Alex> hi');
+    await bridge.flush();
+    assert.equal(bridge.relayedCount, 2);
+
+    fail = true;
+    bridge.push('<Steve> lost');
+    await bridge.flush();
+    assert.equal(bridge.relayedCount, 2);
+});
+
+test('the dropped-messages notice does not count as relayed', async () => {
+    const sent = [];
+    const bridge = createBridge(async (payload) => sent.push(payload.content));
+
+    for (let i = 0; i < 205; i++) bridge.push(`<Steve> message ${i}`);
+    await bridge.flush();
+
+    assert.match(sent[0], /5 message\(s\) dropped/);
+    assert.equal(bridge.relayedCount, 200);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DisconnectHistory } = require('../disconnectReasons');
+
+test('chat components, JSON strings and colour codes flatten to plain text', () => {
+    assert.equal(DisconnectHistory.flatten('§cServer §lrestarting'), 'Server restarting');
+    assert.equal(DisconnectHistory.flatten('{"text":"Hello ","extra":[{"text":"world"}]}'), 'Hello world');
+    assert.equal(DisconnectHistory.flatten({ translate: 'multiplayer.disconnect.banned.reason', with: ['cheating'] }), 'You are banned from this server. Reason: cheating');
+});
+
+test('NBT compounds flatten like chat components', () => {
+    const nbt = { type: 'compound', value: { text: { type: 'string', value: 'Server closed' } } };
+    assert.equal(DisconnectHistory.flatten(nbt), 'Server closed');
+});
+
+test('reasons are categorised, with the specific causes first', () => {
+    assert.equal(DisconnectHistory.categorize('You are banned from this server', 'kicked'), 'banned');
+    assert.equal(DisconnectHistory.categorize('You logged in from another location', 'kicked'), 'duplicate_login');
+    assert.equal(DisconnectHistory.categorize('Server is restarting', 'kicked'), 'server_restart');
+    assert.equal(DisconnectHistory.categorize('ECONNREFUSED: connect failed', 'error'), 'network_error');
+    assert.equal(DisconnectHistory.categorize('Go away', 'kicked'), 'kicked');
+    assert.equal(DisconnectHistory.categorize('', 'end'), 'unknown');
+});
+
+test('bans, duplicate logins and safety disconnects stop reconnecting', () => {
+    const history = new DisconnectHistory();
+    assert.equal(DisconnectHistory.shouldRetry(history.record('kicked', 'You are banned')), false);
+    assert.equal(DisconnectHistory.shouldRetry(history.record('kicked', 'anything', 'safety')), false);
+    assert.equal(DisconnectHistory.shouldRetry(history.record('end', 'socket closed')), true);
+    assert.equal(history.last.category, 'network_error');
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EntityScanner } = require('../entityScanner');
+
+const vec = (x, y, z) => ({ x, y, z, distanceTo: (other) => Math.hypot(x - other.x, y - other.y, z - other.z) });
+const radii = { hostileMobRadius: 6, tntRadius: 10, endCrystalRadius: 10, projectileRadius: 8 };
+
+test('entities are grouped by name, type and speed', () => {
+    assert.equal(EntityScanner.classify({ name: 'tnt' }), 'tnt');
+    assert.equal(EntityScanner.classify({ name: 'ender_crystal' }), 'endCrystal');
+    assert.equal(EntityScanner.classify({ name: 'arrow', velocity: { x: 1, y: 0, z: 0 } }), 'projectile');
+    assert.equal(EntityScanner.classify({ name: 'arrow', velocity: { x: 0, y: 0, z: 0 } }), null);
+    assert.equal(EntityScanner.classify({ name: 'zombie', type: 'hostile' }), 'hostile');
+    assert.equal(EntityScanner.classify({ name: 'skeleton', kind: 'Hostile mobs' }), 'hostile');
+    assert.equal(EntityScanner.classify({ name: 'cow', type: 'animal' }), null);
+});
+
+test('scan keeps dangerous entities within their group radius, nearest first', () => {
+    const self = { position: vec(0, 64, 0) };
+    const bot = {
+        entity: self,
+        entities: {
+            0: self,
+            1: { id: 1, name: 'zombie', displayName: 'Zombie', type: 'hostile', position: vec(5, 64, 0) },
+            2: { id: 2, name: 'zombie', displayName: 'Zombie', type: 'hostile', position: vec(7, 64, 0) },
+            3: { id: 3, name: 'tnt', displayName: 'Primed TNT', position: vec(3, 64, 0) },
+            4: { id: 4, name: 'player', type: 'player', position: vec(1, 64, 0) }
+        }
+    };
+
+    assert.deepEqual(EntityScanner.scan(bot, radii).map(found => [found.id, found.group, found.distance]), [[3, 'tnt', 3], [1, 'hostile', 5]]);
+    assert.deepEqual(EntityScanner.scan(bot, { ...radii, tntRadius: 0 }).map(found => found.id), [1]);
+});
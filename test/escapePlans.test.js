@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EscapePlans, ESCAPE_THREAT_TYPES } = require('../escapePlans');
+
+test('every threat type starts with a plain disconnect', () => {
+    const plans = new EscapePlans();
+    for (const type of Object.keys(ESCAPE_THREAT_TYPES)) {
+        assert.deepEqual(plans.get(type), { commands: [], recheckDelay: 5000, rejoinAfter: 0 });
+    }
+    assert.equal(EscapePlans.describe(plans.get('threat')), 'Disconnect');
+});
+
+test('set only changes the fields it is given', () => {
+    const plans = new EscapePlans();
+    plans.set('threat', { commands: [' /home ', '/spawn'], recheckDelay: 3000 });
+    const result = plans.set('threat', { rejoinAfter: 600000 });
+
+    assert.ok(result.success);
+    assert.deepEqual(result.plan, { commands: ['/home', '/spawn'], recheckDelay: 3000, rejoinAfter: 600000 });
+    assert.equal(EscapePlans.describe(result.plan), '`/home` → `/spawn` (recheck after 3s) → disconnect, rejoin after 10 min');
+});
+
+test('invalid plans are refused and leave the old plan in place', () => {
+    const plans = new EscapePlans();
+    assert.equal(plans.set('threat', { commands: ['/a', '/b', '/c', '/d', '/e', '/f'] }).success, false);
+    assert.equal(plans.set('threat', { commands: [''] }).success, false);
+    assert.equal(plans.set('threat', { recheckDelay: 500 }).success, false);
+    assert.equal(plans.set('threat', { recheckDelay: 1500.5 }).success, false);
+    assert.equal(plans.set('threat', { rejoinAfter: -1 }).success, false);
+    assert.equal(plans.set('lava', {}).success, false);
+    assert.deepEqual(plans.get('threat').commands, []);
+});
+
+test('loading saved plans skips unknown types and reports invalid ones', () => {
+    const plans = new EscapePlans();
+    const errors = plans.load({
+        health: { commands: ['/spawn'], recheckDelay: 2000, rejoinAfter: 0 },
+        entity: { recheckDelay: 'soon' },
+        removed_type: { commands: ['/home'] }
+    });
+
+    assert.deepEqual(plans.get('health').commands, ['/spawn']);
+    assert.deepEqual(plans.get('entity').commands, []);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^entity:/);
+});
+
+test('audit details keep the threat type out of the entry type', () => {
+    assert.deepEqual(EscapePlans.auditDetails({ type: 'threat', reason: 'x' }), { threat: 'threat', reason: 'x' });
+});
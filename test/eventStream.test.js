@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventStream } = require('../eventStream');
+const { MinecraftSession } = require('../minecraftSession');
+const { WhisperInbox } = require('../whisperInbox');
+
+function addClient(stream, includeSensitive) {
+    const events = [];
+    const res = {
+        writeHead() {},
+        write: chunk => {
+            const data = /^data: (.*)$/m.exec(chunk);
+            if (data) events.push(JSON.parse(data[1]));
+        }
+    };
+    stream.addClient({ on() {} }, res, { account: 'main', includeSensitive });
+    return events;
+}
+
+test('read-only clients get the redacted copy, or nothing when there is none', () => {
+    const stream = new EventStream();
+    const full = addClient(stream, true);
+    const readOnly = addClient(stream, false);
+
+    stream.publish('status', { secret: 1 }, { account: 'main', redacted: { secret: null } });
+    stream.publish('inbox', { message: 'hi' }, { account: 'main', redacted: null });
+    stream.publish('chat', { message: 'public' }, { account: 'main' });
+    stream.publish('chat', { message: 'other account' }, { account: 'alt' });
+
+    assert.deepEqual(full, [{ secret: 1 }, { message: 'hi' }, { message: 'public' }]);
+    assert.deepEqual(readOnly, [{ secret: null }, { message: 'public' }]);
+});
+
+test('whispers in game chat reach full clients only', () => {
+    const stream = new EventStream();
+    const full = addClient(stream, true);
+    const readOnly = addClient(stream, false);
+    const controller = {
+        eventStream: stream,
+        whisperInbox: new WhisperInbox(),
+        chatBridge: { push() {} },
+        getBridgeSession: () => null,
+        saveState() {}
+    };
+    const session = new MinecraftSession(controller, { id: 'main' });
+    session.minecraftBot = { username: 'Bot' };
+    session.sendWhisperNotification = () => {};
+
+    session.handleChatMessage('<Steve> hello', 'chat');
+    session.handleChatMessage('[Alex -> you] secret base is at 100 64 100', 'chat');
+
+    assert.deepEqual(full.map(event => event.message), ['<Steve> hello', '[Alex -> you] secret base is at 100 64 100']);
+    assert.deepEqual(readOnly.map(event => event.message), ['<Steve> hello']);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Metrics } = require('../metrics');
+
+test('counters render with HELP, TYPE and one line per label set', () => {
+    const metrics = new Metrics();
+    metrics.inc('safety_disconnects_total', { account: 'main', type: 'threat' });
+    metrics.inc('safety_disconnects_total', { account: 'main', type: 'threat' });
+    metrics.inc('safety_disconnects_total', { account: 'alt', type: 'health' });
+
+    const output = metrics.render();
+    assert.match(output, /# TYPE donutafk_safety_disconnects_total counter/);
+    assert.match(output, /donutafk_safety_disconnects_total\{account="main",type="threat"\} 2\n/);
+    assert.match(output, /donutafk_safety_disconnects_total\{account="alt",type="health"\} 1\n/);
+});
+
+test('gauges skip null samples and format booleans and infinity', () => {
+    const output = new Metrics().render([{
+        name: 'connected',
+        help: 'Connected',
+        type: 'gauge',
+        samples: [
+            { labels: { account: 'main' }, value: true },
+            { labels: { account: 'alt' }, value: null },
+            { labels: { account: 'x' }, value: Infinity }
+        ]
+    }]);
+
+    assert.match(output, /donutafk_connected\{account="main"\} 1\n/);
+    assert.doesNotMatch(output, /account="alt"/);
+    assert.match(output, /donutafk_connected\{account="x"\} \+Inf\n/);
+});
+
+test('label values are escaped', () => {
+    assert.equal(Metrics.formatLabels({ reason: 'say "hi"\\\n' }), '{reason="say \\"hi\\"\\\\\\n"}');
+});
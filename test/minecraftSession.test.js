@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MinecraftSession } = require('../minecraftSession');
+const { WhisperInbox } = require('../whisperInbox');
+
+const vec = (x, y, z) => ({ x, y, z, distanceTo: (other) => Math.hypot(x - other.x, y - other.y, z - other.z) });
+
+function createSession() {
+    const bridged = [];
+    const published = [];
+    const controller = {
+        whisperInbox: new WhisperInbox(),
+        chatBridge: { push: message => bridged.push(message) },
+        getBridgeSession: () => session,
+        saveState() {}
+    };
+    const session = new MinecraftSession(controller, { id: 'main' });
+    session.minecraftBot = { username: 'Bot' };
+    session.publish = (type, data, redacted) => published.push({ type, data, redacted });
+    session.sendWhisperNotification = () => {};
+    return { session, controller, bridged, published };
+}
+
+test('public chat goes to the bridge', () => {
+    const { session, bridged, published } = createSession();
+    session.handleChatMessage('<Steve> hello', 'chat');
+
+    assert.deepEqual(bridged, ['<Steve> hello']);
+    assert.equal(published[0].redacted, undefined);
+});
+
+test('whispers never reach the bridge', () => {
+    const { session, controller, bridged, published } = createSession();
+    session.handleChatMessage('[Steve -> you] meet me at spawn', 'chat');
+    session.handleChatMessage('Alex whispers to you: secret base is at 100 64 100', 'chat');
+
+    assert.deepEqual(bridged, []);
+    assert.ok(published.every(event => event.redacted === null));
+    assert.deepEqual(controller.whisperInbox.entries.map(entry => entry.player), ['Steve', 'Alex']);
+});
+
+test('action bar messages are ignored', () => {
+    const { session, bridged, published } = createSession();
+    session.handleChatMessage('Balance: $100', 'game_info');
+
+    assert.deepEqual(bridged, []);
+    assert.deepEqual(published, []);
+});
+
+test('entity moves scan at most once per second', (t) => {
+    const session = new MinecraftSession({ safetyConfig: { enabled: true, hostileMobRadius: 6 } }, { id: 'main' });
+    const zombie = { id: 1, name: 'zombie', type: 'hostile', position: vec(3, 64, 0) };
+    session.minecraftBot = { entity: { position: vec(0, 64, 0) } };
+    let scans = 0;
+    session.checkEntityThreats = () => {
+        scans++;
+        session.lastEntityScan = Date.now();
+    };
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 60000 });
+
+    for (let i = 0; i < 20; i++) session.checkEntity(zombie);
+    assert.equal(scans, 1);
+
+    t.mock.timers.tick(1000);
+    assert.equal(scans, 2);
+    session.stopSafetyChecks();
+});
+
+test('entity checks are off until a radius is set', () => {
+    const session = new MinecraftSession({ safetyConfig: { enabled: true, hostileMobRadius: 0 } }, { id: 'main' });
+    session.minecraftBot = { entity: { position: vec(0, 64, 0) } };
+    let scans = 0;
+    session.checkEntityThreats = () => scans++;
+
+    session.checkEntity({ id: 1, name: 'zombie', type: 'hostile', position: vec(1, 64, 0) });
+    assert.equal(scans, 0);
+});
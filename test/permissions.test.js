@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PermissionFlagsBits } = require('discord.js');
+const { PermissionManager } = require('../permissions');
+
+const ROLE_ID = '111111111111111111';
+const USER_ID = '222222222222222222';
+
+const member = (roleIds = [], admin = false) => ({
+    roles: { cache: new Map(roleIds.map(id => [id, {}])) },
+    permissions: { has: flag => admin && flag === PermissionFlagsBits.Administrator }
+});
+
+test('members without a grant can only view', () => {
+    const permissions = new PermissionManager({ grants: [], defaultCapabilities: ['view'], adminBypass: true });
+
+    assert.ok(permissions.has(USER_ID, member(), 'view'));
+    for (const capability of ['connect', 'chat', 'safety', 'lists']) {
+        assert.ok(!permissions.has(USER_ID, member(), capability), capability);
+    }
+    assert.ok(!permissions.has(USER_ID, null, 'connect'));
+});
+
+test('grants match role and user IDs', () => {
+    const permissions = new PermissionManager({
+        grants: [{ id: ROLE_ID, capabilities: ['connect', 'chat'] }, { id: USER_ID, capabilities: ['*'] }],
+        defaultCapabilities: ['view'],
+        adminBypass: false
+    });
+
+    assert.deepEqual([...permissions.getCapabilities('333333333333333333', member([ROLE_ID]))].sort(), ['chat', 'connect', 'view']);
+    assert.ok(permissions.has(USER_ID, null, 'safety'));
+});
+
+test('administrators bypass grants only when allowed', () => {
+    const withBypass = new PermissionManager({ grants: [], defaultCapabilities: [], adminBypass: true });
+    const withoutBypass = new PermissionManager({ grants: [], defaultCapabilities: [], adminBypass: false });
+
+    assert.ok(withBypass.has(USER_ID, member([], true), 'safety'));
+    assert.ok(!withoutBypass.has(USER_ID, member([], true), 'safety'));
+});
+
+test('commands map to capabilities, with per-subcommand overrides', () => {
+    assert.equal(PermissionManager.getCommandCapability('connect'), 'connect');
+    assert.equal(PermissionManager.getCommandCapability('safety', 'show'), 'view');
+    assert.equal(PermissionManager.getCommandCapability('safety', 'entities'), 'safety');
+    assert.equal(PermissionManager.getCommandCapability('block', 'add'), 'lists');
+    assert.equal(PermissionManager.getCommandCapability('inbox', 'list'), 'chat');
+    assert.equal(PermissionManager.getCommandCapability('unknown'), 'view');
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PlayerList } = require('../playerList');
+const { StateStore } = require('../stateStore');
+
+test('names match regardless of case', () => {
+    const list = new PlayerList(['notch']);
+    assert.ok(list.has('Notch'));
+    assert.ok(list.has('NOTCH'));
+    assert.ok(!list.has('Notch2'));
+});
+
+test('names are stored trimmed and in lower case, without duplicates', () => {
+    const list = new PlayerList([' Alice ', 'alice', 'BOB', '']);
+    assert.deepEqual(Array.from(list), ['alice', 'bob']);
+    assert.equal(list.size, 2);
+});
+
+test('add and delete ignore case', () => {
+    const list = new PlayerList();
+    list.add('Steve');
+    assert.ok(list.has('steve'));
+    assert.ok(list.delete('STEVE'));
+    assert.equal(list.size, 0);
+});
+
+test('Bedrock names keep their prefix', () => {
+    const list = new PlayerList(['.BedrockPlayer']);
+    assert.ok(list.has('.bedrockplayer'));
+    assert.ok(!list.has('bedrockplayer'));
+});
+
+test('saved lists are lower-cased when the state file is migrated', () => {
+    const state = StateStore.migrate({ version: 5, trustedPlayers: ['Alice', 'alice', 'Bob'], blockedPlayers: ['Notch'], accounts: {} });
+    assert.deepEqual(state.trustedPlayers, ['alice', 'bob']);
+    assert.deepEqual(state.blockedPlayers, ['notch']);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ReconnectPolicy } = require('../reconnectPolicy');
+
+const config = (overrides = {}) => ({
+    strategy: 'exponential',
+    baseDelay: 10000,
+    maxDelay: 60000,
+    jitter: 0.5,
+    quietHours: null,
+    ...overrides
+});
+
+test('exponential backoff doubles per attempt up to maxDelay', () => {
+    const policy = new ReconnectPolicy(config());
+    assert.deepEqual([1, 2, 3, 4, 5].map(attempt => policy.strategy.getDelay(attempt)), [10000, 20000, 40000, 60000, 60000]);
+});
+
+test('linear backoff stops growing after five attempts', () => {
+    const policy = new ReconnectPolicy(config({ strategy: 'linear', maxDelay: 100000 }));
+    assert.deepEqual([1, 5, 6, 10].map(attempt => policy.strategy.getDelay(attempt)), [10000, 50000, 50000, 50000]);
+});
+
+test('jitter spreads the delay both ways', (t) => {
+    const policy = new ReconnectPolicy(config());
+    t.mock.method(Math, 'random', () => 0);
+    assert.equal(policy.applyJitter(20000), 10000);
+    Math.random.mock.mockImplementation(() => 1);
+    assert.equal(policy.applyJitter(20000), 30000);
+});
+
+test('jitter never goes above maxDelay or below one second', (t) => {
+    const policy = new ReconnectPolicy(config({ jitter: 1 }));
+    t.mock.method(Math, 'random', () => 1);
+    assert.equal(policy.applyJitter(60000), 60000);
+    Math.random.mock.mockImplementation(() => 0);
+    assert.equal(policy.applyJitter(500), 1000);
+});
+
+test('quiet hours can wrap around midnight', () => {
+    const policy = new ReconnectPolicy(config({ quietHours: { raw: '22:00-06:00', start: 22 * 60, end: 6 * 60 } }));
+    assert.ok(policy.isQuietTime(new Date(2026, 0, 1, 23, 30)));
+    assert.ok(policy.isQuietTime(new Date(2026, 0, 2, 5, 59)));
+    assert.ok(!policy.isQuietTime(new Date(2026, 0, 2, 6, 0)));
+    assert.ok(!policy.isQuietTime(new Date(2026, 0, 1, 21, 59)));
+});
+
+test('quiet hours within one day', () => {
+    const policy = new ReconnectPolicy(config({ quietHours: { raw: '02:00-04:00', start: 2 * 60, end: 4 * 60 } }));
+    assert.ok(policy.isQuietTime(new Date(2026, 0, 1, 3, 0)));
+    assert.ok(!policy.isQuietTime(new Date(2026, 0, 1, 4, 0)));
+});
+
+test('an attempt that would land in quiet hours waits for them to end', (t) => {
+    const policy = new ReconnectPolicy(config({ quietHours: { raw: '22:00-06:00', start: 22 * 60, end: 6 * 60 } }));
+    t.mock.method(Math, 'random', () => 0);
+    const now = new Date(2026, 0, 1, 23, 0);
+
+    const { delay, reason } = policy.plan(1, now);
+    assert.equal(reason, 'quiet_hours');
+    assert.equal(new Date(now.getTime() + delay).getTime(), new Date(2026, 0, 2, 6, 0).getTime());
+});
+
+test('outside quiet hours the plan is plain backoff', (t) => {
+    const policy = new ReconnectPolicy(config({ jitter: 0, quietHours: { raw: '22:00-06:00', start: 22 * 60, end: 6 * 60 } }));
+    t.mock.method(Math, 'random', () => 0.5);
+    assert.deepEqual(policy.plan(2, new Date(2026, 0, 1, 12, 0)), { delay: 20000, reason: 'backoff' });
+});
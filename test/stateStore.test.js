@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { StateStore, STATE_VERSION } = require('../stateStore');
+
+test('a missing state file migrates to the current version with defaults', () => {
+    const state = StateStore.migrate({});
+    assert.equal(state.version, STATE_VERSION);
+    assert.deepEqual(state.safetyConfig, {});
+    assert.equal(state.trustedPlayers, null);
+    assert.equal(state.blockedPlayers, null);
+    assert.equal(state.chatBridge, null);
+    assert.equal(state.inbox, null);
+});
+
+test('a version 1 file moves per-account fields under accounts.main', () => {
+    const state = StateStore.migrate({
+        version: 1,
+        safetyConfig: { enabled: true },
+        trustedPlayers: ['Alice'],
+        blockedPlayers: [],
+        controlMessage: { channelId: '1', messageId: '2' },
+        lastSafetyDisconnect: { time: 1, reason: 'test' },
+        reconnectAttempts: 3
+    });
+
+    assert.equal(state.version, STATE_VERSION);
+    assert.deepEqual(state.safetyConfig, { enabled: true });
+    assert.deepEqual(state.accounts, {
+        main: {
+            controlMessage: { channelId: '1', messageId: '2' },
+            lastSafetyDisconnect: { time: 1, reason: 'test' },
+            reconnectAttempts: 3,
+            onSpawnSteps: []
+        }
+    });
+    assert.equal(state.controlMessage, undefined);
+    assert.equal(state.reconnectAttempts, undefined);
+});
+
+test('a version 4 file keeps its on-spawn steps for the main account', () => {
+    const steps = [{ type: 'command', command: '/home' }];
+    const state = StateStore.migrate({ version: 4, onSpawnSteps: steps, reconnectAttempts: 0 });
+    assert.deepEqual(state.accounts.main.onSpawnSteps, steps);
+});
+
+test('a version 5 file keeps its accounts', () => {
+    const accounts = { main: { reconnectAttempts: 1 }, alt: { reconnectAttempts: 2 } };
+    const state = StateStore.migrate({ version: 5, accounts });
+    assert.deepEqual(state.accounts, accounts);
+});
+
+test('invalid field types are replaced by defaults', () => {
+    const state = StateStore.migrate({ trustedPlayers: 'Alice', reconnectAttempts: 'three' });
+    assert.equal(state.trustedPlayers, null);
+    assert.equal(state.accounts.main.reconnectAttempts, 0);
+});
+
+test('a state file from a newer version is refused', () => {
+    assert.throws(() => StateStore.migrate({ version: STATE_VERSION + 1 }), /newer than supported/);
+});
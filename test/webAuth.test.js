@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const express = require('express');
+const { WebAuth } = require('../webAuth');
+
+const BASE_CONFIG = {
+    disabled: false,
+    apiTokens: [
+        { name: 'admin', token: 'full-token', scope: 'full' },
+        { name: 'viewer', token: 'read-token', scope: 'read' }
+    ],
+    password: null,
+    sessionTtl: 60 * 60 * 1000,
+    generatedTokenFile: null,
+    discordOAuth: { clientId: null, clientSecret: null, redirectUri: null, guildId: null, fullRoleIds: [], readRoleIds: [] }
+};
+
+async function startServer(t, config = {}) {
+    const auth = new WebAuth({ ...BASE_CONFIG, ...config }, null);
+    const app = express();
+    app.use(express.json());
+    app.use(auth.middleware());
+    auth.setupRoutes(app);
+    app.get('/status', (req, res) => res.json({ success: true }));
+    app.post('/connect', (req, res) => res.json({ success: true }));
+
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const request = (path, { token, cookie, method = 'GET', body } = {}) => fetch(url + path, {
+        method,
+        redirect: 'manual',
+        headers: {
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...(cookie ? { Cookie: cookie } : {}),
+            ...(body ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { auth, request };
+}
+
+test('a missing or wrong token gets 401', async (t) => {
+    const { request } = await startServer(t);
+
+    assert.equal((await request('/status')).status, 401);
+    assert.equal((await request('/status', { token: 'wrong-token' })).status, 401);
+    assert.equal((await request('/connect', { method: 'POST', token: 'full-token-but-longer' })).status, 401);
+    assert.equal((await request('/status', { token: 'full-token' })).status, 200);
+});
+
+test('browsers without credentials are sent to the login page', async (t) => {
+    const { request } = await startServer(t);
+    const response = await request('/');
+
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.get('location'), '/login.html');
+});
+
+test('read-only tokens and sessions can view but get 403 on mutating routes', async (t) => {
+    const { request } = await startServer(t);
+
+    assert.equal((await request('/status', { token: 'read-token' })).status, 200);
+    assert.equal((await request('/connect', { method: 'POST', token: 'read-token' })).status, 403);
+
+    const login = await request('/auth/login', { method: 'POST', body: { secret: 'read-token' } });
+    assert.equal(login.status, 200);
+    const cookie = login.headers.get('set-cookie').split(';')[0];
+
+    assert.equal((await request('/status', { cookie })).status, 200);
+    assert.equal((await request('/connect', { method: 'POST', cookie })).status, 403);
+    assert.equal((await request('/connect', { method: 'POST', token: 'full-token' })).status, 200);
+});
+
+test('undecodable cookies are ignored', async (t) => {
+    const { request } = await startServer(t);
+    const response = await request('/status', { cookie: 'other_app=%E0%A4%A; donutafk_session=unknown' });
+
+    assert.equal(response.status, 401);
+});
+
+test('logins are locked after too many failures', async (t) => {
+    const { request } = await startServer(t);
+
+    for (let i = 0; i < 10; i++) {
+        assert.equal((await request('/auth/login', { method: 'POST', body: { secret: 'guess' } })).status, 401);
+    }
+    // Even the right secret is refused until the window is over
+    assert.equal((await request('/auth/login', { method: 'POST', body: { secret: 'full-token' } })).status, 429);
+});
+
+test('a successful login clears earlier failures', async (t) => {
+    const { request } = await startServer(t);
+
+    for (let i = 0; i < 9; i++) {
+        await request('/auth/login', { method: 'POST', body: { secret: 'guess' } });
+    }
+    assert.equal((await request('/auth/login', { method: 'POST', body: { secret: 'full-token' } })).status, 200);
+    assert.equal((await request('/auth/login', { method: 'POST', body: { secret: 'guess' } })).status, 401);
+});
+
+test('expired Discord login states are refused and cleared', async (t) => {
+    const { auth, request } = await startServer(t, {
+        discordOAuth: { ...BASE_CONFIG.discordOAuth, clientId: '1', clientSecret: 'secret', redirectUri: 'http://localhost/auth/discord/callback', guildId: '2' }
+    });
+
+    const start = await request('/auth/discord');
+    assert.equal(start.status, 302);
+    const state = new URL(start.headers.get('location')).searchParams.get('state');
+    assert.ok(auth.oauthStates.has(state));
+
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 11 * 60 * 1000);
+    const callback = await request(`/auth/discord/callback?code=abc&state=${state}`);
+    assert.equal(callback.status, 302);
+    assert.match(callback.headers.get('location'), /^\/login\.html\?error=Discord%20login%20expired/);
+    assert.ok(!auth.oauthStates.has(state));
+});
+
+test('pending Discord login states are pruned and capped', (t) => {
+    const auth = new WebAuth(BASE_CONFIG, null);
+    auth.addOAuthState('old');
+
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 11 * 60 * 1000);
+    for (let i = 0; i < 1005; i++) auth.addOAuthState(`state-${i}`);
+
+    assert.equal(auth.oauthStates.size, 1000);
+    assert.ok(!auth.oauthStates.has('old'));
+    assert.ok(!auth.oauthStates.has('state-0'));
+    assert.ok(auth.oauthStates.has('state-1004'));
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ZoneList } = require('../zones');
+
+test('a box zone is normalised so x1/z1 is the smaller corner', () => {
+    const { errors, zone } = ZoneList.validate({ name: 'base', dimension: 'minecraft:the_nether', policy: 'strict', box: { x1: 50, z1: 10, x2: -50, z2: -10 } });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(zone, { name: 'base', dimension: 'the_nether', policy: 'strict', box: { x1: -50, z1: -10, x2: 50, z2: 10 } });
+});
+
+test('a circle zone needs a radius of at least one block', () => {
+    assert.ok(ZoneList.validate({ name: 'farm', policy: 'ignore', center: { x: 0, z: 0 }, radius: 25 }).zone);
+    assert.equal(ZoneList.validate({ name: 'farm', policy: 'ignore', center: { x: 0, z: 0 }, radius: 0.5 }).zone, null);
+    assert.equal(ZoneList.validate({ name: 'farm', policy: 'ignore', center: { x: 0, z: 0 } }).zone, null);
+});
+
+test('invalid zones report every problem', () => {
+    const { errors, zone } = ZoneList.validate({ name: 'bad name!', dimension: 'Not A Dimension', policy: 'nuke' });
+    assert.equal(zone, null);
+    assert.equal(errors.length, 4);
+});
+
+test('a zone cannot have both a box and a center', () => {
+    const { errors } = ZoneList.validate({ name: 'both', policy: 'alert', box: { x1: 0, z1: 0, x2: 1, z2: 1 }, center: { x: 0, z: 0 }, radius: 5 });
+    assert.deepEqual(errors, ['A zone needs either a box or a center and radius']);
+});
+
+test('find matches the dimension and returns the first matching zone', () => {
+    const zones = new ZoneList([
+        { name: 'inner', dimension: 'overworld', policy: 'ignore', center: { x: 0, z: 0 }, radius: 10 },
+        { name: 'outer', dimension: 'overworld', policy: 'alert', box: { x1: -100, z1: -100, x2: 100, z2: 100 } }
+    ]);
+
+    assert.equal(zones.find('minecraft:overworld', { x: 5, y: 64, z: 5 }).name, 'inner');
+    assert.equal(zones.find('overworld', { x: 50, y: 64, z: 50 }).name, 'outer');
+    assert.equal(zones.find('the_nether', { x: 5, y: 64, z: 5 }), null);
+    assert.equal(zones.find('overworld', { x: 500, y: 64, z: 0 }), null);
+});
+
+test('names are unique regardless of case', () => {
+    const zones = new ZoneList([]);
+    assert.ok(zones.add({ name: 'Spawn', policy: 'alert', center: { x: 0, z: 0 }, radius: 5 }).success);
+    assert.equal(zones.add({ name: 'spawn', policy: 'alert', center: { x: 0, z: 0 }, radius: 5 }).success, false);
+    assert.ok(zones.remove('SPAWN').success);
+    assert.equal(zones.zones.length, 0);
+});
+
+test('loading saved zones drops and reports invalid ones', () => {
+    const zones = new ZoneList();
+    const errors = zones.load([
+        { name: 'ok', policy: 'alert', center: { x: 0, z: 0 }, radius: 5 },
+        { name: 'broken', policy: 'alert' }
+    ]);
+    assert.deepEqual(zones.zones.map(zone => zone.name), ['ok']);
+    assert.equal(errors.length, 1);
+});
@@ -0,0 +1,161 @@
+const MAX_FOOD = 20;
+const MAX_OXYGEN = 20;
+const LOW_OXYGEN = 6;
+const EAT_TIMEOUT = 5000;
+const TICKS_PER_SECOND = 20;
+
+// Edible, but they poison, cause nausea or teleport the bot away from its spot
+const UNSAFE_FOODS = new Set([
+    'rotten_flesh',
+    'spider_eye',
+    'poisonous_potato',
+    'pufferfish',
+    'suspicious_stew',
+    'chorus_fruit',
+    'chicken'
+]);
+
+const ROMAN_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X'];
+
+const withTimeout = (promise, ms, message) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// ============================================================================
+// VITALS
+// ============================================================================
+// Hunger, saturation, oxygen, experience, armor and status effects of the bot,
+// plus auto-eat: the most filling safe food in the inventory is eaten once
+// food drops below the threshold, then the previously held item goes back.
+
+class Vitals {
+    constructor() {
+        this.eating = false;
+        this.lastMeal = null;
+        this.outOfFood = false;
+    }
+
+    static read(bot) {
+        if (!bot?.entity) return null;
+
+        return {
+            food: bot.food ?? null,
+            saturation: bot.foodSaturation !== undefined ? Math.round(bot.foodSaturation * 10) / 10 : null,
+            oxygen: bot.oxygenLevel ?? null,
+            experience: bot.experience
+                ? { level: bot.experience.level, progress: Math.round((bot.experience.progress || 0) * 100) }
+                : null,
+            armor: Vitals.readArmor(bot),
+            effects: Vitals.readEffects(bot)
+        };
+    }
+
+    // The attribute key changed between versions (generic.armor, minecraft:generic.armor, minecraft:armor)
+    static readArmor(bot) {
+        const attributes = bot.entity.attributes || {};
+        const key = Object.keys(attributes).find(name => /(^|[.:])armor$/.test(name));
+        return key ? Math.round(attributes[key].value ?? 0) : null;
+    }
+
+    static readEffects(bot) {
+        return Object.values(bot.entity.effects || {}).map(effect => {
+            const info = bot.registry?.effects?.[effect.id];
+            return {
+                name: info?.displayName || info?.name || `Effect ${effect.id}`,
+                level: effect.amplifier + 1,
+                seconds: Math.max(0, Math.round(effect.duration / TICKS_PER_SECOND)),
+                harmful: info?.type === 'bad'
+            };
+        });
+    }
+
+    static formatEffect(effect) {
+        const level = effect.level > 1 ? ` ${ROMAN_NUMERALS[effect.level - 1] || effect.level}` : '';
+        const minutes = Math.floor(effect.seconds / 60);
+        const seconds = String(effect.seconds % 60).padStart(2, '0');
+        return `${effect.harmful ? '⚠️ ' : ''}${effect.name}${level} (${minutes}:${seconds})`;
+    }
+
+    static describe(vitals) {
+        if (!vitals) return 'Unknown';
+
+        const parts = [`Food ${vitals.food ?? '?'}/${MAX_FOOD} (saturation ${vitals.saturation ?? '?'})`];
+        if (vitals.oxygen !== null && vitals.oxygen < MAX_OXYGEN) {
+            parts.push(`Oxygen ${vitals.oxygen}/${MAX_OXYGEN}`);
+        }
+        if (vitals.experience) {
+            parts.push(`Level ${vitals.experience.level}`);
+        }
+        if (vitals.armor !== null) {
+            parts.push(`Armor ${vitals.armor}`);
+        }
+
+        const effects = vitals.effects.length > 0 ? vitals.effects.map(Vitals.formatEffect).join(', ') : 'None';
+        return `${parts.join(' • ')}\nEffects: ${effects}`;
+    }
+
+    static isLowOxygen(vitals) {
+        return vitals?.oxygen !== null && vitals?.oxygen !== undefined && vitals.oxygen < LOW_OXYGEN;
+    }
+
+    // Most saturation first, since that keeps hunger from dropping the longest
+    static findBestFood(bot) {
+        const foods = bot.registry?.foodsByName || {};
+        let best = null;
+        for (const item of bot.inventory.items()) {
+            const food = foods[item.name];
+            if (!food || UNSAFE_FOODS.has(item.name)) continue;
+            if (!best || food.saturation > best.food.saturation ||
+                (food.saturation === best.food.saturation && food.foodPoints > best.food.foodPoints)) {
+                best = { item, food };
+            }
+        }
+        return best?.item || null;
+    }
+
+    // Returns { ate } after a meal, { outOfFood: true } when nothing safe is left, or null when nothing was needed
+    async autoEat(bot, threshold) {
+        if (this.eating || !bot?.entity || bot.food === undefined || bot.food >= threshold) return null;
+
+        const food = Vitals.findBestFood(bot);
+        if (!food) {
+            this.outOfFood = true;
+            return { outOfFood: true };
+        }
+        this.outOfFood = false;
+
+        this.eating = true;
+        const previous = bot.heldItem;
+        try {
+            await bot.equip(food, 'hand');
+            await withTimeout(bot.consume(), EAT_TIMEOUT, 'Eating took too long');
+            this.lastMeal = { food: food.displayName || food.name, time: Date.now() };
+
+            const restore = previous && previous.name !== food.name && bot.inventory.items().find(item => item.type === previous.type);
+            if (restore) {
+                await bot.equip(restore, 'hand');
+            }
+            return { ate: this.lastMeal.food };
+        } finally {
+            this.eating = false;
+        }
+    }
+
+    getStatus(bot) {
+        const vitals = Vitals.read(bot);
+        if (!vitals) return null;
+        return { ...vitals, eating: this.eating, lastMeal: this.lastMeal, outOfFood: this.outOfFood };
+    }
+
+    describeAutoEat(threshold) {
+        if (this.outOfFood) return `⚠️ Below ${threshold} food, but no safe food left`;
+        const last = this.lastMeal ? ` — ate ${this.lastMeal.food} <t:${Math.floor(this.lastMeal.time / 1000)}:R>` : '';
+        return `✅ Below ${threshold} food${last}`;
+    }
+}
+
+module.exports = { Vitals, MAX_FOOD, MAX_OXYGEN };
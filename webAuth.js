@@ -0,0 +1,329 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SESSION_COOKIE = 'donutafk_session';
+const OAUTH_STATE_TTL = 10 * 60 * 1000;
+// /auth/discord is public, so pending states are capped; the oldest are dropped first
+const MAX_OAUTH_STATES = 1000;
+const LOGIN_WINDOW = 15 * 60 * 1000;
+const MAX_LOGIN_FAILURES = 10;
+const DISCORD_API = 'https://discord.com/api/v10';
+
+// Reachable without credentials; /health answers with redacted details
+const PUBLIC_PATHS = ['/login.html', '/health', '/auth/me', '/auth/login', '/auth/logout', '/auth/discord', '/auth/discord/callback'];
+
+class WebAuth {
+    constructor(config, discordClient) {
+        this.config = config;
+        this.discordClient = discordClient;
+        this.apiTokens = config.apiTokens.map(t => ({ ...t }));
+        this.sessions = new Map();
+        this.oauthStates = new Map();
+        this.loginFailures = new Map();
+        this.generatedToken = null;
+        this.generatedTokenSaved = false;
+
+        // Never leave the API open by accident: without any configured credentials, mint a
+        // one-off admin token and save it to a file only the bot's user can read
+        if (!config.disabled && this.apiTokens.length === 0 && !config.password && !this.isDiscordLoginEnabled()) {
+            this.generatedToken = crypto.randomBytes(24).toString('hex');
+            this.apiTokens.push({ name: 'generated', token: this.generatedToken, scope: 'full' });
+            this.generatedTokenSaved = this.saveGeneratedToken();
+        }
+    }
+
+    saveGeneratedToken() {
+        const file = this.config.generatedTokenFile;
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, `${this.generatedToken}\n`, { mode: 0o600 });
+            // mode only applies when the file is created
+            fs.chmodSync(file, 0o600);
+            return true;
+        } catch (error) {
+            console.error(`Could not save the generated web token to ${file}:`, error.message);
+            return false;
+        }
+    }
+
+    static parseCookies(header) {
+        const cookies = {};
+        for (const part of (header || '').split(';')) {
+            const index = part.indexOf('=');
+            if (index === -1) continue;
+            // Other apps on the same host can set cookies we cannot decode; skip those instead of failing every request
+            try {
+                cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                continue;
+            }
+        }
+        return cookies;
+    }
+
+    static safeEqual(a, b) {
+        const bufferA = Buffer.from(String(a));
+        const bufferB = Buffer.from(String(b));
+        return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+    }
+
+    isDiscordLoginEnabled() {
+        const { clientId, clientSecret, redirectUri, guildId } = this.config.discordOAuth;
+        return !!(clientId && clientSecret && redirectUri && guildId);
+    }
+
+    describe() {
+        if (this.config.disabled) return 'Disabled (WEB_AUTH_DISABLED=true)';
+
+        const methods = [];
+        if (this.apiTokens.length > 0) methods.push(`${this.apiTokens.length} API token(s)`);
+        if (this.config.password) methods.push('password');
+        if (this.isDiscordLoginEnabled()) methods.push('Discord login');
+
+        const description = methods.join(', ');
+        if (!this.generatedToken) return description;
+        if (this.generatedTokenSaved) return `${description} - generated token saved to ${this.config.generatedTokenFile}`;
+        // Logs from a terminal are not collected anywhere, unlike container or hosting logs
+        return process.stdout.isTTY
+            ? `${description} - generated token: ${this.generatedToken}`
+            : `${description} - generated token could not be saved; set WEB_API_TOKENS or WEB_PASSWORD`;
+    }
+
+    // Returns { name, scope, via } or null
+    identify(req) {
+        if (this.config.disabled) {
+            return { name: 'anonymous', scope: 'full', via: 'disabled' };
+        }
+
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) {
+            const token = header.slice('Bearer '.length).trim();
+            const match = this.apiTokens.find(t => WebAuth.safeEqual(t.token, token));
+            return match ? { name: match.name, scope: match.scope, via: 'token' } : null;
+        }
+
+        const sessionId = WebAuth.parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        const session = sessionId && this.sessions.get(sessionId);
+        if (!session) return null;
+
+        if (session.expiresAt < Date.now()) {
+            this.sessions.delete(sessionId);
+            return null;
+        }
+        return session.identity;
+    }
+
+    middleware() {
+        return (req, res, next) => {
+            req.auth = this.identify(req);
+
+            if (PUBLIC_PATHS.includes(req.path)) {
+                return next();
+            }
+
+            if (!req.auth) {
+                // Send browsers to the login page instead of showing a JSON error
+                if (req.method === 'GET' && (req.path === '/' || req.path.endsWith('.html'))) {
+                    return res.redirect('/login.html');
+                }
+                return res.status(401).json({ success: false, message: 'Authentication required' });
+            }
+
+            if (req.method !== 'GET' && req.method !== 'HEAD' && req.auth.scope !== 'full') {
+                return res.status(403).json({ success: false, message: 'This token is read-only' });
+            }
+
+            next();
+        };
+    }
+
+    createSession(req, res, identity) {
+        const sessionId = crypto.randomBytes(32).toString('hex');
+        this.sessions.set(sessionId, { identity, expiresAt: Date.now() + this.config.sessionTtl });
+
+        for (const [id, session] of this.sessions) {
+            if (session.expiresAt < Date.now()) this.sessions.delete(id);
+        }
+
+        res.cookie(SESSION_COOKIE, sessionId, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: req.secure,
+            maxAge: this.config.sessionTtl
+        });
+    }
+
+    recordLoginFailure(ip) {
+        const now = Date.now();
+        for (const [address, failure] of this.loginFailures) {
+            if (now - failure.firstAt > LOGIN_WINDOW) this.loginFailures.delete(address);
+        }
+
+        const entry = this.loginFailures.get(ip);
+        if (!entry || now - entry.firstAt > LOGIN_WINDOW) {
+            this.loginFailures.set(ip, { count: 1, firstAt: now });
+        } else {
+            entry.count++;
+        }
+    }
+
+    isLoginLocked(ip) {
+        const entry = this.loginFailures.get(ip);
+        return !!entry && Date.now() - entry.firstAt <= LOGIN_WINDOW && entry.count >= MAX_LOGIN_FAILURES;
+    }
+
+    addOAuthState(state) {
+        const now = Date.now();
+        for (const [key, expiresAt] of this.oauthStates) {
+            if (expiresAt < now) this.oauthStates.delete(key);
+        }
+        while (this.oauthStates.size >= MAX_OAUTH_STATES) {
+            this.oauthStates.delete(this.oauthStates.keys().next().value);
+        }
+        this.oauthStates.set(state, now + OAUTH_STATE_TTL);
+    }
+
+    setupRoutes(app) {
+        app.get('/auth/me', (req, res) => {
+            res.json({
+                success: true,
+                authenticated: !!req.auth,
+                name: req.auth?.name || null,
+                scope: req.auth?.scope || null,
+                via: req.auth?.via || null,
+                methods: {
+                    password: !!this.config.password,
+                    token: this.apiTokens.length > 0,
+                    discord: this.isDiscordLoginEnabled()
+                }
+            });
+        });
+
+        // Dashboard login with the web password or an API token, sent as { secret }
+        app.post('/auth/login', (req, res) => {
+            if (this.isLoginLocked(req.ip)) {
+                return res.status(429).json({ success: false, message: 'Too many failed logins, try again later' });
+            }
+
+            const { secret } = req.body || {};
+            let identity = null;
+
+            if (typeof secret === 'string' && secret) {
+                const match = this.apiTokens.find(t => WebAuth.safeEqual(t.token, secret));
+                if (this.config.password && WebAuth.safeEqual(secret, this.config.password)) {
+                    identity = { name: 'password', scope: 'full', via: 'password' };
+                } else if (match) {
+                    identity = { name: match.name, scope: match.scope, via: 'token' };
+                }
+            }
+
+            if (!identity) {
+                this.recordLoginFailure(req.ip);
+                return res.status(401).json({ success: false, message: 'Invalid credentials' });
+            }
+
+            this.loginFailures.delete(req.ip);
+            this.createSession(req, res, identity);
+            res.json({ success: true, scope: identity.scope });
+        });
+
+        app.post('/auth/logout', (req, res) => {
+            const sessionId = WebAuth.parseCookies(req.headers.cookie)[SESSION_COOKIE];
+            if (sessionId) this.sessions.delete(sessionId);
+            res.clearCookie(SESSION_COOKIE);
+            res.json({ success: true });
+        });
+
+        app.get('/auth/discord', (req, res) => {
+            if (!this.isDiscordLoginEnabled()) {
+                return res.status(404).json({ success: false, message: 'Discord login is not configured' });
+            }
+
+            const state = crypto.randomBytes(16).toString('hex');
+            this.addOAuthState(state);
+
+            const { clientId, redirectUri } = this.config.discordOAuth;
+            const params = new URLSearchParams({
+                client_id: clientId,
+                redirect_uri: redirectUri,
+                response_type: 'code',
+                scope: 'identify',
+                state
+            });
+            res.redirect(`https://discord.com/oauth2/authorize?${params}`);
+        });
+
+        app.get('/auth/discord/callback', async (req, res) => {
+            const fail = (message) => res.redirect(`/login.html?error=${encodeURIComponent(message)}`);
+
+            const { code, state } = req.query;
+            const stateExpiry = this.oauthStates.get(state);
+            this.oauthStates.delete(state);
+            if (!code || !stateExpiry || stateExpiry < Date.now()) {
+                return fail('Discord login expired, please try again');
+            }
+
+            try {
+                const user = await this.fetchDiscordUser(code);
+                const scope = await this.getDiscordScope(user.id);
+                if (!scope) {
+                    return fail('You do not have a role that allows dashboard access');
+                }
+
+                this.createSession(req, res, { name: user.username, scope, via: 'discord', discordId: user.id });
+                res.redirect('/');
+            } catch (error) {
+                console.error('Discord login failed:', error);
+                fail('Discord login failed');
+            }
+        });
+    }
+
+    async fetchDiscordUser(code) {
+        const { clientId, clientSecret, redirectUri } = this.config.discordOAuth;
+
+        const tokenResponse = await fetch(`${DISCORD_API}/oauth2/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                client_id: clientId,
+                client_secret: clientSecret,
+                grant_type: 'authorization_code',
+                code,
+                redirect_uri: redirectUri
+            })
+        });
+        if (!tokenResponse.ok) {
+            throw new Error(`Token exchange failed with status ${tokenResponse.status}`);
+        }
+        const { access_token: accessToken } = await tokenResponse.json();
+
+        const userResponse = await fetch(`${DISCORD_API}/users/@me`, {
+            headers: { Authorization: `Bearer ${accessToken}` }
+        });
+        if (!userResponse.ok) {
+            throw new Error(`User lookup failed with status ${userResponse.status}`);
+        }
+        return userResponse.json();
+    }
+
+    // Role membership is checked through the bot, so the OAuth app only needs the "identify" scope
+    async getDiscordScope(userId) {
+        const { guildId, fullRoleIds, readRoleIds } = this.config.discordOAuth;
+
+        let member;
+        try {
+            const guild = await this.discordClient.guilds.fetch(guildId);
+            member = await guild.members.fetch(userId);
+        } catch (error) {
+            return null;
+        }
+
+        if (fullRoleIds.some(id => member.roles.cache.has(id))) return 'full';
+        if (readRoleIds.some(id => member.roles.cache.has(id))) return 'read';
+        return null;
+    }
+}
+
+module.exports = { WebAuth };
@@ -0,0 +1,124 @@
+const MAX_INBOX_ENTRIES = 100;
+const MAX_MESSAGE_LENGTH = 500;
+
+// Patterns must capture the sender in a "player" group and the text in a "message" group.
+// The defaults cover DonutSMP's "/msg" format as well as common Essentials/vanilla variants.
+const DEFAULT_WHISPER_PATTERNS = [
+    '^\\[?(?<player>\\.?\\w{1,16}) -> (?:you|me)\\]?:? (?<message>.+)$',
+    '^(?<player>\\.?\\w{1,16}) whispers(?: to you)?: (?<message>.+)$',
+    '^From (?<player>\\.?\\w{1,16}):? (?<message>.+)$'
+];
+
+class WhisperInbox {
+    constructor() {
+        this.entries = [];
+        this.nextId = 1;
+        this.patterns = [...DEFAULT_WHISPER_PATTERNS];
+        this.regexes = WhisperInbox.compilePatterns(this.patterns).regexes;
+    }
+
+    static compilePatterns(patterns) {
+        const errors = [];
+        const regexes = [];
+
+        for (const pattern of patterns) {
+            try {
+                const regex = new RegExp(pattern, 'i');
+                if (!/\(\?<player>/.test(pattern) || !/\(\?<message>/.test(pattern)) {
+                    errors.push(`Pattern "${pattern}" must have "player" and "message" named groups`);
+                    continue;
+                }
+                regexes.push(regex);
+            } catch (error) {
+                errors.push(`Invalid pattern "${pattern}": ${error.message}`);
+            }
+        }
+
+        return { regexes, errors };
+    }
+
+    setPatterns(patterns) {
+        if (!Array.isArray(patterns) || patterns.length === 0 || !patterns.every(p => typeof p === 'string' && p.length > 0)) {
+            return { success: false, errors: ['patterns must be a non-empty array of strings'] };
+        }
+
+        const { regexes, errors } = WhisperInbox.compilePatterns(patterns);
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        this.patterns = [...patterns];
+        this.regexes = regexes;
+        return { success: true, patterns: [...this.patterns] };
+    }
+
+    resetPatterns() {
+        return this.setPatterns(DEFAULT_WHISPER_PATTERNS);
+    }
+
+    parse(text, ownUsername) {
+        for (const regex of this.regexes) {
+            const match = text.match(regex);
+            if (!match) continue;
+
+            const { player, message } = match.groups;
+            if (!player || !message) continue;
+            if (ownUsername && player.toLowerCase() === ownUsername.toLowerCase()) continue;
+
+            return { player, message: message.trim() };
+        }
+        return null;
+    }
+
+    add(player, message, direction = 'in', account = null) {
+        const entry = {
+            id: this.nextId++,
+            time: Date.now(),
+            account,
+            direction,
+            player,
+            message: message.substring(0, MAX_MESSAGE_LENGTH)
+        };
+
+        this.entries.push(entry);
+        if (this.entries.length > MAX_INBOX_ENTRIES) {
+            this.entries.splice(0, this.entries.length - MAX_INBOX_ENTRIES);
+        }
+
+        return entry;
+    }
+
+    list(limit = 20, player = null, account = null) {
+        const entries = this.entries.filter(e =>
+            (!player || e.player.toLowerCase() === player.toLowerCase()) &&
+            (!account || e.account === account)
+        );
+        return entries.slice(-limit).reverse();
+    }
+
+    clear() {
+        this.entries = [];
+    }
+
+    load(saved) {
+        if (Array.isArray(saved.entries)) {
+            this.entries = saved.entries.slice(-MAX_INBOX_ENTRIES);
+            this.nextId = this.entries.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+        }
+        if (saved.patterns) {
+            const result = this.setPatterns(saved.patterns);
+            if (!result.success) {
+                console.error('Ignoring invalid saved whisper patterns:', result.errors.join(', '));
+            }
+        }
+    }
+
+    toJSON() {
+        return {
+            entries: this.entries,
+            patterns: this.patterns
+        };
+    }
+}
+
+module.exports = { WhisperInbox, DEFAULT_WHISPER_PATTERNS, MAX_INBOX_ENTRIES };
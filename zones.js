@@ -0,0 +1,164 @@
+const MAX_ZONES = 50;
+const MAX_COORDINATE = 30000000;
+const MAX_RADIUS = 100000;
+const ZONE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const DIMENSION_PATTERN = /^[a-z0-9_.\-/]{1,64}$/;
+
+// What proximity checks do with untrusted players while the bot is inside a zone
+const ZONE_POLICIES = {
+    ignore: { label: 'Ignore players', emoji: '🟢' },
+    alert: { label: 'Alert only', emoji: '🟡' },
+    strict: { label: 'Strict disconnect', emoji: '🔴' }
+};
+
+// Same area the spawn check used to cover, limited to the overworld
+const DEFAULT_ZONES = [
+    { name: 'spawn', dimension: 'overworld', policy: 'alert', box: { x1: -100, z1: -100, x2: 100, z2: 100 } }
+];
+
+const isCoordinate = (value) => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= MAX_COORDINATE;
+
+// ============================================================================
+// ZONES
+// ============================================================================
+// Named areas of one dimension, either a box or a circle on the X/Z plane
+// (any height). When zones overlap, the first one in the list applies.
+
+class ZoneList {
+    constructor(zones = DEFAULT_ZONES) {
+        this.zones = zones.map(zone => ZoneList.validate(zone).zone);
+    }
+
+    // mineflayer reports "overworld" on older versions and "minecraft:overworld" on newer ones
+    static normalizeDimension(dimension) {
+        return String(dimension || '').trim().toLowerCase().replace(/^minecraft:/, '');
+    }
+
+    static validate(input) {
+        const errors = [];
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            return { errors: ['Zone must be an object'], zone: null };
+        }
+
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (!ZONE_NAME_PATTERN.test(name)) {
+            errors.push('name must be 1-32 letters, digits, _ or -');
+        }
+
+        const dimension = ZoneList.normalizeDimension(input.dimension ?? 'overworld');
+        if (!DIMENSION_PATTERN.test(dimension)) {
+            errors.push('dimension must be a dimension name such as overworld, the_nether or the_end');
+        }
+
+        if (!(input.policy in ZONE_POLICIES)) {
+            errors.push(`policy must be one of ${Object.keys(ZONE_POLICIES).join(', ')}`);
+        }
+
+        const zone = { name, dimension, policy: input.policy };
+        if (input.box && !input.center) {
+            const { x1, z1, x2, z2 } = input.box;
+            if (![x1, z1, x2, z2].every(isCoordinate)) {
+                errors.push('box needs numeric x1, z1, x2 and z2 coordinates');
+            } else {
+                zone.box = { x1: Math.min(x1, x2), z1: Math.min(z1, z2), x2: Math.max(x1, x2), z2: Math.max(z1, z2) };
+            }
+        } else if (input.center && !input.box) {
+            const { x, z } = input.center;
+            if (!isCoordinate(x) || !isCoordinate(z)) {
+                errors.push('center needs numeric x and z coordinates');
+            } else if (typeof input.radius !== 'number' || !(input.radius >= 1) || input.radius > MAX_RADIUS) {
+                errors.push(`radius must be a number between 1 and ${MAX_RADIUS}`);
+            } else {
+                zone.center = { x, z };
+                zone.radius = input.radius;
+            }
+        } else {
+            errors.push('A zone needs either a box or a center and radius');
+        }
+
+        return { errors, zone: errors.length === 0 ? zone : null };
+    }
+
+    static contains(zone, dimension, position) {
+        if (zone.dimension !== ZoneList.normalizeDimension(dimension)) return false;
+        if (zone.box) {
+            const { x1, z1, x2, z2 } = zone.box;
+            return position.x >= x1 && position.x <= x2 && position.z >= z1 && position.z <= z2;
+        }
+        return Math.hypot(position.x - zone.center.x, position.z - zone.center.z) <= zone.radius;
+    }
+
+    static describeShape(zone) {
+        if (zone.box) {
+            const { x1, z1, x2, z2 } = zone.box;
+            return `${x1}, ${z1} to ${x2}, ${z2}`;
+        }
+        return `${zone.radius} blocks around ${zone.center.x}, ${zone.center.z}`;
+    }
+
+    static describe(zone) {
+        const policy = ZONE_POLICIES[zone.policy];
+        return `${policy.emoji} **${zone.name}** (${policy.label})`;
+    }
+
+    // Read-only viewers get the zone without where it is
+    static redact(zone) {
+        return { name: zone.name, dimension: zone.dimension, policy: zone.policy, shape: zone.box ? 'box' : 'circle' };
+    }
+
+    // Saved zones replace the defaults; invalid ones are dropped and reported
+    load(zones) {
+        if (!Array.isArray(zones)) return [];
+        const errors = [];
+        this.zones = [];
+        zones.forEach((zone, index) => {
+            const result = ZoneList.validate(zone);
+            if (result.zone) {
+                this.zones.push(result.zone);
+            } else {
+                errors.push(`Zone ${index + 1}: ${result.errors.join(', ')}`);
+            }
+        });
+        return errors;
+    }
+
+    get(name) {
+        return this.zones.find(zone => zone.name.toLowerCase() === String(name).toLowerCase()) || null;
+    }
+
+    add(input) {
+        const result = ZoneList.validate(input);
+        if (!result.zone) {
+            return { success: false, errors: result.errors };
+        }
+        if (this.get(result.zone.name)) {
+            return { success: false, errors: [`A zone named ${result.zone.name} already exists`] };
+        }
+        if (this.zones.length >= MAX_ZONES) {
+            return { success: false, errors: [`There can be at most ${MAX_ZONES} zones`] };
+        }
+
+        this.zones.push(result.zone);
+        return { success: true, zone: result.zone };
+    }
+
+    remove(name) {
+        const zone = this.get(name);
+        if (!zone) {
+            return { success: false, errors: [`No zone named ${name}`] };
+        }
+        this.zones = this.zones.filter(z => z !== zone);
+        return { success: true, zone };
+    }
+
+    find(dimension, position) {
+        if (!position) return null;
+        return this.zones.find(zone => ZoneList.contains(zone, dimension, position)) || null;
+    }
+
+    toJSON() {
+        return this.zones;
+    }
+}
+
+module.exports = { ZoneList, ZONE_POLICIES };